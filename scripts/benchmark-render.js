@@ -0,0 +1,238 @@
+/**
+ * Headless rendering benchmark
+ * Replays an operation log through the old full-redraw path and the layered
+ * renderer with a counting 2D context (no real rasterisation), comparing the
+ * time spent in JS and the number of path commands issued per phase
+ *
+ * Usage:
+ *   node scripts/benchmark-render.js [--operations 5000] [--file export.json]
+ *
+ * --file replays a JSON export (or a bare operations array) instead of a generated log
+ */
+
+import { readFile } from 'fs/promises';
+import { performance } from 'perf_hooks';
+import { redrawCanvas, drawOperation } from '../src/utils/canvasOperations.js';
+import { createLayeredRenderer } from '../src/utils/renderer.js';
+import { applyViewport, panBy } from '../src/utils/viewport.js';
+
+const WIDTH = 1920;
+const HEIGHT = 1080;
+
+const DRAW_FRAMES = 300;
+const APPEND_FRAMES = 200;
+const UNDO_FRAMES = 50;
+const PAN_FRAMES = 100;
+
+/**
+ * Parse --name value pairs
+ */
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    return args;
+}
+
+/**
+ * Deterministic pseudo-random numbers so runs are comparable
+ */
+function createRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Generate a log of short brush strokes, mostly on screen with some beyond the edges
+ */
+function generateOperations(count) {
+    const random = createRandom(42);
+    const operations = [];
+
+    for (let id = 1; id <= count; id++) {
+        let x = random() * WIDTH * 1.5 - WIDTH * 0.25;
+        let y = random() * HEIGHT * 1.5 - HEIGHT * 0.25;
+        const points = [];
+        for (let i = 0; i < 30; i++) {
+            x += random() * 20 - 10;
+            y += random() * 20 - 10;
+            points.push({ x, y });
+        }
+
+        operations.push({
+            id,
+            userId: `user-${id % 4}`,
+            timestamp: id,
+            type: 'draw',
+            points,
+            color: '#000000',
+            width: 2 + Math.floor(random() * 10),
+            tool: random() < 0.05 ? 'eraser' : 'brush',
+        });
+    }
+
+    return operations;
+}
+
+/**
+ * Canvas stand-in whose context only counts what would be drawn
+ */
+function createCountingCanvas(counters, width = 1, height = 1) {
+    const count = () => { counters.commands++; };
+    const ctx = {
+        save() {},
+        restore() {},
+        setTransform() {},
+        beginPath() {},
+        closePath() {},
+        clip() {},
+        setLineDash() {},
+        measureText: (text) => ({ width: text.length * 10 }),
+        moveTo: count,
+        lineTo: count,
+        quadraticCurveTo: count,
+        arc: count,
+        ellipse: count,
+        rect: count,
+        stroke: count,
+        fill: count,
+        fillText: count,
+        fillRect: count,
+        strokeRect: count,
+        clearRect: (x, y, w, h) => { counters.pixels += w * h; },
+        drawImage: () => { counters.pixels += WIDTH * HEIGHT; },
+    };
+
+    return { width, height, getContext: () => ctx };
+}
+
+/**
+ * Build the sequence of frames: drawing a stroke (history unchanged), new
+ * operations arriving, undoing recent ones and panning
+ */
+function buildFrames(operations) {
+    const frames = [];
+    const base = operations.slice(0, operations.length - APPEND_FRAMES);
+    let viewport = { x: 0, y: 0, zoom: 1 };
+
+    const localPoints = [];
+    for (let i = 0; i < DRAW_FRAMES; i++) {
+        localPoints.push({ x: 400 + i * 3, y: 300 + Math.sin(i / 10) * 50 });
+        frames.push({
+            phase: 'draw',
+            operations: base,
+            viewport,
+            local: { type: 'draw', points: localPoints.slice(), color: '#ff0000', width: 4, tool: 'brush' },
+        });
+    }
+
+    let current = base;
+    for (let i = base.length; i < operations.length; i++) {
+        current = [...current, operations[i]];
+        frames.push({ phase: 'append', operations: current, viewport });
+    }
+
+    for (let i = 0; i < UNDO_FRAMES; i++) {
+        const index = current.length - 1 - i * 3;
+        current = [...current.slice(0, index), ...current.slice(index + 1)];
+        frames.push({ phase: 'undo', operations: current, viewport });
+    }
+
+    for (let i = 0; i < PAN_FRAMES; i++) {
+        viewport = panBy(viewport, -7, -3);
+        frames.push({ phase: 'pan', operations: current, viewport });
+    }
+
+    return frames;
+}
+
+/**
+ * Run every frame through a render function, collecting totals per phase
+ */
+function run(frames, counters, renderFrame) {
+    const results = {};
+
+    frames.forEach(frame => {
+        const before = { ...counters };
+        const start = performance.now();
+
+        renderFrame(frame);
+
+        const result = results[frame.phase] ??= { frames: 0, ms: 0, commands: 0, pixels: 0 };
+        result.frames++;
+        result.ms += performance.now() - start;
+        result.commands += counters.commands - before.commands;
+        result.pixels += counters.pixels - before.pixels;
+    });
+
+    return results;
+}
+
+async function loadOperations(args) {
+    if (!args.file) {
+        return generateOperations(Number(args.operations) || 5000);
+    }
+
+    const payload = JSON.parse(await readFile(args.file, 'utf8'));
+    const operations = Array.isArray(payload) ? payload : payload.operations;
+    if (operations.length <= APPEND_FRAMES + UNDO_FRAMES * 3) {
+        throw new Error(`${args.file} needs more than ${APPEND_FRAMES + UNDO_FRAMES * 3} operations`);
+    }
+    return operations;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const operations = await loadOperations(args);
+    const frames = buildFrames(operations);
+
+    // Old path: replay the whole history every frame
+    const fullCounters = { commands: 0, pixels: 0 };
+    const fullCtx = createCountingCanvas(fullCounters).getContext('2d');
+    const full = run(frames, fullCounters, (frame) => {
+        applyViewport(fullCtx, frame.viewport);
+        redrawCanvas(fullCtx, frame.operations, WIDTH, HEIGHT);
+        if (frame.local) drawOperation(fullCtx, frame.local);
+    });
+
+    // Layered renderer: cached layer plus overlay
+    const layeredCounters = { commands: 0, pixels: 0 };
+    const layeredCtx = createCountingCanvas(layeredCounters).getContext('2d');
+    const renderer = createLayeredRenderer({
+        createCanvas: (width, height) => createCountingCanvas(layeredCounters, width, height),
+    });
+    const layered = run(frames, layeredCounters, (frame) => {
+        renderer.render(layeredCtx, {
+            operations: frame.operations,
+            viewport: frame.viewport,
+            width: WIDTH,
+            height: HEIGHT,
+        });
+        if (frame.local) drawOperation(layeredCtx, frame.local);
+    });
+
+    console.log(`\n🖌️  Replaying ${operations.length} operations at ${WIDTH}x${HEIGHT}\n`);
+    console.table(Object.keys(full).map(phase => ({
+        phase,
+        frames: full[phase].frames,
+        'full ms/frame': round(full[phase].ms / full[phase].frames),
+        'layered ms/frame': round(layered[phase].ms / layered[phase].frames),
+        'full cmds/frame': Math.round(full[phase].commands / full[phase].frames),
+        'layered cmds/frame': Math.round(layered[phase].commands / layered[phase].frames),
+        speedup: `${round(full[phase].ms / Math.max(layered[phase].ms, 0.001))}x`,
+    })));
+    console.log('Layered renderer stats:', renderer.getStats());
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+main().catch(error => {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,157 @@
+/**
+ * Stroke protocol size benchmark
+ * Simulates freehand strokes sampled at ~60fps and measures the Socket.io
+ * payload bytes per stroke for the old protocol (one draw_move per point, full
+ * path resent in draw_end) and the compact one (batched quantized deltas,
+ * commit by strokeId, server-side simplification)
+ *
+ * Usage:
+ *   node scripts/benchmark-strokes.js [--strokes 500]
+ */
+
+import { optimizePath } from '../src/utils/canvasOperations.js';
+import { encodeDeltas, decodeDeltas, quantizePoint, dequantizePoint, STROKE_BATCH_INTERVAL_MS } from '../src/utils/strokeProtocol.js';
+
+// Mirrors the client's throttle and the server's simplification settings
+const MOVE_INTERVAL_MS = 16;
+const SIMPLIFY_TOLERANCE_RATIO = 0.1;
+const MIN_SIMPLIFY_TOLERANCE = 0.2;
+
+const USER_ID = 'Xk3v9QmZp2LrT8wYAAAB';
+const STYLE = { color: '#1a2b3c', width: 4, tool: 'brush' };
+
+/**
+ * Deterministic pseudo-random numbers so runs are comparable
+ */
+function createRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * A smooth, wandering stroke in world coordinates (fractional, as after pan/zoom)
+ */
+function generateStroke(random) {
+    const length = 40 + Math.floor(random() * 260);
+    const speed = 2 + random() * 6;
+    const turn = (random() - 0.5) * 0.2;
+    let angle = random() * Math.PI * 2;
+    let x = random() * 1500 + 0.37;
+    let y = random() * 900 + 0.61;
+
+    const points = [];
+    for (let i = 0; i < length; i++) {
+        angle += turn + Math.sin(i / 15) * 0.05;
+        x += Math.cos(angle) * speed;
+        y += Math.sin(angle) * speed;
+        points.push({ x, y });
+    }
+    return points;
+}
+
+/**
+ * Size of a Socket.io event packet carrying the payload
+ */
+function packetBytes(event, payload) {
+    return Buffer.byteLength(`42${JSON.stringify([event, payload])}`);
+}
+
+/**
+ * Old protocol: draw_move per point, then the whole path again in draw_end
+ */
+function measureOldProtocol(points) {
+    const [first, ...rest] = points;
+    let up = packetBytes('draw_start', { x: first.x, y: first.y, ...STYLE });
+    let relay = packetBytes('draw_start', { userId: USER_ID, x: first.x, y: first.y, ...STYLE });
+
+    rest.forEach(({ x, y }) => {
+        up += packetBytes('draw_move', { x, y });
+        relay += packetBytes('draw_move', { userId: USER_ID, x, y });
+    });
+
+    up += packetBytes('draw_end', { points, ...STYLE });
+    const operation = { id: 1234, userId: USER_ID, timestamp: Date.now(), type: 'draw', points, ...STYLE };
+    relay += packetBytes('operation_added', { operation });
+
+    return { up, relay, stored: Buffer.byteLength(JSON.stringify(operation)), storedPoints: points.length };
+}
+
+/**
+ * Compact protocol: batched quantized deltas, commit by id, simplified storage
+ */
+function measureCompactProtocol(points) {
+    const strokeId = 42;
+    const batchSize = Math.max(1, Math.round(STROKE_BATCH_INTERVAL_MS / MOVE_INTERVAL_MS));
+    const start = dequantizePoint(quantizePoint(points[0]));
+
+    let up = packetBytes('draw_start', { strokeId, ...start, ...STYLE });
+    let relay = packetBytes('draw_start', { userId: USER_ID, strokeId, ...start, ...STYLE });
+
+    // The sender and the server each track the last point in grid units
+    let sent = quantizePoint(points[0]);
+    let decoded = sent;
+    const received = [start];
+    for (let i = 1; i < points.length; i += batchSize) {
+        const encoded = encodeDeltas(points.slice(i, i + batchSize), sent);
+        sent = encoded.last;
+        if (encoded.deltas.length === 0) continue;
+
+        const batch = decodeDeltas(encoded.deltas, decoded);
+        decoded = batch.last;
+        received.push(...batch.points);
+
+        up += packetBytes('draw_points', { strokeId, deltas: encoded.deltas });
+        relay += packetBytes('draw_points', { userId: USER_ID, strokeId, deltas: encoded.deltas });
+    }
+
+    up += packetBytes('draw_end', { strokeId });
+
+    const tolerance = Math.max(MIN_SIMPLIFY_TOLERANCE, STYLE.width * SIMPLIFY_TOLERANCE_RATIO);
+    const simplified = optimizePath(received, tolerance);
+    const operation = { id: 1234, userId: USER_ID, timestamp: Date.now(), type: 'draw', points: simplified, ...STYLE };
+    relay += packetBytes('operation_added', { operation, strokeId });
+
+    return { up, relay, stored: Buffer.byteLength(JSON.stringify(operation)), storedPoints: simplified.length };
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const strokeCount = Number(args[args.indexOf('--strokes') + 1]) || 500;
+    const random = createRandom(7);
+
+    const totals = {
+        old: { up: 0, relay: 0, stored: 0, storedPoints: 0 },
+        compact: { up: 0, relay: 0, stored: 0, storedPoints: 0 },
+    };
+    let rawPoints = 0;
+
+    for (let i = 0; i < strokeCount; i++) {
+        const points = generateStroke(random);
+        rawPoints += points.length;
+
+        [['old', measureOldProtocol(points)], ['compact', measureCompactProtocol(points)]].forEach(([name, result]) => {
+            Object.keys(result).forEach(key => { totals[name][key] += result[key]; });
+        });
+    }
+
+    const perStroke = (name, key) => Math.round(totals[name][key] / strokeCount);
+    const row = (label, key) => ({
+        metric: label,
+        before: perStroke('old', key),
+        after: perStroke('compact', key),
+        saved: `${Math.round((1 - totals.compact[key] / totals.old[key]) * 100)}%`,
+    });
+
+    console.log(`\n✏️  ${strokeCount} strokes, ${Math.round(rawPoints / strokeCount)} sampled points each on average\n`);
+    console.table([
+        row('bytes sent by the drawing client', 'up'),
+        row('bytes received by each peer', 'relay'),
+        row('bytes stored per operation', 'stored'),
+        row('points stored per operation', 'storedPoints'),
+    ]);
+}
+
+main();
@@ -0,0 +1,178 @@
+/**
+ * Authentication
+ * Optional; picks a mode from the environment:
+ *   AUTH_MODE=off (default) | dev | token
+ *   AUTH_SECRET=<HMAC secret, required in token mode>
+ *   AUTH_CONFIG=<config file for dev mode> (default: server/auth.dev.json)
+ *
+ * Tokens are `<payload>.<signature>`: base64url JSON and its base64url HMAC-SHA256.
+ * Session tokens ({ typ: 'session', sub, name, exp }) identify an account; invite
+ * tokens ({ typ: 'invite', room, role, exp }) grant a role in a single room.
+ * In token mode session tokens are issued by whatever signs in your users, using the
+ * shared secret; dev mode issues them itself for the accounts in the config file
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { ERROR_CODES } from './validation.js';
+
+const DEFAULT_CONFIG = fileURLToPath(new URL('./auth.dev.json', import.meta.url));
+const DEFAULT_SESSION_TTL_HOURS = 12;
+const HOUR_SECONDS = 60 * 60;
+
+export const AUTH_MODE = process.env.AUTH_MODE || 'off';
+
+const config = loadConfig(AUTH_MODE);
+
+/**
+ * Read the secret (and, in dev mode, the accounts) for the configured mode
+ */
+function loadConfig(mode) {
+    switch (mode) {
+        case 'off':
+            return null;
+        case 'token':
+            if (!process.env.AUTH_SECRET) {
+                throw new Error('AUTH_MODE=token needs AUTH_SECRET');
+            }
+            return { secret: process.env.AUTH_SECRET, users: [] };
+        case 'dev': {
+            const file = process.env.AUTH_CONFIG || DEFAULT_CONFIG;
+            const { secret, users = [], sessionTtlHours = DEFAULT_SESSION_TTL_HOURS } = JSON.parse(readFileSync(file, 'utf8'));
+            if (typeof secret !== 'string' || !secret) {
+                throw new Error(`${file} needs a "secret"`);
+            }
+            console.warn(`🔑 Dev authentication: issuing tokens for ${users.length} accounts from ${file}`);
+            return { secret, users, sessionTtlHours };
+        }
+        default:
+            throw new Error(`Unknown AUTH_MODE "${mode}" (expected "off", "dev" or "token")`);
+    }
+}
+
+/**
+ * Whether clients have to present a session token
+ */
+export function isAuthEnabled() {
+    return config !== null;
+}
+
+function sign(data) {
+    return createHmac('sha256', config.secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign a payload that expires after ttlSeconds
+ */
+export function signToken(payload, ttlSeconds) {
+    const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const data = Buffer.from(JSON.stringify({ ...payload, exp })).toString('base64url');
+    return `${data}.${sign(data)}`;
+}
+
+/**
+ * Check a token's signature, expiry and type
+ * Returns the payload, or null for anything that does not verify
+ */
+export function verifyToken(token, type) {
+    if (!config || typeof token !== 'string') return null;
+
+    const [data, signature, ...rest] = token.split('.');
+    if (!data || !signature || rest.length > 0) return null;
+
+    const expected = Buffer.from(sign(data));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+
+    if (payload?.typ !== type || !(payload.exp > Date.now() / 1000)) return null;
+    return payload;
+}
+
+/**
+ * Get the account a session token belongs to, or null
+ */
+export function verifySessionToken(token) {
+    const payload = verifyToken(token, 'session');
+    if (typeof payload?.sub !== 'string' || !payload.sub) return null;
+
+    return { id: payload.sub, name: typeof payload.name === 'string' ? payload.name : payload.sub };
+}
+
+/**
+ * Create an invite link token granting `role` in one room
+ */
+export function createInviteToken(roomId, role, ttlHours) {
+    const token = signToken({ typ: 'invite', room: roomId, role }, ttlHours * HOUR_SECONDS);
+    return { token, expiresAt: Date.now() + ttlHours * HOUR_SECONDS * 1000 };
+}
+
+/**
+ * Get the role an invite token grants in a room, or null if it is not valid there
+ */
+export function verifyInviteToken(token, roomId) {
+    const payload = verifyToken(token, 'invite');
+    return payload?.room === roomId ? payload.role : null;
+}
+
+/**
+ * Issue a session token for an account from the dev config file
+ * Returns null for unknown accounts or a wrong password
+ */
+export function loginDevUser(username, password) {
+    if (AUTH_MODE !== 'dev') return null;
+
+    const user = config.users.find(({ id }) => id === username);
+    if (!user || (user.password !== undefined && user.password !== password)) return null;
+
+    const account = { id: user.id, name: user.name || user.id };
+    const token = signToken({ typ: 'session', sub: account.id, name: account.name }, config.sessionTtlHours * HOUR_SECONDS);
+    return { token, account };
+}
+
+/**
+ * Socket.io middleware: attach the account of the handshake's session token
+ * With auth off every socket is anonymous (account null)
+ */
+export function authenticateSocket(socket, next) {
+    if (!isAuthEnabled()) {
+        socket.data.account = null;
+        return next();
+    }
+
+    const account = verifySessionToken(socket.handshake.auth?.token);
+    if (!account) {
+        const error = new Error('Sign in to join rooms');
+        error.data = { code: ERROR_CODES.unauthorized };
+        return next(error);
+    }
+
+    socket.data.account = account;
+    next();
+}
+
+/**
+ * Express middleware: attach the account of the request's bearer token
+ */
+export function authenticateRequest(req, res, next) {
+    if (!isAuthEnabled()) {
+        req.account = null;
+        return next();
+    }
+
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    const account = scheme === 'Bearer' ? verifySessionToken(token) : null;
+    if (!account) {
+        return res.status(401).json({ error: 'A valid bearer token is required', code: ERROR_CODES.unauthorized });
+    }
+
+    req.account = account;
+    next();
+}
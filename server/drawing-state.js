@@ -1,9 +1,38 @@
 /**
  * Drawing state management
- * Handles global operation history and undo/redo logic
+ * Handles operation history, undo/redo logic and persistence of room history
  */
 
-import { getRoom } from './rooms.js';
+import { getRoom, hasRoom, deleteRoom, getLoadedRoomIds } from './rooms.js';
+import { createStore } from './storage/index.js';
+import { createLayer, createDefaultLayers, findLayer, getLayerId, isLayerLocked } from '../src/utils/layers.js';
+import { DEFAULT_PALETTE } from '../src/utils/colors.js';
+
+// Batch a burst of changes into a single write
+const PERSIST_DELAY_MS = 1000;
+
+// Stored rooms idle for longer than this are deleted (0 keeps them forever)
+const RETENTION_DAYS = Number(process.env.ROOM_RETENTION_DAYS ?? 30);
+const RETENTION_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cleared canvases (and restored versions) kept per room so they can be undone
+const MAX_CLEARS = 10;
+
+// Automatic snapshots are taken this often while a room's history keeps changing
+const SNAPSHOT_INTERVAL_MS = Number(process.env.SNAPSHOT_INTERVAL_MINUTES ?? 5) * 60 * 1000;
+const SNAPSHOT_SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_AUTO_SNAPSHOTS = 24;
+const MAX_NAMED_SNAPSHOTS = 50;
+
+// Changes kept in a room's change log; past that the oldest are folded into its base
+const MAX_CHANGE_LOG_ENTRIES = 5000;
+const CHANGE_LOG_FOLD = 500;
+
+const store = createStore();
+const persistTimers = new Map();
+const pendingSaves = new Map();
+const pendingLoads = new Map();
 
 let operationIdCounter = 0;
 
@@ -13,37 +42,388 @@ let operationIdCounter = 0;
 export function addOperation(roomId, userId, operationData) {
     const room = getRoom(roomId);
 
+    const operation = appendOperation(room, userId, operationData);
+    schedulePersist(roomId);
+
+    console.log(`➕ Operation ${operation.id} added to room ${roomId} (total: ${room.operations.length})`);
+
+    return operation;
+}
+
+/**
+ * Change fields of an operation still in the history (e.g. re-edited text)
+ * Returns the updated operation, or null if it no longer exists
+ */
+export function updateOperation(roomId, operationId, changes) {
+    const room = getRoom(roomId);
+    const index = room.operations.findIndex(op => op.id === operationId);
+
+    if (index === -1) {
+        return null;
+    }
+
     const operation = {
-        id: ++operationIdCounter,
-        userId,
-        timestamp: Date.now(),
-        type: 'draw',
-        ...operationData,
+        ...room.operations[index],
+        ...changes,
+        updatedAt: Date.now(),
     };
+    room.operations[index] = operation;
+    bumpRevision(room, [operation]);
+    schedulePersist(roomId);
+
+    console.log(`✏️  Operation ${operation.id} updated in room ${roomId}`);
+
+    return operation;
+}
+
+/**
+ * Remove operations from the history by id (e.g. a deleted selection)
+ * Unlike undo, deleted operations are not kept for redo
+ * Returns the ids that were actually removed
+ */
+export function deleteOperations(roomId, operationIds) {
+    const room = getRoom(roomId);
+    const ids = new Set(operationIds);
+    const removedIds = [];
+
+    room.operations = room.operations.filter(op => {
+        if (!ids.has(op.id)) return true;
+        removedIds.push(op.id);
+        return false;
+    });
+
+    if (removedIds.length > 0) {
+        bumpRevision(room, [], removedIds);
+        schedulePersist(roomId);
+        console.log(`🗑️  ${removedIds.length} operation(s) deleted in room ${roomId} (remaining: ${room.operations.length})`);
+    }
+
+    return removedIds;
+}
+
+/**
+ * Add a batch of operations (e.g. an uploaded export) to the room history
+ * Every operation gets a fresh id and is attributed to the importing user;
+ * with replace the existing history is dropped first
+ */
+export function importOperations(roomId, userId, operationsData, { replace = false } = {}) {
+    const room = getRoom(roomId);
+    const replacedIds = replace ? room.operations.map(op => op.id) : [];
+
+    if (replace) {
+        room.operations = [];
+        room.clears = [];
+        room.redoStacks.clear();
+    }
+
+    // One change for the whole batch
+    const imported = operationsData.map(data => createOperation(userId, data));
+    room.operations.push(...imported);
+    bumpRevision(room, imported, replacedIds);
+    schedulePersist(roomId);
+
+    // A new action invalidates anything this user could have redone
+    room.redoStacks.delete(userId);
+
+    console.log(`📥 Imported ${imported.length} operations into room ${roomId} (${replace ? 'replaced' : 'appended'}, total: ${room.operations.length})`);
+
+    return imported;
+}
+
+/**
+ * Create an operation with a new id and push it onto the room history
+ */
+function appendOperation(room, userId, operationData) {
+    const operation = createOperation(userId, operationData);
 
     room.operations.push(operation);
+    bumpRevision(room, [operation]);
 
-    console.log(`➕ Operation ${operation.id} added to room ${roomId} (total: ${room.operations.length})`);
+    // A new action invalidates anything this user could have redone
+    room.redoStacks.delete(userId);
+
+    return operation;
+}
+
+/**
+ * Get the action a user's undo would take back, without undoing it
+ * Returns the operation or clear, or null when there is nothing to undo
+ */
+export function getUndoEntry(roomId, userId, { accountUserId = null } = {}) {
+    const room = getRoom(roomId);
+    const { index, clearIndex } = findUndoEntry(room, userId, accountUserId);
+    if (clearIndex !== -1) return room.clears[clearIndex];
+    if (index !== -1) return room.operations[index];
+    return null;
+}
+
+/**
+ * Get the action a user's redo would bring back, without redoing it
+ */
+export function getRedoEntry(roomId, userId) {
+    const room = getRoom(roomId);
+    return room.redoStacks.get(userId)?.at(-1) ?? null;
+}
+
+/**
+ * Get the ids of the layers undoing or redoing an entry would change
+ * A clear or restore touches every layer of the operations it removed or added
+ */
+export function getEntryLayerIds(entry) {
+    if (entry.type === 'clear' || entry.type === 'restore') {
+        return [...entry.operations, ...(entry.added ?? [])].map(getLayerId);
+    }
+    return [getLayerId(entry)];
+}
+
+/**
+ * Find a user's most recent action: { index } into the operations or { clearIndex } into
+ * the clears, the other one -1
+ */
+function findUndoEntry(room, userId, accountUserId) {
+    const index = room.operations.findLastIndex(op => isOwnOperation(op, userId, accountUserId));
+    const clearIndex = room.clears.findLastIndex(clear => clear.userId === userId);
+
+    // Clears take ids from the same counter, so the higher id is the more recent action
+    if (clearIndex !== -1 && (index === -1 || room.clears[clearIndex].id > room.operations[index].id)) {
+        return { index: -1, clearIndex };
+    }
+    return { index, clearIndex: -1 };
+}
+
+/**
+ * Whether an operation is a user's to undo: drawn in their session, or imported over
+ * HTTP by their account (accountUserId, null when not signed in)
+ */
+function isOwnOperation(op, userId, accountUserId) {
+    return op.userId === userId || (accountUserId !== null && op.userId === accountUserId);
+}
+
+/**
+ * Undo a user's most recent action: their latest operation, canvas clear or restore
+ * Only operations drawn by that user (or imported by their account) are eligible, so
+ * collaborators' work is untouched. Callers check the layers of getUndoEntry first:
+ * locked layers must not change
+ * Returns the removed operation, or the undone clear ({ type: 'clear' | 'restore', operations })
+ */
+export function undoOperation(roomId, userId, { accountUserId = null } = {}) {
+    const room = getRoom(roomId);
+
+    const { index, clearIndex } = findUndoEntry(room, userId, accountUserId);
+    if (clearIndex !== -1) {
+        return undoClear(roomId, room, clearIndex);
+    }
+    if (index === -1) {
+        return null;
+    }
+
+    const [operation] = room.operations.splice(index, 1);
+    getRedoStack(room, userId).push(operation);
+    bumpRevision(room, [], [operation.id]);
+    schedulePersist(roomId);
+
+    console.log(`↩️  Operation ${operation.id} undone in room ${roomId} (remaining: ${room.operations.length})`);
+
+    return operation;
+}
+
+/**
+ * Put a cleared canvas back underneath whatever was drawn since
+ * An undone restore first takes out the operations it brought back
+ */
+function undoClear(roomId, room, clearIndex) {
+    const [clear] = room.clears.splice(clearIndex, 1);
+    const added = clear.added ?? [];
+    const addedIds = new Set(added.map(op => op.id));
+
+    room.operations = room.operations.filter(op => !addedIds.has(op.id));
+    clear.operations.forEach(op => insertById(room.operations, op));
+    getRedoStack(room, clear.userId).push(clear);
+    bumpRevision(room, clear.operations, [...addedIds]);
+    schedulePersist(roomId);
+
+    console.log(`↩️  ${clear.type === 'restore' ? 'Restore' : 'Clear'} ${clear.id} undone in room ${roomId} (${clear.operations.length} operations restored)`);
+
+    return clear;
+}
+
+/**
+ * Redo a user's most recently undone operation
+ * The operation is reinserted at its original position in the history;
+ * a redone clear removes what it cleared again (anything drawn since stays).
+ * Callers check the layers of getRedoEntry first, as for undo
+ */
+export function redoOperation(roomId, userId) {
+    const room = getRoom(roomId);
+    const redoStack = room.redoStacks.get(userId);
+
+    if (!redoStack || redoStack.length === 0) {
+        return null;
+    }
+
+    const operation = redoStack.pop();
+    if (operation.type === 'clear' || operation.type === 'restore') {
+        return redoClear(roomId, room, operation);
+    }
+
+    insertById(room.operations, operation);
+    bumpRevision(room, [operation]);
+    schedulePersist(roomId);
+
+    console.log(`↪️  Operation ${operation.id} redone in room ${roomId} (total: ${room.operations.length})`);
 
     return operation;
 }
 
+function redoClear(roomId, room, clear) {
+    const ids = new Set(clear.operations.map(op => op.id));
+    const added = clear.added ?? [];
+    const redone = { ...clear, operations: room.operations.filter(op => ids.has(op.id)) };
+
+    room.operations = room.operations.filter(op => !ids.has(op.id));
+    added.forEach(op => insertById(room.operations, op));
+    pushClear(room, redone);
+    bumpRevision(room, added, [...ids]);
+    schedulePersist(roomId);
+
+    console.log(`↪️  ${clear.type === 'restore' ? 'Restore' : 'Clear'} ${clear.id} redone in room ${roomId} (${redone.operations.length} operations removed)`);
+
+    return redone;
+}
+
 /**
- * Undo last operation (global undo)
- * Removes the most recent operation from history
+ * Get a user's undo/redo availability
+ * canUndoClear says whether one of the user's clears or restores can still be undone,
+ * which the client cannot tell from the operations it has
  */
-export function undoOperation(roomId) {
+export function getHistoryState(roomId, userId, { accountUserId = null } = {}) {
     const room = getRoom(roomId);
+    const canUndoClear = room.clears.some(clear => clear.userId === userId);
+    return {
+        canUndo: canUndoClear || room.operations.some(op => isOwnOperation(op, userId, accountUserId)),
+        canUndoClear,
+        canRedo: (room.redoStacks.get(userId)?.length || 0) > 0,
+    };
+}
 
-    if (room.operations.length === 0) {
+/**
+ * Get the room's change position; clients report it back when they rejoin
+ */
+export function getSyncState(roomId) {
+    const room = getRoom(roomId);
+    return { epoch: room.epoch, revision: room.revision };
+}
+
+/**
+ * Get what changed in a room after a sync position a client already has
+ * Returns { operations, operationIds } with every operation added, changed or restored since
+ * and the ids of the whole history (anything missing from it was removed), or null when
+ * the client needs a full sync (the room was reloaded since, or the position is unknown)
+ */
+export function getChangesSince(roomId, { epoch, revision } = {}) {
+    const room = getRoom(roomId);
+    if (epoch !== room.epoch || !Number.isInteger(revision) || revision < 0 || revision > room.revision) {
         return null;
     }
 
-    const lastOperation = room.operations.pop();
+    return {
+        operations: room.operations.filter(op => (room.revisions.get(op.id) ?? 0) > revision),
+        operationIds: room.operations.map(op => op.id),
+    };
+}
+
+/**
+ * Advance the room revision, recording which operations were added or changed by it
+ * and which were removed. Delta syncs only need the changes (they list every remaining id);
+ * the change log keeps both
+ */
+function bumpRevision(room, changedOperations = [], removedIds = []) {
+    room.revision++;
+    removedIds.forEach(id => room.revisions.delete(id));
+    changedOperations.forEach(op => room.revisions.set(op.id, room.revision));
+    logChange(room, changedOperations, removedIds);
+}
+
+/**
+ * Append a change to the room's change log
+ * Once the log is full its oldest changes are applied to the base, which is then the
+ * earliest point in time that can be rebuilt
+ */
+function logChange(room, operations, removedIds) {
+    const log = room.changeLog;
+    log.entries.push({ at: Date.now(), operations, removedIds });
+    if (log.entries.length <= MAX_CHANGE_LOG_ENTRIES) return;
 
-    console.log(`↩️  Operation ${lastOperation.id} undone in room ${roomId} (remaining: ${room.operations.length})`);
+    const folded = log.entries.splice(0, CHANGE_LOG_FOLD);
+    log.base = { at: folded.at(-1).at, operations: applyChanges(log.base.operations, folded) };
+}
 
-    return lastOperation;
+/**
+ * Apply change log entries to a list of operations; returns a new list ordered by id
+ */
+function applyChanges(operations, entries) {
+    const byId = new Map(operations.map(op => [op.id, op]));
+    entries.forEach(({ operations: changed, removedIds }) => {
+        removedIds.forEach(id => byId.delete(id));
+        changed.forEach(op => byId.set(op.id, op));
+    });
+    return [...byId.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Rebuild a room's operations as they were at a point in time, including operations
+ * undone, cleared or deleted since and the earlier form of ones edited since
+ * Returns { operations, layers } (the room's current layers), or null when the
+ * change log no longer reaches back that far
+ */
+export function getVersionAt(roomId, timestamp) {
+    const room = getRoom(roomId);
+    const { base, entries } = room.changeLog;
+    if (timestamp < base.at) {
+        return null;
+    }
+
+    const end = entries.findIndex(entry => entry.at > timestamp);
+    return {
+        operations: applyChanges(base.operations, end === -1 ? entries : entries.slice(0, end)),
+        layers: room.layers,
+    };
+}
+
+/**
+ * Get (or create) the redo stack for a user
+ */
+function getRedoStack(room, userId) {
+    if (!room.redoStacks.has(userId)) {
+        room.redoStacks.set(userId, []);
+    }
+    return room.redoStacks.get(userId);
+}
+
+/**
+ * Insert an operation keeping the list ordered by id
+ * Ids are assigned in creation order, so this restores the original stacking
+ */
+function insertById(operations, operation) {
+    const index = operations.findIndex(op => op.id > operation.id);
+    if (index === -1) {
+        operations.push(operation);
+    } else {
+        operations.splice(index, 0, operation);
+    }
+}
+
+/**
+ * Create an operation with a new id, attributed to a user
+ */
+function createOperation(userId, operationData) {
+    return {
+        id: ++operationIdCounter,
+        userId,
+        timestamp: Date.now(),
+        type: 'draw',
+        ...operationData,
+    };
 }
 
 /**
@@ -55,16 +435,325 @@ export function getOperations(roomId) {
 }
 
 /**
- * Clear all operations (optional feature)
+ * Clear the canvas for everyone; locked layers are left alone
+ * The cleared operations are kept as one undoable action of the user who cleared,
+ * so their undo puts the canvas back, and the canvas is snapshotted first.
+ * Returns the clear, or null if there was nothing to clear
  */
-export function clearOperations(roomId) {
+export function clearOperations(roomId, userId) {
     const room = getRoom(roomId);
-    const count = room.operations.length;
-    room.operations = [];
+    const cleared = [];
+    const kept = [];
+    room.operations.forEach(op => (isLayerLocked(room.layers, getLayerId(op)) ? kept : cleared).push(op));
+    if (cleared.length === 0) {
+        return null;
+    }
+
+    takeSnapshot(room, { name: 'Before clear' });
 
-    console.log(`🗑️  Cleared ${count} operations from room ${roomId}`);
+    const clear = {
+        id: ++operationIdCounter,
+        type: 'clear',
+        userId,
+        timestamp: Date.now(),
+        operations: cleared,
+    };
+
+    room.operations = kept;
+    pushClear(room, clear);
+    bumpRevision(room, [], cleared.map(op => op.id));
+    schedulePersist(roomId);
+
+    // A new action invalidates anything this user could have redone
+    room.redoStacks.delete(userId);
 
-    return count;
+    console.log(`🧹 Cleared ${clear.operations.length} operations from room ${roomId}`);
+
+    return clear;
+}
+
+/**
+ * Record a clear, forgetting the oldest once the room keeps too many
+ */
+function pushClear(room, clear) {
+    room.clears.push(clear);
+    if (room.clears.length > MAX_CLEARS) {
+        room.clears.shift();
+    }
+}
+
+/**
+ * Roll the room back to an earlier version as one undoable action of the user
+ * target is { operations, layers } from a snapshot or a point on the timeline.
+ * Operations on locked layers are left as they are, and layers the version had
+ * but the room no longer does are added back. The current state is snapshotted first.
+ * Returns the restore ({ type: 'restore', operations: removed, added }), or null if
+ * the room already looks like that version
+ */
+export function restoreVersion(roomId, userId, target) {
+    const room = getRoom(roomId);
+    const isEditable = op => !isLayerLocked(room.layers, getLayerId(op));
+
+    // Ids are kept, so an operation changed since the version counts as removed and added back
+    const current = new Map(room.operations.map(op => [op.id, op]));
+    const wanted = new Map(target.operations.filter(isEditable).map(op => [op.id, op]));
+    const removed = room.operations.filter(op => isEditable(op) && !isSameOperation(wanted.get(op.id), op));
+    const added = [...wanted.values()].filter(op => !isSameOperation(current.get(op.id), op));
+    if (removed.length === 0 && added.length === 0) {
+        return null;
+    }
+
+    takeSnapshot(room, { name: 'Before restore' });
+
+    const removedIds = new Set(removed.map(op => op.id));
+    room.operations = room.operations.filter(op => !removedIds.has(op.id));
+    added.forEach(op => insertById(room.operations, op));
+    forgetReinsertable(room, new Set(added.map(op => op.id)));
+    room.layers = [...room.layers, ...target.layers.filter(layer => !findLayer(room.layers, layer.id))];
+
+    const restore = {
+        id: ++operationIdCounter,
+        type: 'restore',
+        userId,
+        timestamp: Date.now(),
+        operations: removed,
+        added,
+    };
+    pushClear(room, restore);
+    bumpRevision(room, added, [...removedIds]);
+    schedulePersist(roomId);
+
+    // A new action invalidates anything this user could have redone
+    room.redoStacks.delete(userId);
+
+    console.log(`⏪ Room ${roomId} restored to an earlier version (${removed.length} removed, ${added.length} added back)`);
+
+    return restore;
+}
+
+/**
+ * Whether two copies of an operation are the same: a version read back from storage
+ * holds copies of the objects in the live history, so compare their content
+ */
+function isSameOperation(a, b) {
+    return a === b || (a !== undefined && b !== undefined && JSON.stringify(a) === JSON.stringify(b));
+}
+
+/**
+ * Stop undo and redo from reinserting operations a restore has already put back
+ * An operation id must never be in the history twice
+ */
+function forgetReinsertable(room, ids) {
+    if (ids.size === 0) return;
+
+    const keep = op => !ids.has(op.id);
+    room.clears = room.clears
+        .map(clear => ({ ...clear, operations: clear.operations.filter(keep) }))
+        .filter(clear => clear.operations.length > 0 || clear.added?.length > 0);
+
+    room.redoStacks.forEach((stack, userId) => {
+        room.redoStacks.set(userId, stack
+            .map(entry => (entry.added ? { ...entry, added: entry.added.filter(keep) } : entry))
+            .filter(entry => (entry.type === 'clear' || entry.type === 'restore') || keep(entry)));
+    });
+}
+
+/**
+ * Save the room's current drawing as a version
+ * Snapshots named by a user ({ name, userId, username }) are kept apart from automatic
+ * ones (no userId), so autosaves never push them out. Returns the snapshot summary
+ */
+export function createSnapshot(roomId, { name, userId = null, username = null }) {
+    const room = getRoom(roomId);
+    const snapshot = takeSnapshot(room, { name, userId, username });
+    schedulePersist(roomId);
+
+    console.log(`📸 Snapshot "${name}" taken of room ${roomId} (${snapshot.operations.length} operations)`);
+
+    return summarizeSnapshot(snapshot);
+}
+
+/**
+ * Get a room's snapshots without their operations, oldest first
+ */
+export function listSnapshots(roomId) {
+    return getRoom(roomId).snapshots.map(summarizeSnapshot);
+}
+
+/**
+ * Get a snapshot with its operations and layers, or null if it does not exist (any more)
+ */
+export function getSnapshot(roomId, snapshotId) {
+    return getRoom(roomId).snapshots.find(snapshot => snapshot.id === snapshotId) ?? null;
+}
+
+/**
+ * Record the room's current operations and layers
+ * Snapshots without a userId are automatic; the oldest of each kind goes once there are too many
+ */
+function takeSnapshot(room, { name, userId = null, username = null }) {
+    const snapshot = {
+        id: (room.snapshots.at(-1)?.id ?? 0) + 1,
+        name,
+        auto: userId === null,
+        userId,
+        username,
+        createdAt: Date.now(),
+        operations: room.operations.slice(),
+        layers: room.layers,
+    };
+
+    room.snapshots.push(snapshot);
+    room.snapshotRevision = room.revision;
+
+    const sameKind = room.snapshots.filter(other => other.auto === snapshot.auto);
+    const limit = snapshot.auto ? MAX_AUTO_SNAPSHOTS : MAX_NAMED_SNAPSHOTS;
+    if (sameKind.length > limit) {
+        room.snapshots = room.snapshots.filter(other => other !== sameKind[0]);
+    }
+
+    return snapshot;
+}
+
+function summarizeSnapshot({ id, name, auto, username, createdAt, operations }) {
+    return { id, name, auto, username, createdAt, operationCount: operations.length };
+}
+
+/**
+ * Periodically snapshot loaded rooms whose history changed since their last snapshot
+ * onSnapshot(roomId) is called after each one so the room can be told
+ */
+export function startSnapshotSweep(onSnapshot) {
+    if (!(SNAPSHOT_INTERVAL_MS > 0)) {
+        console.log('📸 Automatic snapshots disabled');
+        return;
+    }
+
+    setInterval(() => {
+        const now = Date.now();
+
+        getLoadedRoomIds().forEach(roomId => {
+            const room = getRoom(roomId);
+            const lastAuto = room.snapshots.findLast(snapshot => snapshot.auto);
+            if (room.revision === room.snapshotRevision || (lastAuto && now - lastAuto.createdAt < SNAPSHOT_INTERVAL_MS)) {
+                return;
+            }
+
+            takeSnapshot(room, { name: 'Autosave' });
+            schedulePersist(roomId);
+            onSnapshot(roomId);
+        });
+    }, SNAPSHOT_SWEEP_INTERVAL_MS).unref();
+}
+
+/**
+ * Get a room's access record (null for rooms nobody has claimed)
+ */
+export function getRoomAccess(roomId) {
+    return getRoom(roomId).access;
+}
+
+/**
+ * Replace a room's access record; it is stored with the room's history
+ */
+export function setRoomAccess(roomId, access) {
+    getRoom(roomId).access = access;
+    schedulePersist(roomId);
+}
+
+/**
+ * Get a room's layers, bottom first
+ */
+export function getLayers(roomId) {
+    return getRoom(roomId).layers;
+}
+
+/**
+ * Add a layer on top of the others; returns it
+ */
+export function addLayer(roomId, name) {
+    const room = getRoom(roomId);
+    const layer = createLayer(room.layers, name);
+
+    room.layers = [...room.layers, layer];
+    schedulePersist(roomId);
+
+    console.log(`🗂️  Layer ${layer.id} added to room ${roomId} (total: ${room.layers.length})`);
+
+    return layer;
+}
+
+/**
+ * Rename, hide/show or lock/unlock a layer
+ * Returns the updated layer, or null if it does not exist
+ */
+export function updateLayer(roomId, layerId, changes) {
+    const room = getRoom(roomId);
+    if (!findLayer(room.layers, layerId)) {
+        return null;
+    }
+
+    room.layers = room.layers.map(layer => (layer.id === layerId ? { ...layer, ...changes } : layer));
+    schedulePersist(roomId);
+
+    return findLayer(room.layers, layerId);
+}
+
+/**
+ * Move a layer to a new position in the stack (0 is the bottom)
+ * Returns false if the layer does not exist
+ */
+export function moveLayer(roomId, layerId, index) {
+    const room = getRoom(roomId);
+    const layer = findLayer(room.layers, layerId);
+    if (!layer) {
+        return false;
+    }
+
+    const layers = room.layers.filter(other => other !== layer);
+    layers.splice(Math.min(index, layers.length), 0, layer);
+    room.layers = layers;
+    schedulePersist(roomId);
+
+    return true;
+}
+
+/**
+ * Add the layers of an import the room does not have yet, or adopt them outright
+ * when the import replaces the drawing; layers past the limit are dropped
+ */
+export function mergeLayers(roomId, layers, { replace = false, limit = Infinity } = {}) {
+    const room = getRoom(roomId);
+    const merged = replace ? [] : room.layers.slice();
+
+    layers.forEach(layer => {
+        if (merged.length < limit && !findLayer(merged, layer.id)) merged.push(layer);
+    });
+
+    room.layers = merged.length > 0 ? merged : createDefaultLayers();
+    schedulePersist(roomId);
+
+    return room.layers;
+}
+
+/**
+ * Get a room's shared palette
+ */
+export function getPalette(roomId) {
+    return getRoom(roomId).palette;
+}
+
+/**
+ * Replace a room's shared palette
+ */
+export function setPalette(roomId, palette) {
+    const room = getRoom(roomId);
+    room.palette = palette;
+    schedulePersist(roomId);
+
+    console.log(`🎨 Palette of room ${roomId} changed (${palette.length} colors)`);
+
+    return room.palette;
 }
 
 /**
@@ -74,3 +763,260 @@ export function getOperationCount(roomId) {
     const room = getRoom(roomId);
     return room.operations.length;
 }
+
+/**
+ * Load a room's persisted history into memory
+ * Resolves immediately for rooms that are already loaded; concurrent calls share one load
+ */
+export async function loadRoom(roomId) {
+    if (hasRoom(roomId)) {
+        return getRoom(roomId);
+    }
+
+    if (!pendingLoads.has(roomId)) {
+        const load = readRoom(roomId).finally(() => pendingLoads.delete(roomId));
+        pendingLoads.set(roomId, load);
+    }
+
+    return pendingLoads.get(roomId);
+}
+
+/**
+ * Read a room's operations without loading it into memory
+ * Returns null for rooms that neither are loaded nor were ever saved
+ */
+export async function readOperations(roomId) {
+    if (hasRoom(roomId)) {
+        return getRoom(roomId).operations;
+    }
+
+    await pendingSaves.get(roomId);
+    const record = await store.load(roomId);
+    return record ? record.operations : null;
+}
+
+/**
+ * Read a room's layers without loading it into memory
+ */
+export async function readLayers(roomId) {
+    if (hasRoom(roomId)) {
+        return getRoom(roomId).layers;
+    }
+
+    await pendingSaves.get(roomId);
+    const record = await store.load(roomId);
+    return record?.layers ?? createDefaultLayers();
+}
+
+/**
+ * Read a room's access record without loading it into memory
+ */
+export async function readRoomAccess(roomId) {
+    if (hasRoom(roomId)) {
+        return getRoom(roomId).access;
+    }
+
+    await pendingSaves.get(roomId);
+    const record = await store.load(roomId);
+    return record?.access ?? null;
+}
+
+/**
+ * Persist a room and drop it from memory once nobody is left in it
+ */
+export async function releaseRoom(roomId) {
+    if (!hasRoom(roomId) || getRoom(roomId).users.size > 0) return;
+
+    clearTimeout(persistTimers.get(roomId));
+    persistTimers.delete(roomId);
+
+    const save = saveRoom(roomId);
+    deleteRoom(roomId);
+    await save;
+}
+
+/**
+ * Write every room with unsaved changes (used on shutdown)
+ */
+export async function flushAllRooms() {
+    persistTimers.forEach(timer => clearTimeout(timer));
+    persistTimers.clear();
+
+    getLoadedRoomIds().forEach(saveRoom);
+    await Promise.all(pendingSaves.values());
+}
+
+/**
+ * Periodically delete stored rooms that have been idle longer than the retention period
+ */
+export function startRetentionSweep() {
+    if (!(RETENTION_DAYS > 0)) {
+        console.log('🗄️  Room retention disabled, stored rooms are kept forever');
+        return;
+    }
+
+    const sweep = async () => {
+        const cutoff = Date.now() - RETENTION_DAYS * DAY_MS;
+
+        try {
+            for (const { roomId, updatedAt } of await store.list()) {
+                if (updatedAt < cutoff && !hasRoom(roomId)) {
+                    await store.remove(roomId);
+                    console.log(`🧹 Room ${roomId} expired (idle for more than ${RETENTION_DAYS} days)`);
+                }
+            }
+        } catch (error) {
+            console.error('Room retention sweep failed:', error);
+        }
+    };
+
+    sweep();
+    setInterval(sweep, RETENTION_SWEEP_INTERVAL_MS).unref();
+}
+
+/**
+ * Read a room record from storage into a fresh in-memory room
+ */
+async function readRoom(roomId) {
+    // A room released a moment ago may still be writing
+    await pendingSaves.get(roomId);
+
+    const record = await store.load(roomId);
+    const room = getRoom(roomId);
+
+    if (record) {
+        // Clears, snapshots and the change log refer to operations by index (see serializeRoom);
+        // rooms saved before that hold the operations themselves
+        const stored = [...record.operations, ...(record.operationPool ?? [])];
+        const resolve = refs => refs.map(ref => (typeof ref === 'number' ? stored[ref] : ref));
+
+        room.operations = record.operations;
+        room.clears = (record.clears ?? []).map(clear => ({
+            ...clear,
+            operations: resolve(clear.operations),
+            ...(clear.added && { added: resolve(clear.added) }),
+        }));
+        room.layers = record.layers ?? createDefaultLayers();
+        room.palette = record.palette ?? DEFAULT_PALETTE.slice();
+        room.snapshots = (record.snapshots ?? []).map(snapshot => ({ ...snapshot, operations: resolve(snapshot.operations) }));
+        // Rooms saved before the change log start theirs at their last save
+        room.changeLog = record.changeLog
+            ? {
+                base: { at: record.changeLog.base.at, operations: resolve(record.changeLog.base.operations) },
+                entries: record.changeLog.entries.map(entry => ({ ...entry, operations: resolve(entry.operations) })),
+            }
+            : { base: { at: record.updatedAt, operations: record.operations }, entries: [] };
+        room.access = record.access ?? null;
+        room.updatedAt = record.updatedAt;
+
+        // Keep new ids above every stored one (restores can bring back old operations)
+        operationIdCounter = [
+            ...room.operations,
+            ...room.clears,
+            ...room.snapshots.flatMap(snapshot => snapshot.operations),
+            ...room.changeLog.base.operations,
+            ...room.changeLog.entries.flatMap(entry => entry.operations),
+        ].reduce((max, op) => Math.max(max, op.id), operationIdCounter);
+
+        console.log(`📂 Loaded ${room.operations.length} operations for room ${roomId} from ${store.name} storage`);
+    }
+
+    return room;
+}
+
+/**
+ * Mark a room as changed and schedule a write
+ */
+function schedulePersist(roomId) {
+    const room = getRoom(roomId);
+    room.updatedAt = Date.now();
+    room.dirty = true;
+
+    if (persistTimers.has(roomId)) return;
+
+    persistTimers.set(roomId, setTimeout(() => {
+        persistTimers.delete(roomId);
+        saveRoom(roomId);
+    }, PERSIST_DELAY_MS));
+}
+
+/**
+ * Write a room to storage if it has unsaved changes
+ * Saves of the same room are chained so they land in order
+ */
+function saveRoom(roomId) {
+    if (!hasRoom(roomId)) return Promise.resolve();
+
+    const room = getRoom(roomId);
+    if (!room.dirty) return pendingSaves.get(roomId) || Promise.resolve();
+
+    room.dirty = false;
+    const record = serializeRoom(roomId, room);
+
+    const previous = pendingSaves.get(roomId) || Promise.resolve();
+    const save = previous
+        .then(() => store.save(roomId, record))
+        .catch(error => console.error(`Failed to save room ${roomId}:`, error))
+        .finally(() => {
+            if (pendingSaves.get(roomId) === save) {
+                pendingSaves.delete(roomId);
+            }
+        });
+
+    pendingSaves.set(roomId, save);
+    return save;
+}
+
+/**
+ * Build the persisted form of a room
+ * Users, cursors and redo stacks are session state and are not stored;
+ * clears, snapshots and the change log are, so an accidental wipe can still be undone
+ * (and earlier points in time rebuilt) after a restart. They mostly hold the same
+ * operations as the history and each other, so each operation is written once: they
+ * store indexes into the history followed by operationPool, the other versions they need
+ */
+function serializeRoom(roomId, room) {
+    const pool = createOperationPool(room.operations);
+    const refs = operations => operations.map(pool.add);
+
+    return {
+        roomId,
+        updatedAt: room.updatedAt,
+        access: room.access,
+        layers: room.layers,
+        palette: room.palette,
+        operations: room.operations.slice(),
+        clears: room.clears.map(clear => ({
+            ...clear,
+            operations: refs(clear.operations),
+            ...(clear.added && { added: refs(clear.added) }),
+        })),
+        snapshots: room.snapshots.map(snapshot => ({ ...snapshot, operations: refs(snapshot.operations) })),
+        changeLog: {
+            base: { at: room.changeLog.base.at, operations: refs(room.changeLog.base.operations) },
+            entries: room.changeLog.entries.map(entry => ({ ...entry, operations: refs(entry.operations) })),
+        },
+        operationPool: pool.extra,
+    };
+}
+
+/**
+ * Number operations for serializeRoom: the history first, then every other operation
+ * (version) as it is first referred to. Operations are never changed in place, so the
+ * same object is the same version wherever it appears
+ */
+function createOperationPool(operations) {
+    const indexes = new Map(operations.map((op, index) => [op, index]));
+    const extra = [];
+
+    return {
+        extra,
+        add(op) {
+            if (!indexes.has(op)) {
+                indexes.set(op, operations.length + extra.length);
+                extra.push(op);
+            }
+            return indexes.get(op);
+        },
+    };
+}
@@ -0,0 +1,86 @@
+/**
+ * Per-socket rate limiting
+ * Every client event draws from its own token bucket: up to `capacity` events can
+ * arrive in a burst, after which the bucket refills at `perSecond` tokens per second
+ */
+
+// Bursts leave room for a reconnecting client replaying strokes drawn while offline
+export const RATE_LIMITS = {
+    join_room: { capacity: 5, perSecond: 0.5 },
+    leave_room: { capacity: 5, perSecond: 0.5 },
+    draw_start: { capacity: 60, perSecond: 10 },
+    draw_points: { capacity: 300, perSecond: 60 },
+    draw_end: { capacity: 60, perSecond: 10 },
+    draw_cancel: { capacity: 60, perSecond: 10 },
+    draw_shape: { capacity: 30, perSecond: 5 },
+    draw_text: { capacity: 30, perSecond: 5 },
+    draw_fill: { capacity: 10, perSecond: 2 },
+    edit_text: { capacity: 30, perSecond: 5 },
+    update_operations: { capacity: 30, perSecond: 5 },
+    delete_operations: { capacity: 30, perSecond: 5 },
+    undo: { capacity: 40, perSecond: 15 },
+    redo: { capacity: 40, perSecond: 15 },
+    import_operations: { capacity: 3, perSecond: 0.1 },
+    clear_canvas: { capacity: 3, perSecond: 0.1 },
+    create_layer: { capacity: 10, perSecond: 1 },
+    update_layer: { capacity: 30, perSecond: 5 },
+    move_layer: { capacity: 30, perSecond: 5 },
+    set_palette: { capacity: 20, perSecond: 2 },
+    create_snapshot: { capacity: 5, perSecond: 0.2 },
+    get_snapshot: { capacity: 10, perSecond: 2 },
+    get_version: { capacity: 10, perSecond: 4 },
+    restore_version: { capacity: 3, perSecond: 0.1 },
+    cursor_move: { capacity: 60, perSecond: 30 },
+    set_room_access: { capacity: 10, perSecond: 1 },
+    create_invite: { capacity: 10, perSecond: 1 },
+    viewport_update: { capacity: 40, perSecond: 20 },
+    set_presenting: { capacity: 10, perSecond: 1 },
+};
+
+// Events without an entry above
+const DEFAULT_RATE_LIMIT = { capacity: 20, perSecond: 5 };
+
+// Presence updates that are only ever superseded by the next one: over the limit they are
+// dropped without counting as a violation, since losing a few costs nothing
+export const DROPPABLE_EVENTS = new Set(['cursor_move', 'viewport_update']);
+
+// Rejected requests (invalid payloads, rate-limited events) a socket may send before it is disconnected
+export const VIOLATION_LIMIT = { capacity: 20, perSecond: 0.2 };
+
+/**
+ * Create a token bucket that starts full
+ * take() spends a token and returns false when none is left
+ */
+export function createTokenBucket({ capacity, perSecond }, now = Date.now) {
+    let tokens = capacity;
+    let updatedAt = now();
+
+    return {
+        take(cost = 1) {
+            const time = now();
+            tokens = Math.min(capacity, tokens + (time - updatedAt) / 1000 * perSecond);
+            updatedAt = time;
+
+            if (tokens < cost) return false;
+            tokens -= cost;
+            return true;
+        },
+    };
+}
+
+/**
+ * Create the set of buckets for one socket
+ * allow(event) spends a token from that event's bucket
+ */
+export function createRateLimiter(limits = RATE_LIMITS) {
+    const buckets = new Map();
+
+    return {
+        allow(event) {
+            if (!buckets.has(event)) {
+                buckets.set(event, createTokenBucket(limits[event] ?? DEFAULT_RATE_LIMIT));
+            }
+            return buckets.get(event).take();
+        },
+    };
+}
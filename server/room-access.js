@@ -0,0 +1,94 @@
+/**
+ * Room access control
+ * A room's access record ({ owner, private, members }) is stored with its history.
+ * The owner is an account id, members maps account ids to their role; with
+ * authentication off there are no accounts and everyone is an editor
+ */
+
+// Ordered from least to most privileged
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+// Role everyone gets in a public room unless they were granted more
+const PUBLIC_ROLE = 'editor';
+
+// Lowest role allowed to send each event; unlisted events are open to every member
+export const EVENT_ROLES = {
+    draw_start: 'editor',
+    draw_points: 'editor',
+    draw_end: 'editor',
+    draw_cancel: 'editor',
+    draw_shape: 'editor',
+    draw_text: 'editor',
+    draw_fill: 'editor',
+    edit_text: 'editor',
+    update_operations: 'editor',
+    delete_operations: 'editor',
+    undo: 'editor',
+    redo: 'editor',
+    import_operations: 'editor',
+    clear_canvas: 'editor',
+    create_layer: 'editor',
+    update_layer: 'editor',
+    move_layer: 'editor',
+    set_palette: 'editor',
+    create_snapshot: 'editor',
+    restore_version: 'editor',
+    set_presenting: 'editor',
+    set_room_access: 'owner',
+    create_invite: 'owner',
+};
+
+/**
+ * Whether a role is at least as privileged as the required one
+ */
+export function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Whether a role may send an event
+ */
+export function canSend(role, event) {
+    return !EVENT_ROLES[event] || hasRole(role, EVENT_ROLES[event]);
+}
+
+function higherRole(a, b) {
+    if (!a) return b ?? null;
+    if (!b) return a;
+    return hasRole(a, b) ? a : b;
+}
+
+/**
+ * Access record for a room claimed by an account
+ */
+export function createRoomAccess(ownerId) {
+    return { owner: ownerId, private: false, members: {} };
+}
+
+/**
+ * Work out an account's role in a room, or null if it may not enter
+ * An invite role counts on top of any role the account already has
+ */
+export function resolveRole(access, account, inviteRole = null) {
+    if (!account) return PUBLIC_ROLE;
+    if (access?.owner === account.id) return 'owner';
+
+    const granted = higherRole(access?.members[account.id], inviteRole);
+    if (granted) return granted;
+
+    return access?.private ? null : PUBLIC_ROLE;
+}
+
+/**
+ * Return a copy of an access record with an account's role raised to `role`
+ * Roles are never lowered this way, and the owner is not a member
+ */
+export function grantRole(access, accountId, role) {
+    if (access.owner === accountId) return access;
+
+    const current = access.members[accountId];
+    const next = higherRole(current, role);
+    if (next === current) return access;
+
+    return { ...access, members: { ...access.members, [accountId]: next } };
+}
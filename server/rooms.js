@@ -1,10 +1,18 @@
 /**
  * Room management system
  * Handles user sessions, room state, and user color assignment
+ * Users are keyed by the public user id of their session, which survives reconnects
  */
 
+import { randomUUID } from 'crypto';
+import { createDefaultLayers } from '../src/utils/layers.js';
+import { DEFAULT_PALETTE } from '../src/utils/colors.js';
+
 const rooms = new Map();
 
+// Committed strokes remembered per room so a stroke replayed after a reconnect is not added twice
+const MAX_COMMITTED_STROKES = 500;
+
 // Predefined colors for users
 const USER_COLORS = [
     '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
@@ -22,16 +30,62 @@ export function getRoom(roomId) {
         rooms.set(roomId, {
             users: new Map(),
             operations: [],
+            // Canvas clears and restores that can still be undone, oldest first (see clearOperations)
+            clears: [],
+            // Saved versions of the history, oldest first (see createSnapshot)
+            snapshots: [],
+            snapshotRevision: 0,
+            // Every change to the operations since base, oldest first, so any point in
+            // time can be rebuilt exactly (see getVersionAt)
+            changeLog: { base: { at: 0, operations: [] }, entries: [] },
+            // Layer stack, bottom first; operations name their layer with layerId
+            layers: createDefaultLayers(),
+            // Colors shared by everyone in the room (see colors.js)
+            palette: DEFAULT_PALETTE.slice(),
             cursors: new Map(),
+            redoStacks: new Map(),
+            committedStrokes: new Map(),
+            // Owner, visibility and member roles (see room-access.js); null until someone claims the room
+            access: null,
+            // User whose view spectators follow, if anyone is presenting
+            presenterId: null,
+            // Change tracking for delta syncs; a new epoch means revisions start over
+            epoch: randomUUID(),
+            revision: 0,
+            revisions: new Map(),
         });
     }
     return rooms.get(roomId);
 }
 
+/**
+ * Check whether a room is currently loaded in memory
+ */
+export function hasRoom(roomId) {
+    return rooms.has(roomId);
+}
+
+/**
+ * Drop a room from memory
+ * Persisted history is untouched; see releaseRoom in drawing-state.js
+ */
+export function deleteRoom(roomId) {
+    rooms.delete(roomId);
+    console.log(`🗑️  Room ${roomId} unloaded`);
+}
+
+/**
+ * Get ids of all rooms loaded in memory
+ */
+export function getLoadedRoomIds() {
+    return Array.from(rooms.keys());
+}
+
 /**
  * Add user to room
+ * accountId is the signed-in account (null with authentication off)
  */
-export function addUserToRoom(roomId, socketId, username) {
+export function addUserToRoom(roomId, userId, username, { accountId = null, role = 'editor' } = {}) {
     const room = getRoom(roomId);
 
     // Assign color
@@ -39,13 +93,17 @@ export function addUserToRoom(roomId, socketId, username) {
     colorIndex++;
 
     const user = {
-        userId: socketId,
+        userId,
         username: username || `User${room.users.size + 1}`,
         color,
+        accountId,
+        role,
+        // Last view shared by the user ({ x, y, zoom, width, height }), for followers
+        viewport: null,
         joinedAt: Date.now(),
     };
 
-    room.users.set(socketId, user);
+    room.users.set(userId, user);
 
     console.log(`✅ User ${user.username} joined room ${roomId}`);
 
@@ -54,19 +112,20 @@ export function addUserToRoom(roomId, socketId, username) {
 
 /**
  * Remove user from room
+ * Pass keepRedo when the user is expected back (a dropped connection) so their redo stack survives
  */
-export function removeUserFromRoom(roomId, socketId) {
+export function removeUserFromRoom(roomId, userId, { keepRedo = false } = {}) {
     const room = rooms.get(roomId);
     if (!room) return null;
 
-    const user = room.users.get(socketId);
-    room.users.delete(socketId);
-    room.cursors.delete(socketId);
-
-    // Clean up empty rooms
-    if (room.users.size === 0) {
-        rooms.delete(roomId);
-        console.log(`🗑️  Room ${roomId} deleted (empty)`);
+    const user = room.users.get(userId);
+    room.users.delete(userId);
+    room.cursors.delete(userId);
+    if (room.presenterId === userId) {
+        room.presenterId = null;
+    }
+    if (!keepRedo) {
+        room.redoStacks.delete(userId);
     }
 
     if (user) {
@@ -86,22 +145,71 @@ export function getRoomUsers(roomId) {
 }
 
 /**
- * Get user by socket ID
+ * Get user by user ID
  */
-export function getUser(roomId, socketId) {
+export function getUser(roomId, userId) {
     const room = rooms.get(roomId);
     if (!room) return null;
-    return room.users.get(socketId);
+    return room.users.get(userId);
+}
+
+/**
+ * Remember which operation a user's stroke was committed as
+ */
+export function recordCommittedStroke(roomId, userId, strokeId, operationId) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    room.committedStrokes.set(`${userId}:${strokeId}`, operationId);
+
+    // Maps iterate in insertion order, so the first key is the oldest
+    if (room.committedStrokes.size > MAX_COMMITTED_STROKES) {
+        room.committedStrokes.delete(room.committedStrokes.keys().next().value);
+    }
+}
+
+/**
+ * Get the operation id a stroke was already committed as, if any
+ */
+export function getCommittedStroke(roomId, userId, strokeId) {
+    return rooms.get(roomId)?.committedStrokes.get(`${userId}:${strokeId}`) ?? null;
 }
 
 /**
  * Update cursor position
  */
-export function updateCursor(roomId, socketId, x, y) {
+export function updateCursor(roomId, userId, x, y) {
+    const room = rooms.get(roomId);
+    if (!room) return;
+
+    room.cursors.set(userId, { x, y, lastUpdate: Date.now() });
+}
+
+/**
+ * Remember the view a user last shared
+ */
+export function updateViewport(roomId, userId, viewport) {
+    const user = rooms.get(roomId)?.users.get(userId);
+    if (!user) return;
+
+    user.viewport = viewport;
+}
+
+/**
+ * Make a user the room's presenter, or stop presenting (userId null)
+ */
+export function setPresenter(roomId, userId) {
     const room = rooms.get(roomId);
     if (!room) return;
 
-    room.cursors.set(socketId, { x, y, lastUpdate: Date.now() });
+    room.presenterId = userId;
+}
+
+/**
+ * Get the id of the user presenting in a room, or null
+ */
+export function getPresenter(roomId) {
+    return rooms.get(roomId)?.presenterId ?? null;
 }
 
 /**
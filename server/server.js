@@ -11,29 +11,219 @@ import {
     addUserToRoom,
     removeUserFromRoom,
     getRoomUsers,
+    getUser,
     updateCursor,
     getRoomStats,
+    recordCommittedStroke,
+    getCommittedStroke,
+    updateViewport,
+    setPresenter,
+    getPresenter,
 } from './rooms.js';
 import {
     addOperation,
+    importOperations,
+    updateOperation,
+    deleteOperations,
     undoOperation,
+    redoOperation,
+    getUndoEntry,
+    getRedoEntry,
+    getEntryLayerIds,
+    clearOperations,
+    getHistoryState,
     getOperations,
+    getSyncState,
+    getChangesSince,
+    loadRoom,
+    releaseRoom,
+    flushAllRooms,
+    startRetentionSweep,
+    readOperations,
+    getRoomAccess,
+    setRoomAccess,
+    readRoomAccess,
+    getLayers,
+    addLayer,
+    updateLayer,
+    moveLayer,
+    mergeLayers,
+    readLayers,
+    getPalette,
+    setPalette,
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    getVersionAt,
+    restoreVersion,
+    startSnapshotSweep,
 } from './drawing-state.js';
+import {
+    validateOperations,
+    validateLayers,
+    validateStrokeData,
+    validateRoomId,
+    validateEvent,
+    isKnownEvent,
+    LIMITS,
+    ERROR_CODES,
+} from './validation.js';
+import { resolveSession, getAccountUserId } from './sessions.js';
+import { createRateLimiter, createTokenBucket, DROPPABLE_EVENTS, VIOLATION_LIMIT } from './rate-limit.js';
+import {
+    AUTH_MODE,
+    authenticateSocket,
+    authenticateRequest,
+    loginDevUser,
+    createInviteToken,
+    verifyInviteToken,
+} from './auth.js';
+import { canSend, createRoomAccess, grantRole, hasRole, resolveRole } from './room-access.js';
+import { createExportDocument, operationsToSVG } from '../src/utils/exportFormats.js';
+import { optimizePath } from '../src/utils/canvasOperations.js';
+import { findLayer, getLayerId, isLayerLocked, resolveLayer } from '../src/utils/layers.js';
+import { decodeDeltas, quantizePoint, dequantizePoint, quantizePen, PEN_VALUES_PER_POINT } from '../src/utils/strokeProtocol.js';
+
+// Douglas-Peucker tolerance for committed strokes, relative to the stroke width
+const SIMPLIFY_TOLERANCE_RATIO = 0.1;
+const MIN_SIMPLIFY_TOLERANCE = 0.2;
+
+// Strokes keep when each point was drawn so replays can animate them (RECORD_STROKE_TIMING=off stores none)
+const RECORD_STROKE_TIMING = process.env.RECORD_STROKE_TIMING !== 'off';
+
+// Comma-separated list of allowed browser origins; any origin when unset
+const CORS_ORIGIN = process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',').map(origin => origin.trim()) : '*';
 
 const app = express();
 const httpServer = createServer(app);
 
 // Configure CORS
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGIN }));
+app.use(express.json({ limit: '10mb' }));
 
 // Socket.io server
 const io = new Server(httpServer, {
     cors: {
-        origin: '*',
+        origin: CORS_ORIGIN,
         methods: ['GET', 'POST'],
     },
+    // Room imports arrive as a single message
+    maxHttpBufferSize: 10 * 1024 * 1024,
 });
 
+// Every connection needs a valid session token when authentication is on
+io.use(authenticateSocket);
+
+// Connected socket per client session; a reconnecting session takes over from a stale socket
+const sessions = new Map();
+
+/**
+ * Error acknowledgement: a machine-readable code plus human-readable details
+ */
+function errorReply(code, errors) {
+    return { ok: false, code, errors };
+}
+
+/**
+ * Broadcast a history change to a room, tagged with the room revision it produced
+ * Clients hand the last revision they saw back on rejoin to get a delta sync
+ */
+function emitHistoryChange(roomId, event, payload) {
+    io.to(roomId).emit(event, {
+        ...payload,
+        revision: getSyncState(roomId).revision,
+    });
+}
+
+/**
+ * Send a room the current list of snapshots (without their operations)
+ */
+function emitSnapshots(roomId) {
+    io.to(roomId).emit('snapshots_changed', { snapshots: listSnapshots(roomId) });
+}
+
+/**
+ * Check that operations may go on (or be changed on) the given layers
+ * Returns an error reply for unknown or locked layers, or null when all is well
+ */
+function checkLayers(roomId, layerIds) {
+    const layers = getLayers(roomId);
+    const ids = [...new Set(layerIds)];
+
+    const missing = ids.filter(id => id !== undefined && !findLayer(layers, id));
+    if (missing.length > 0) {
+        return errorReply(ERROR_CODES.notFound, missing.map(id => `layer ${id} does not exist in this room`));
+    }
+
+    return checkLocks(roomId, ids);
+}
+
+/**
+ * Check that none of the given layers is locked
+ * Used on its own for operations already in the history, whose layer may be gone
+ * (they are drawn on the default layer then)
+ */
+function checkLocks(roomId, layerIds) {
+    const layers = getLayers(roomId);
+    const locked = [...new Set(layerIds.map(id => resolveLayer(layers, id)?.id))]
+        .filter(id => id !== undefined && isLayerLocked(layers, id));
+    if (locked.length > 0) {
+        return errorReply(ERROR_CODES.layerLocked, locked.map(id => `layer "${findLayer(layers, id).name}" is locked`));
+    }
+
+    return null;
+}
+
+/**
+ * Validate and apply an import, then rebuild every client's history
+ * Accepts an export document ({ operations, layers? }) or a bare operations array;
+ * the document's layers are added to the room (or replace its layers with mode=replace)
+ */
+function importIntoRoom(roomId, userId, payload, mode = 'append') {
+    if (mode !== 'append' && mode !== 'replace') {
+        return errorReply(ERROR_CODES.invalidPayload, ['mode must be "append" or "replace"']);
+    }
+
+    const { operations, errors } = validateOperations(
+        Array.isArray(payload) ? payload : payload?.operations
+    );
+    const importedLayers = !Array.isArray(payload) && payload?.layers !== undefined
+        ? validateLayers(payload.layers)
+        : { layers: null, errors: [] };
+    errors.push(...importedLayers.errors);
+    if (errors.length > 0) {
+        return errorReply(ERROR_CODES.invalidPayload, errors);
+    }
+
+    // Keep the drawing that is about to be replaced
+    if (mode === 'replace') {
+        createSnapshot(roomId, { name: 'Before import' });
+    }
+
+    if (importedLayers.layers || mode === 'replace') {
+        mergeLayers(roomId, importedLayers.layers ?? [], { replace: mode === 'replace', limit: LIMITS.maxLayers });
+        io.to(roomId).emit('layers_changed', { layers: getLayers(roomId) });
+    }
+
+    // Operations on layers the room does not have go on the default layer
+    const layers = getLayers(roomId);
+    const placed = operations.map(({ layerId, ...data }) => (findLayer(layers, layerId) ? { ...data, layerId } : data));
+
+    importOperations(roomId, userId, placed, { replace: mode === 'replace' });
+
+    emitHistoryChange(roomId, 'operations_reset', {
+        operations: getOperations(roomId),
+    });
+
+    // Replacing wipes every user's redo stack and undoable clears
+    if (mode === 'replace') {
+        io.to(roomId).emit('history_state', { canUndoClear: false, canRedo: false });
+        emitSnapshots(roomId);
+    }
+
+    return { ok: true, count: operations.length };
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     const stats = getRoomStats();
@@ -44,102 +234,891 @@ app.get('/health', (req, res) => {
     });
 });
 
+// Which sign-in the client has to offer
+app.get('/auth/config', (req, res) => {
+    res.json({ mode: AUTH_MODE });
+});
+
+// Dev mode sign-in against the accounts in the config file (POST { username, password })
+app.post('/auth/login', (req, res) => {
+    if (AUTH_MODE !== 'dev') {
+        return res.status(404).json({ error: 'Sign-in is only available in dev mode' });
+    }
+
+    const result = loginDevUser(req.body?.username, req.body?.password);
+    if (!result) {
+        return res.status(401).json({ error: 'Unknown user or wrong password' });
+    }
+
+    res.json(result);
+});
+
+// Export a room's drawing (GET /rooms/:roomId/export?format=json|svg&background=%23ffffff&padding=16)
+app.get('/rooms/:roomId/export', authenticateRequest, async (req, res) => {
+    const { roomId } = req.params;
+    const format = req.query.format || 'json';
+
+    const roomIdErrors = validateRoomId(roomId);
+    if (roomIdErrors.length > 0) {
+        return res.status(400).json({ error: roomIdErrors[0], code: ERROR_CODES.invalidPayload });
+    }
+
+    if (format === 'png') {
+        return res.status(501).json({
+            error: 'PNG rendering needs a browser canvas; export PNG from the app or use format=svg',
+        });
+    }
+    if (format !== 'json' && format !== 'svg') {
+        return res.status(400).json({ error: `Unknown format "${format}" (expected json or svg)` });
+    }
+
+    let operations;
+    let access;
+    let layers;
+    try {
+        operations = await readOperations(roomId);
+        access = await readRoomAccess(roomId);
+        layers = await readLayers(roomId);
+    } catch (error) {
+        console.error(`Failed to read room ${roomId} for export:`, error);
+        return res.status(500).json({ error: 'Could not read room history' });
+    }
+
+    if (!operations) {
+        return res.status(404).json({ error: `Room "${roomId}" not found` });
+    }
+    if (!resolveRole(access, req.account)) {
+        return res.status(403).json({ error: `Room "${roomId}" is private`, code: ERROR_CODES.forbidden });
+    }
+
+    res.attachment(`${roomId}.${format}`);
+
+    if (format === 'svg') {
+        res.type('image/svg+xml').send(operationsToSVG(operations, {
+            layers,
+            background: req.query.background || null,
+            padding: Number(req.query.padding) || 0,
+        }));
+    } else {
+        res.json(createExportDocument(roomId, operations, layers));
+    }
+});
+
+// Import an operation log (POST /rooms/:roomId/import?mode=append|replace with an export document as body)
+app.post('/rooms/:roomId/import', authenticateRequest, async (req, res) => {
+    const { roomId } = req.params;
+
+    const roomIdErrors = validateRoomId(roomId);
+    if (roomIdErrors.length > 0) {
+        return res.status(400).json(errorReply(ERROR_CODES.invalidPayload, roomIdErrors));
+    }
+
+    try {
+        await loadRoom(roomId);
+    } catch (error) {
+        console.error(`Failed to load room ${roomId} for import:`, error);
+        return res.status(500).json({ error: 'Could not load room history' });
+    }
+
+    // Signed-in imports are credited to the account, so its sessions can undo them
+    const role = resolveRole(getRoomAccess(roomId), req.account);
+    const result = role && hasRole(role, 'editor')
+        ? importIntoRoom(roomId, getAccountUserId(req.account) ?? 'import', req.body, req.query.mode)
+        : errorReply(ERROR_CODES.forbidden, ['Importing needs the editor role in this room']);
+
+    // Nobody is connected, write it out and unload again
+    if (getRoomUsers(roomId).length === 0) {
+        await releaseRoom(roomId);
+    }
+
+    const status = result.ok ? 200 : result.code === ERROR_CODES.forbidden ? 403 : 400;
+    res.status(status).json(result);
+});
+
 // WebSocket connection handling
 io.on('connection', (socket) => {
-    console.log(`🔌 Client connected: ${socket.id}`);
+    // Signed-in account from the session token (null with authentication off)
+    const { account } = socket.data;
+
+    // The session outlives the socket, so operations, undo and redo stay attributed to the
+    // same user across reconnects. Only the tab holds the resume token; everyone else sees
+    // the user id derived from it
+    const { resumeToken, userId } = resolveSession(socket.handshake.auth?.resumeToken, account);
+    // Operations the account imported over HTTP are this user's to undo as well
+    const accountUserId = getAccountUserId(account);
+    socket.emit('session', { userId, resumeToken, accountUserId });
+
+    console.log(`🔌 Client connected: ${socket.id} (session ${userId})`);
+
+    // The server may not have noticed the old connection drop yet
+    const previous = sessions.get(userId);
+    if (previous) {
+        previous.emit('session_replaced');
+        previous.disconnect();
+    }
+    sessions.set(userId, socket);
 
     let currentRoom = null;
+    let currentRole = null;
+    let joinSequence = 0;
+
+    // Strokes this connection is drawing, by the strokeId it picked at draw_start
+    const activeStrokes = new Map();
+
+    // A token bucket per event, plus one for rejected requests that disconnects the client once empty
+    const rateLimiter = createRateLimiter();
+    const violations = createTokenBucket(VIOLATION_LIMIT);
+
+    // Count a rejected request; repeat offenders are disconnected
+    const reportViolation = (event, code, errors) => {
+        console.warn(`⚠️  ${code} from ${userId} on ${event}: ${errors[0]}`);
+
+        if (!violations.take() && socket.connected) {
+            console.warn(`🚫 Disconnecting ${userId}: too many rejected requests`);
+            socket.emit('kicked', { reason: 'Too many invalid or rate-limited requests' });
+            socket.disconnect();
+        }
+    };
+
+    // Register an event handler behind the rate limit and payload validation
+    // The handler gets the clean payload and a reply function that is safe to call without an ack;
+    // events that need a room are refused until join_room has completed, and only go
+    // through for roles allowed to send them
+    const handle = (event, handler, { requiresRoom = true } = {}) => {
+        socket.on(event, (...args) => {
+            const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+            const reply = (result) => {
+                if (ack) ack(result);
+            };
+
+            if (!rateLimiter.allow(event)) {
+                if (DROPPABLE_EVENTS.has(event)) return;
+
+                const errors = [`Too many ${event} events, slow down`];
+                reportViolation(event, ERROR_CODES.rateLimited, errors);
+                reply(errorReply(ERROR_CODES.rateLimited, errors));
+                return;
+            }
+            if (requiresRoom && !currentRoom) {
+                reply(errorReply(ERROR_CODES.notInRoom, ['Join a room first']));
+                return;
+            }
+            if (currentRoom && !canSend(currentRole, event)) {
+                reply(errorReply(ERROR_CODES.forbidden, [`Your role (${currentRole}) cannot ${event}`]));
+                return;
+            }
+
+            const { value, errors } = validateEvent(event, args[0]);
+            if (errors.length > 0) {
+                reportViolation(event, ERROR_CODES.invalidPayload, errors);
+                reply(errorReply(ERROR_CODES.invalidPayload, errors));
+                return;
+            }
 
-    // Join room
-    socket.on('join_room', ({ roomId, username }) => {
+            handler(value, reply);
+        });
+    };
+
+    // A well-behaved client never sends events nobody handles
+    socket.onAny((event) => {
+        if (!isKnownEvent(event)) {
+            reportViolation(event, ERROR_CODES.invalidPayload, [`unknown event "${event}"`]);
+        }
+    });
+
+    // Leave the current room and tell whoever is left
+    const leaveCurrentRoom = ({ keepRedo = false } = {}) => {
+        if (!currentRoom) return;
+
+        const roomId = currentRoom;
+        currentRoom = null;
+        currentRole = null;
+        activeStrokes.clear();
+
+        socket.leave(roomId);
+        const wasPresenting = getPresenter(roomId) === userId;
+        const user = removeUserFromRoom(roomId, userId, { keepRedo });
+        const users = getRoomUsers(roomId);
+
+        // Followers stay where they are when the presenter leaves
+        if (wasPresenting) {
+            io.to(roomId).emit('presenter_changed', { presenterId: null });
+        }
+
+        // Notify remaining users
+        io.to(roomId).emit('user_left', {
+            userId,
+            user,
+            users,
+        });
+
+        // Persist and unload the room once it is empty
+        if (users.length === 0) {
+            releaseRoom(roomId);
+        }
+    };
+
+    // Join room (switching rooms leaves the previous one first)
+    // A rejoin after a reconnect passes since ({ epoch, revision }) to get only what it missed,
+    // and an invite link passes its token to be let into a private room
+    // Spectators join as viewers whatever role they would otherwise have
+    handle('join_room', async ({ roomId, username, since, invite, spectate }, reply) => {
+        if (roomId === currentRoom) {
+            reply({ ok: true });
+            return;
+        }
+
+        leaveCurrentRoom();
+
+        // Stored history has to be in memory before anyone can draw on it
+        const joinId = ++joinSequence;
+        try {
+            await loadRoom(roomId);
+        } catch (error) {
+            console.error(`Failed to load room ${roomId}:`, error);
+            socket.emit('join_error', { roomId, message: 'Could not load room history' });
+            reply(errorReply(ERROR_CODES.roomUnavailable, ['Could not load room history']));
+            return;
+        }
+
+        // Bail out if the client disconnected or asked for another room meanwhile
+        if (joinId !== joinSequence || socket.disconnected) return;
+
+        // Invites only mean something for signed-in accounts
+        const inviteRole = account && invite ? verifyInviteToken(invite, roomId) : null;
+        if (account && invite && !inviteRole) {
+            releaseRoom(roomId);
+            reply(errorReply(ERROR_CODES.forbidden, ['This invite link is invalid or has expired']));
+            return;
+        }
+
+        // The first signed-in user to join a room nobody owns becomes its owner
+        if (account && !getRoomAccess(roomId)) {
+            setRoomAccess(roomId, createRoomAccess(account.id));
+        }
+
+        const resolvedRole = resolveRole(getRoomAccess(roomId), account, inviteRole);
+        if (!resolvedRole) {
+            releaseRoom(roomId);
+            reply(errorReply(ERROR_CODES.forbidden, ['This room is private; ask its owner for an invite link']));
+            return;
+        }
+        if (inviteRole) {
+            setRoomAccess(roomId, grantRole(getRoomAccess(roomId), account.id, inviteRole));
+        }
+
+        const role = spectate ? 'viewer' : resolvedRole;
         currentRoom = roomId;
+        currentRole = role;
 
         // Join Socket.io room
         socket.join(roomId);
 
         // Add user to room
-        const user = addUserToRoom(roomId, socket.id, username);
-
-        // Send full sync to new user
-        const operations = getOperations(roomId);
+        const user = addUserToRoom(roomId, userId, account ? account.name : username, {
+            accountId: account?.id ?? null,
+            role,
+        });
         const users = getRoomUsers(roomId);
+        const changes = since ? getChangesSince(roomId, since) : null;
 
-        socket.emit('full_sync', {
-            operations,
-            users,
+        socket.emit('room_access', {
+            role,
+            private: Boolean(getRoomAccess(roomId)?.private),
         });
+        socket.emit('presenter_changed', { presenterId: getPresenter(roomId) });
+
+        if (changes) {
+            socket.emit('delta_sync', {
+                ...changes,
+                layers: getLayers(roomId),
+                palette: getPalette(roomId),
+                snapshots: listSnapshots(roomId),
+                users,
+                ...getSyncState(roomId),
+            });
+        } else {
+            socket.emit('full_sync', {
+                operations: getOperations(roomId),
+                layers: getLayers(roomId),
+                palette: getPalette(roomId),
+                snapshots: listSnapshots(roomId),
+                users,
+                ...getSyncState(roomId),
+            });
+        }
+
+        // A returning session may still have a redo stack
+        socket.emit('history_state', getHistoryState(roomId, userId, { accountUserId }));
 
         // Notify all users in room
         io.to(roomId).emit('user_joined', {
-            userId: socket.id,
+            userId,
             user,
             users,
         });
-    });
+
+        reply({ ok: true, delta: Boolean(changes) });
+    }, { requiresRoom: false });
+
+    // Leave room without disconnecting
+    handle('leave_room', (payload, reply) => {
+        joinSequence++;
+        leaveCurrentRoom();
+        reply({ ok: true });
+    }, { requiresRoom: false });
 
     // Drawing events
-    socket.on('draw_start', (data) => {
-        if (!currentRoom) return;
+    // A stroke is announced once, streamed as batches of quantized deltas and
+    // committed by id, so its points are never sent twice
+    handle('draw_start', (data) => {
+        if (activeStrokes.size >= LIMITS.maxActiveStrokes) return;
+
+        // Replayed after a reconnect, but the commit already went through
+        if (getCommittedStroke(currentRoom, userId, data.strokeId) !== null) return;
+
+        const start = quantizePoint(data);
+        // Pen strokes carry pressure and tilt on every point
+        const pen = quantizePen(data);
+        const stroke = {
+            color: data.color,
+            width: data.width,
+            tool: data.tool,
+            opacity: data.opacity,
+            points: [{ ...dequantizePoint(start), ...pen }],
+            hasPen: pen !== null,
+            last: start,
+            // Milliseconds since the stroke started, one per point
+            startedAt: Date.now(),
+            times: [0],
+        };
+        activeStrokes.set(data.strokeId, stroke);
 
         // Broadcast to other users in room
         socket.to(currentRoom).emit('draw_start', {
-            userId: socket.id,
-            ...data,
+            userId,
+            strokeId: data.strokeId,
+            ...stroke.points[0],
+            color: stroke.color,
+            width: stroke.width,
+            tool: stroke.tool,
+            opacity: stroke.opacity,
         });
     });
 
-    socket.on('draw_move', (data) => {
-        if (!currentRoom) return;
+    handle('draw_points', ({ strokeId, deltas, pen }) => {
+        const stroke = activeStrokes.get(strokeId);
+        if (!stroke) return;
+        // A pen stroke's batches must bring their pen data, other strokes have none
+        if (stroke.hasPen !== (pen !== undefined)) return;
 
-        // Broadcast to other users in room
-        socket.to(currentRoom).emit('draw_move', {
-            userId: socket.id,
-            ...data,
+        // Points past the per-stroke limit are dropped
+        const remaining = LIMITS.maxPointsPerStroke - stroke.points.length;
+        if (remaining <= 0) return;
+
+        const accepted = deltas.length > remaining * 2 ? deltas.slice(0, remaining * 2) : deltas;
+        const acceptedPen = pen?.slice(0, (accepted.length / 2) * PEN_VALUES_PER_POINT);
+        const { points, last } = decodeDeltas(accepted, stroke.last, acceptedPen);
+        stroke.points.push(...points);
+        stroke.last = last;
+
+        // Batches arrive every 50ms or so; spread their points evenly since the previous one
+        const elapsed = Date.now() - stroke.startedAt;
+        const previous = stroke.times.at(-1);
+        points.forEach((point, i) => {
+            stroke.times.push(Math.round(previous + (elapsed - previous) * (i + 1) / points.length));
+        });
+
+        // Relay the batch as-is; clients decode it against their copy of the stroke
+        socket.to(currentRoom).emit('draw_points', {
+            userId,
+            strokeId,
+            deltas: accepted,
+            ...(acceptedPen && { pen: acceptedPen }),
         });
     });
 
-    socket.on('draw_end', (data) => {
-        if (!currentRoom) return;
+    handle('draw_end', ({ strokeId, layerId }, reply) => {
+        const stroke = activeStrokes.get(strokeId);
+        if (!stroke) {
+            // The client never saw the ack for this commit and sent the stroke again
+            const operationId = getCommittedStroke(currentRoom, userId, strokeId);
+            reply(operationId !== null
+                ? { ok: true, operationId }
+                : errorReply(ERROR_CODES.notFound, [`stroke ${strokeId} was never started`]));
+            return;
+        }
+        activeStrokes.delete(strokeId);
 
-        // Add operation to history
-        const operation = addOperation(currentRoom, socket.id, {
-            points: data.points,
-            color: data.color,
-            width: data.width,
-            tool: data.tool,
+        const layerError = checkLayers(currentRoom, [layerId]);
+        if (layerError) {
+            socket.to(currentRoom).emit('draw_cancel', { userId, strokeId });
+            reply(layerError);
+            return;
+        }
+
+        // Simplify before storing; the tolerance scales with the stroke width.
+        // The simplified path is a subset of the same point objects, so their times carry over
+        const tolerance = Math.max(MIN_SIMPLIFY_TOLERANCE, stroke.width * SIMPLIFY_TOLERANCE_RATIO);
+        const points = optimizePath(stroke.points, tolerance, stroke.width);
+        const timeOf = new Map(stroke.points.map((point, i) => [point, stroke.times[i]]));
+        const { operation: strokeData, errors } = validateStrokeData({
+            points,
+            color: stroke.color,
+            width: stroke.width,
+            tool: stroke.tool,
+            opacity: stroke.opacity,
+            timings: RECORD_STROKE_TIMING ? points.map(point => timeOf.get(point)) : undefined,
         });
+        if (errors.length > 0) {
+            socket.to(currentRoom).emit('draw_cancel', { userId, strokeId });
+            reply(errorReply(ERROR_CODES.invalidPayload, errors));
+            return;
+        }
+
+        // Add operation to history, on the layer the user had selected
+        const operation = addOperation(currentRoom, userId, layerId === undefined ? strokeData : { ...strokeData, layerId });
+        recordCommittedStroke(currentRoom, userId, strokeId, operation.id);
+
+        // Broadcast to all users in room (including sender); strokeId lets clients drop the live preview
+        emitHistoryChange(currentRoom, 'operation_added', {
+            operation,
+            strokeId,
+        });
+
+        // New operation clears the sender's redo stack
+        socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+
+        reply({ ok: true, operationId: operation.id });
+    });
+
+    // The client dropped a stroke it had started (e.g. a palm once the pen lands);
+    // nothing is stored and everyone else discards their preview of it
+    handle('draw_cancel', ({ strokeId }) => {
+        if (!activeStrokes.delete(strokeId)) return;
+
+        socket.to(currentRoom).emit('draw_cancel', { userId, strokeId });
+    });
+
+    // Shapes arrive complete on mouse-up
+    handle('draw_shape', (shapeData, reply) => {
+        const layerError = checkLayers(currentRoom, [shapeData.layerId]);
+        if (layerError) {
+            reply(layerError);
+            return;
+        }
+
+        const operation = addOperation(currentRoom, userId, shapeData);
 
         // Broadcast to all users in room (including sender)
-        io.to(currentRoom).emit('operation_added', {
+        emitHistoryChange(currentRoom, 'operation_added', {
             operation,
         });
+        socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+
+        reply({ ok: true, operationId: operation.id });
     });
 
-    // Undo operation
-    socket.on('undo', () => {
-        if (!currentRoom) return;
+    // Text labels arrive complete once the inline editor is committed
+    handle('draw_text', (textData, reply) => {
+        const layerError = checkLayers(currentRoom, [textData.layerId]);
+        if (layerError) {
+            reply(layerError);
+            return;
+        }
+
+        const operation = addOperation(currentRoom, userId, textData);
+
+        // Broadcast to all users in room (including sender)
+        emitHistoryChange(currentRoom, 'operation_added', {
+            operation,
+        });
+        socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+
+        reply({ ok: true, operationId: operation.id });
+    });
+
+    // Flood fills arrive as a finished run-length mask, sampled from the sender's screen
+    handle('draw_fill', (fillData, reply) => {
+        const layerError = checkLayers(currentRoom, [fillData.layerId]);
+        if (layerError) {
+            reply(layerError);
+            return;
+        }
 
-        const removedOperation = undoOperation(currentRoom);
+        const operation = addOperation(currentRoom, userId, fillData);
 
-        if (removedOperation) {
-            // Broadcast to all users in room
-            io.to(currentRoom).emit('operation_removed', {
+        // Broadcast to all users in room (including sender)
+        emitHistoryChange(currentRoom, 'operation_added', {
+            operation,
+        });
+        socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+
+        reply({ ok: true, operationId: operation.id });
+    });
+
+    // Re-edit an existing text label
+    handle('edit_text', ({ operationId, changes }, reply) => {
+        const target = getOperations(currentRoom).find(op => op.id === operationId);
+        if (target?.type !== 'text') {
+            reply(errorReply(ERROR_CODES.notFound, [`operation ${operationId} is not a text label in this room`]));
+            return;
+        }
+
+        const layerError = checkLayers(currentRoom, [getLayerId(target)]);
+        if (layerError) {
+            reply(layerError);
+            return;
+        }
+
+        const operation = updateOperation(currentRoom, operationId, changes);
+
+        emitHistoryChange(currentRoom, 'operation_updated', {
+            operation,
+        });
+
+        reply({ ok: true });
+    });
+
+    // Replace the geometry or style of existing operations (selection move, resize, recolor)
+    // Operations stay on their layer
+    handle('update_operations', (updates, reply) => {
+        const history = getOperations(currentRoom);
+        const missing = [];
+        const invalid = [];
+        const layerIds = [];
+        updates.forEach(({ id, operation }) => {
+            const target = history.find(op => op.id === id);
+            if (!target) {
+                missing.push(`operation ${id} does not exist in this room`);
+            } else if ((target.type ?? 'draw') !== operation.type || target.tool !== operation.tool) {
+                invalid.push(`operation ${id} cannot change its type or tool`);
+            } else {
+                layerIds.push(getLayerId(target));
+            }
+        });
+        if (invalid.length > 0) {
+            reply(errorReply(ERROR_CODES.invalidPayload, invalid));
+            return;
+        }
+        if (missing.length > 0) {
+            reply(errorReply(ERROR_CODES.notFound, missing));
+            return;
+        }
+
+        const layerError = checkLayers(currentRoom, layerIds);
+        if (layerError) {
+            reply(layerError);
+            return;
+        }
+
+        updates.forEach(({ id, operation: changes }) => {
+            delete changes.layerId;
+
+            // Timing is recorded when a stroke is drawn and only fits the points it was drawn with
+            const target = history.find(op => op.id === id);
+            changes.timings = changes.points?.length === target.points?.length ? target.timings : undefined;
+            // Operations without an opacity are opaque, so an update that leaves it out clears it
+            changes.opacity ??= undefined;
+
+            emitHistoryChange(currentRoom, 'operation_updated', {
+                operation: updateOperation(currentRoom, id, changes),
+            });
+        });
+
+        reply({ ok: true, count: updates.length });
+    });
+
+    // Delete operations outright (not undoable, unlike undo)
+    handle('delete_operations', (operationIds, reply) => {
+        const ids = new Set(operationIds);
+        const layerError = checkLayers(currentRoom, getOperations(currentRoom)
+            .filter(op => ids.has(op.id))
+            .map(getLayerId));
+        if (layerError) {
+            reply(layerError);
+            return;
+        }
+
+        const removedIds = deleteOperations(currentRoom, operationIds);
+        if (removedIds.length > 0) {
+            emitHistoryChange(currentRoom, 'operation_deleted', {
+                operationIds: removedIds,
+            });
+        }
+
+        reply({ ok: true, count: removedIds.length });
+    });
+
+    // Undo the sender's own most recent operation (or canvas clear or restore)
+    // Like any other change it is refused while a layer it touches is locked
+    handle('undo', (payload, reply) => {
+        const entry = getUndoEntry(currentRoom, userId, { accountUserId });
+        if (!entry) {
+            reply(errorReply(ERROR_CODES.notFound, ['Nothing to undo']));
+            return;
+        }
+
+        const layerError = checkLocks(currentRoom, getEntryLayerIds(entry));
+        if (layerError) {
+            reply(layerError);
+            return;
+        }
+
+        const removedOperation = undoOperation(currentRoom, userId, { accountUserId });
+
+        // Broadcast to all users in room; an undone clear or restore changes the whole canvas
+        if (removedOperation.type === 'clear' || removedOperation.type === 'restore') {
+            emitHistoryChange(currentRoom, 'operations_reset', {
+                operations: getOperations(currentRoom),
+            });
+        } else {
+            emitHistoryChange(currentRoom, 'operation_removed', {
                 operationId: removedOperation.id,
             });
         }
+        socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+
+        reply({ ok: true, operationId: removedOperation.id });
     });
 
-    // Cursor movement
-    socket.on('cursor_move', (data) => {
-        if (!currentRoom) return;
+    // Redo the sender's most recently undone operation
+    handle('redo', (payload, reply) => {
+        const entry = getRedoEntry(currentRoom, userId);
+        if (!entry) {
+            reply(errorReply(ERROR_CODES.notFound, ['Nothing to redo']));
+            return;
+        }
+
+        const layerError = checkLocks(currentRoom, getEntryLayerIds(entry));
+        if (layerError) {
+            reply(layerError);
+            return;
+        }
+
+        const restoredOperation = redoOperation(currentRoom, userId);
+
+        // Broadcast to all users in room
+        if (restoredOperation.type === 'clear') {
+            emitHistoryChange(currentRoom, 'operations_reset', {
+                operations: getOperations(currentRoom),
+                clearedBy: { userId, username: getUser(currentRoom, userId)?.username },
+            });
+        } else if (restoredOperation.type === 'restore') {
+            emitHistoryChange(currentRoom, 'operations_reset', {
+                operations: getOperations(currentRoom),
+            });
+        } else {
+            emitHistoryChange(currentRoom, 'operation_restored', {
+                operation: restoredOperation,
+            });
+        }
+        socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+
+        reply({ ok: true, operationId: restoredOperation.id });
+    });
+
+    // Clear the canvas for everyone; the sender can undo it to bring everything back
+    handle('clear_canvas', (payload, reply) => {
+        const clear = clearOperations(currentRoom, userId);
+        if (!clear) {
+            reply(errorReply(ERROR_CODES.notFound, ['The canvas is already empty']));
+            return;
+        }
+
+        emitHistoryChange(currentRoom, 'operations_reset', {
+            operations: getOperations(currentRoom),
+            clearedBy: { userId, username: getUser(currentRoom, userId)?.username },
+        });
+        emitSnapshots(currentRoom);
+        socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+
+        reply({ ok: true, count: clear.operations.length });
+    });
+
+    // Save the current drawing as a named version
+    handle('create_snapshot', ({ name }, reply) => {
+        const snapshot = createSnapshot(currentRoom, { name, userId, username: getUser(currentRoom, userId)?.username });
+        emitSnapshots(currentRoom);
+        reply({ ok: true, snapshot });
+    });
+
+    // Fetch a snapshot's operations and layers to preview it (open to viewers)
+    handle('get_snapshot', ({ snapshotId }, reply) => {
+        const snapshot = getSnapshot(currentRoom, snapshotId);
+        if (!snapshot) {
+            reply(errorReply(ERROR_CODES.notFound, [`snapshot ${snapshotId} does not exist in this room`]));
+            return;
+        }
+
+        reply({ ok: true, operations: snapshot.operations, layers: snapshot.layers });
+    });
+
+    // Rebuild the drawing as it was at a point in time to preview it (open to viewers)
+    handle('get_version', ({ timestamp }, reply) => {
+        const version = getVersionAt(currentRoom, timestamp);
+        if (!version) {
+            reply(errorReply(ERROR_CODES.notFound, ['The history does not go back that far; pick a saved version instead']));
+            return;
+        }
+
+        reply({ ok: true, operations: version.operations, layers: version.layers });
+    });
+
+    // Roll the room back to a snapshot, or to how it looked at a point in time
+    // The restore is one undoable action of the sender, like a clear
+    handle('restore_version', ({ snapshotId, timestamp }, reply) => {
+        let target;
+        let version;
+        if (snapshotId !== null) {
+            const snapshot = getSnapshot(currentRoom, snapshotId);
+            if (!snapshot) {
+                reply(errorReply(ERROR_CODES.notFound, [`snapshot ${snapshotId} does not exist in this room`]));
+                return;
+            }
+            target = snapshot;
+            version = { snapshotId, name: snapshot.name, timestamp: snapshot.createdAt };
+        } else {
+            target = getVersionAt(currentRoom, timestamp);
+            if (!target) {
+                reply(errorReply(ERROR_CODES.notFound, ['The history does not go back that far; pick a saved version instead']));
+                return;
+            }
+            version = { snapshotId: null, name: null, timestamp };
+        }
+
+        const layerCount = getLayers(currentRoom).length;
+        const restore = restoreVersion(currentRoom, userId, target);
+        if (!restore) {
+            reply(errorReply(ERROR_CODES.notFound, ['The canvas already looks like this version']));
+            return;
+        }
+
+        if (getLayers(currentRoom).length !== layerCount) {
+            io.to(currentRoom).emit('layers_changed', { layers: getLayers(currentRoom) });
+        }
+        emitHistoryChange(currentRoom, 'operations_reset', {
+            operations: getOperations(currentRoom),
+            restoredBy: { userId, username: getUser(currentRoom, userId)?.username, ...version },
+        });
+        emitSnapshots(currentRoom);
+        socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+
+        reply({ ok: true, removed: restore.operations.length, added: restore.added.length });
+    });
 
-        updateCursor(currentRoom, socket.id, data.x, data.y);
+    // Import an operation log into the current room
+    handle('import_operations', ({ operations, mode }, reply) => {
+        const result = importIntoRoom(currentRoom, userId, operations, mode);
+        if (result.ok && mode !== 'replace') {
+            socket.emit('history_state', getHistoryState(currentRoom, userId, { accountUserId }));
+        }
+
+        reply(result);
+    });
+
+    // Layers are shared by the room; every change goes out as the whole (small) stack
+    handle('create_layer', ({ name }, reply) => {
+        if (getLayers(currentRoom).length >= LIMITS.maxLayers) {
+            reply(errorReply(ERROR_CODES.invalidPayload, [`A room can have at most ${LIMITS.maxLayers} layers`]));
+            return;
+        }
+
+        const layer = addLayer(currentRoom, name);
+        io.to(currentRoom).emit('layers_changed', { layers: getLayers(currentRoom) });
+        reply({ ok: true, layer });
+    });
+
+    // Rename, hide or lock a layer
+    handle('update_layer', ({ layerId, changes }, reply) => {
+        if (!updateLayer(currentRoom, layerId, changes)) {
+            reply(errorReply(ERROR_CODES.notFound, [`layer ${layerId} does not exist in this room`]));
+            return;
+        }
+
+        io.to(currentRoom).emit('layers_changed', { layers: getLayers(currentRoom) });
+        reply({ ok: true });
+    });
+
+    // Move a layer up or down the stack (index 0 is the bottom)
+    handle('move_layer', ({ layerId, index }, reply) => {
+        if (!moveLayer(currentRoom, layerId, index)) {
+            reply(errorReply(ERROR_CODES.notFound, [`layer ${layerId} does not exist in this room`]));
+            return;
+        }
+
+        io.to(currentRoom).emit('layers_changed', { layers: getLayers(currentRoom) });
+        reply({ ok: true });
+    });
+
+    // The shared palette is small; every change goes out as the whole list
+    handle('set_palette', ({ colors }, reply) => {
+        io.to(currentRoom).emit('palette_changed', { palette: setPalette(currentRoom, colors) });
+        reply({ ok: true });
+    });
+
+    // Make the room private or public again (owner only)
+    // People already in the room keep their role when it goes private
+    handle('set_room_access', ({ private: isPrivate }, reply) => {
+        let access = { ...getRoomAccess(currentRoom), private: isPrivate };
+        if (isPrivate) {
+            getRoomUsers(currentRoom).forEach((user) => {
+                if (user.accountId) access = grantRole(access, user.accountId, user.role);
+            });
+        }
+        setRoomAccess(currentRoom, access);
+
+        io.to(currentRoom).emit('room_access', { private: isPrivate });
+        reply({ ok: true });
+    });
+
+    // Create an invite link token for the current room (owner only)
+    handle('create_invite', ({ role, expiresInHours }, reply) => {
+        reply({ ok: true, ...createInviteToken(currentRoom, role, expiresInHours) });
+    });
+
+    // Share this user's view so others can follow it
+    handle('viewport_update', (viewport) => {
+        updateViewport(currentRoom, userId, viewport);
+
+        socket.to(currentRoom).emit('viewport_update', {
+            userId,
+            viewport,
+        });
+    });
+
+    // Start or stop presenting; there is one presenter per room and a new one takes over
+    // The presenter's current view comes along so followers can jump to it right away
+    handle('set_presenting', ({ presenting, viewport }, reply) => {
+        if (viewport) {
+            updateViewport(currentRoom, userId, viewport);
+        }
+
+        if (presenting) {
+            setPresenter(currentRoom, userId);
+        } else if (getPresenter(currentRoom) === userId) {
+            setPresenter(currentRoom, null);
+        } else {
+            reply({ ok: true });
+            return;
+        }
+
+        io.to(currentRoom).emit('presenter_changed', {
+            presenterId: getPresenter(currentRoom),
+            viewport,
+        });
+        reply({ ok: true });
+    });
+
+    // Cursor movement
+    handle('cursor_move', ({ x, y }) => {
+        updateCursor(currentRoom, userId, x, y);
 
         // Broadcast to other users in room
         socket.to(currentRoom).emit('cursor_update', {
-            userId: socket.id,
-            x: data.x,
-            y: data.y,
+            userId,
+            x,
+            y,
         });
     });
 
@@ -147,23 +1126,31 @@ io.on('connection', (socket) => {
     socket.on('disconnect', () => {
         console.log(`🔌 Client disconnected: ${socket.id}`);
 
-        if (currentRoom) {
-            const user = removeUserFromRoom(currentRoom, socket.id);
-            const users = getRoomUsers(currentRoom);
-
-            // Notify remaining users
-            io.to(currentRoom).emit('user_left', {
-                userId: socket.id,
-                user,
-                users,
-            });
+        if (sessions.get(userId) === socket) {
+            sessions.delete(userId);
         }
+
+        // The session will most likely rejoin, so its redo stack is kept
+        joinSequence++;
+        leaveCurrentRoom({ keepRedo: true });
     });
 });
 
+// Flush unsaved room history before exiting
+const shutdown = async (signal) => {
+    console.log(`\n🛑 ${signal} received, saving rooms...`);
+    await flushAllRooms();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start server
 const PORT = process.env.PORT || 3001;
 httpServer.listen(PORT, () => {
     console.log(`\n🚀 Server running on http://localhost:${PORT}`);
     console.log(`📊 Health check: http://localhost:${PORT}/health\n`);
 });
+
+startRetentionSweep();
+startSnapshotSweep(emitSnapshots);
@@ -0,0 +1,39 @@
+/**
+ * Client sessions
+ * A tab resumes its session after a reconnect or reload with a resume token the server
+ * issued it. The token is a secret: the client keeps it in sessionStorage and the server
+ * never broadcasts it. Everyone else only sees the public user id derived from it, which
+ * cannot be turned back into the token. With authentication on the account is part of
+ * the derivation, so a token only resumes its session under the account it was used with.
+ * Imports over HTTP have no session: they are credited to the account's user id
+ * (getAccountUserId), which every session of that account may undo
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { validateResumeToken } from './validation.js';
+
+// Encodes to the 43 base64url characters validateResumeToken accepts
+const RESUME_TOKEN_BYTES = 32;
+
+/**
+ * Resume the session of a handshake's resume token, or start a new one when it has
+ * none (or an unusable one). Returns { resumeToken, userId }
+ */
+export function resolveSession(resumeToken, account) {
+    const token = validateResumeToken(resumeToken).length === 0
+        ? resumeToken
+        : randomBytes(RESUME_TOKEN_BYTES).toString('base64url');
+
+    return { resumeToken: token, userId: hash(`${account?.id ?? ''}\n${token}`) };
+}
+
+/**
+ * Get the user id of an account's imports, or null without an account
+ */
+export function getAccountUserId(account) {
+    return account ? `account:${account.id}` : null;
+}
+
+function hash(value) {
+    return createHash('sha256').update(value).digest('hex').slice(0, 32);
+}
@@ -0,0 +1,69 @@
+/**
+ * File-backed room store
+ * Writes one JSON document per room into a data directory
+ */
+
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'fs/promises';
+import path from 'path';
+
+const EXTENSION = '.json';
+
+export function createFileStore(directory) {
+    const ready = mkdir(directory, { recursive: true });
+
+    // Room ids come from users, so encode them before using them as file names
+    const fileFor = (roomId) => path.join(directory, encodeURIComponent(roomId) + EXTENSION);
+
+    return {
+        name: 'file',
+
+        /**
+         * Load a room record, or null if it was never saved
+         */
+        async load(roomId) {
+            await ready;
+            try {
+                return JSON.parse(await readFile(fileFor(roomId), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        /**
+         * Save (overwrite) a room record
+         * Writes to a temp file first so a crash never leaves a half-written document
+         */
+        async save(roomId, record) {
+            await ready;
+            const file = fileFor(roomId);
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await writeFile(tempFile, JSON.stringify(record));
+            await rename(tempFile, file);
+        },
+
+        /**
+         * Delete a room record
+         */
+        async remove(roomId) {
+            await ready;
+            await rm(fileFor(roomId), { force: true });
+        },
+
+        /**
+         * List stored rooms with their last update time (file modification time)
+         */
+        async list() {
+            await ready;
+            const files = (await readdir(directory)).filter(file => file.endsWith(EXTENSION));
+
+            return Promise.all(files.map(async (file) => {
+                const { mtimeMs } = await stat(path.join(directory, file));
+                return {
+                    roomId: decodeURIComponent(file.slice(0, -EXTENSION.length)),
+                    updatedAt: mtimeMs,
+                };
+            }));
+        },
+    };
+}
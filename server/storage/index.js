@@ -0,0 +1,30 @@
+/**
+ * Storage layer for room history
+ * Picks a backend from the environment:
+ *   STORAGE_DRIVER=file (default) | memory
+ *   STORAGE_DIR=<directory for the file driver> (default: server/data)
+ */
+
+import { fileURLToPath } from 'url';
+import { createFileStore } from './file-store.js';
+import { createMemoryStore } from './memory-store.js';
+
+const DEFAULT_DIR = fileURLToPath(new URL('../data', import.meta.url));
+
+/**
+ * Create a room store
+ * Every store exposes async load/save/remove/list keyed by room id
+ */
+export function createStore({
+    driver = process.env.STORAGE_DRIVER || 'file',
+    directory = process.env.STORAGE_DIR || DEFAULT_DIR,
+} = {}) {
+    switch (driver) {
+        case 'file':
+            return createFileStore(directory);
+        case 'memory':
+            return createMemoryStore();
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "file" or "memory")`);
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * In-memory room store
+ * Keeps room records in a Map; nothing survives a restart (used for tests and throwaway servers)
+ */
+
+export function createMemoryStore() {
+    const records = new Map();
+
+    return {
+        name: 'memory',
+
+        /**
+         * Load a room record, or null if it was never saved
+         */
+        async load(roomId) {
+            const record = records.get(roomId);
+            return record ? structuredClone(record) : null;
+        },
+
+        /**
+         * Save (overwrite) a room record
+         */
+        async save(roomId, record) {
+            records.set(roomId, structuredClone(record));
+        },
+
+        /**
+         * Delete a room record
+         */
+        async remove(roomId) {
+            records.delete(roomId);
+        },
+
+        /**
+         * List stored rooms with their last update time
+         */
+        async list() {
+            return Array.from(records.values(), ({ roomId, updatedAt }) => ({ roomId, updatedAt }));
+        },
+    };
+}
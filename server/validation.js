@@ -0,0 +1,913 @@
+/**
+ * Payload validation
+ * Checks client-supplied operation data before it reaches the drawing state, and
+ * the payload of every socket event before its handler runs (see validateEvent)
+ */
+
+import { normalizeRoomId } from '../src/utils/roomUrl.js';
+import { MIN_ZOOM, MAX_ZOOM } from '../src/utils/viewport.js';
+import { ROLES } from './room-access.js';
+import { PEN_VALUES_PER_POINT, PRESSURE_QUANTIZATION } from '../src/utils/strokeProtocol.js';
+import { BRUSH_TYPES } from '../src/utils/brushes.js';
+import { MAX_PALETTE_COLORS, MIN_OPACITY, normalizeColor } from '../src/utils/colors.js';
+
+export const LIMITS = {
+    maxImportOperations: 10000,
+    maxPointsPerStroke: 5000,
+    maxCoordinate: 1e6,
+    minWidth: 1,
+    maxWidth: 100,
+    maxTextLength: 2000,
+    minFontSize: 8,
+    maxFontSize: 200,
+    maxActiveStrokes: 8,
+    maxDeltasPerBatch: 1000,
+    maxUsernameLength: 32,
+    maxTokenLength: 2048,
+    maxInviteHours: 24 * 30,
+    maxScreenSize: 16384,
+    maxLayers: 32,
+    maxLayerNameLength: 40,
+    maxSnapshotNameLength: 60,
+    maxStrokeDuration: 10 * 60 * 1000,
+    maxTilt: 90,
+    maxFillRuns: 200000,
+    minFillCell: 0.01,
+    maxFillCell: 1000,
+};
+
+// Machine-readable codes carried by error acknowledgements ({ ok: false, code, errors })
+export const ERROR_CODES = {
+    invalidPayload: 'INVALID_PAYLOAD',
+    rateLimited: 'RATE_LIMITED',
+    notInRoom: 'NOT_IN_ROOM',
+    notFound: 'NOT_FOUND',
+    roomUnavailable: 'ROOM_UNAVAILABLE',
+    unauthorized: 'UNAUTHORIZED',
+    forbidden: 'FORBIDDEN',
+    layerLocked: 'LAYER_LOCKED',
+};
+
+export const ALLOWED_TOOLS = [...BRUSH_TYPES, 'eraser'];
+export const ALLOWED_SHAPES = ['line', 'rectangle', 'ellipse', 'arrow'];
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const RESUME_TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+const LAYER_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+// eslint-disable-next-line no-control-regex
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Validate a list of operations (e.g. an uploaded export)
+ * Returns { operations, errors }: clean operation data (ids, users and timestamps
+ * stripped) when valid, otherwise a list of human-readable problems
+ */
+export function validateOperations(value) {
+    const errors = [];
+
+    if (!Array.isArray(value)) {
+        return { operations: null, errors: ['operations must be an array'] };
+    }
+    if (value.length > LIMITS.maxImportOperations) {
+        return {
+            operations: null,
+            errors: [`operations may contain at most ${LIMITS.maxImportOperations} entries (got ${value.length})`],
+        };
+    }
+
+    const operations = [];
+    for (let i = 0; i < value.length && errors.length < MAX_REPORTED_ERRORS; i++) {
+        const result = validateOperationData(value[i], `operations[${i}]`);
+        if (result.errors.length > 0) {
+            errors.push(...result.errors);
+        } else {
+            operations.push(result.operation);
+        }
+    }
+
+    return errors.length > 0
+        ? { operations: null, errors: errors.slice(0, MAX_REPORTED_ERRORS) }
+        : { operations, errors: [] };
+}
+
+/**
+ * Validate replacement data for existing operations (e.g. a moved selection)
+ * Every entry is { id, ...operation data }; returns { updates, errors } where
+ * updates are { id, operation } pairs with clean operation data
+ */
+export function validateOperationUpdates(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return { updates: null, errors: ['operations must be a non-empty array'] };
+    }
+    if (value.length > LIMITS.maxImportOperations) {
+        return {
+            updates: null,
+            errors: [`operations may contain at most ${LIMITS.maxImportOperations} entries (got ${value.length})`],
+        };
+    }
+
+    const errors = [];
+    const updates = [];
+    for (let i = 0; i < value.length && errors.length < MAX_REPORTED_ERRORS; i++) {
+        const label = `operations[${i}]`;
+        if (isObject(value[i]) && !Number.isInteger(value[i].id)) {
+            errors.push(`${label}.id must be an integer`);
+            continue;
+        }
+
+        const result = validateOperationData(value[i], label);
+        if (result.errors.length > 0) {
+            errors.push(...result.errors);
+        } else {
+            updates.push({ id: value[i].id, operation: result.operation });
+        }
+    }
+
+    return errors.length > 0
+        ? { updates: null, errors: errors.slice(0, MAX_REPORTED_ERRORS) }
+        : { updates, errors: [] };
+}
+
+/**
+ * Validate a list of operation ids
+ */
+export function validateOperationIds(value) {
+    if (!Array.isArray(value) || value.length === 0 || !value.every(Number.isInteger)) {
+        return ['operationIds must be a non-empty array of integers'];
+    }
+    if (value.length > LIMITS.maxImportOperations) {
+        return [`operationIds may contain at most ${LIMITS.maxImportOperations} entries (got ${value.length})`];
+    }
+    return [];
+}
+
+/**
+ * Validate a session resume token (sent in the handshake, issued by the server)
+ */
+export function validateResumeToken(value) {
+    if (typeof value !== 'string' || !RESUME_TOKEN_PATTERN.test(value)) {
+        return ['resumeToken must be 43 letters, digits, "-" or "_"'];
+    }
+    return [];
+}
+
+/**
+ * Payload checks for every client socket event
+ * Each returns { value, errors }: the clean payload handed to the event handler, or the
+ * problems found. Events without a payload accept anything and get an empty object
+ */
+const EVENT_VALIDATORS = {
+    join_room: validateJoinRoom,
+    leave_room: validateNoPayload,
+    draw_start: (value) => ({ value, errors: validateStrokeStart(value) }),
+    draw_points: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['draw_points must be an object'] };
+        const errors = validateStrokeId(value.strokeId, 'draw_points');
+        errors.push(...validateStrokeDeltas(value.deltas, 'draw_points.deltas'));
+        if (value.pen !== undefined && errors.length === 0) {
+            errors.push(...validateStrokePen(value.pen, value.deltas.length / 2, 'draw_points.pen'));
+        }
+        return { value: { strokeId: value.strokeId, deltas: value.deltas, pen: value.pen }, errors };
+    },
+    draw_end: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['draw_end must be an object'] };
+        const errors = validateStrokeId(value.strokeId, 'draw_end');
+        if (value.layerId !== undefined && !isLayerId(value.layerId)) {
+            errors.push('draw_end.layerId must be a layer id');
+        }
+        return { value: { strokeId: value.strokeId, layerId: value.layerId }, errors };
+    },
+    draw_cancel: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['draw_cancel must be an object'] };
+        return { value: { strokeId: value.strokeId }, errors: validateStrokeId(value.strokeId, 'draw_cancel') };
+    },
+    draw_shape: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['shape must be an object'] };
+        const { operation, errors } = withLayerId(validateShapeData(value), value, 'shape');
+        return { value: operation, errors };
+    },
+    draw_fill: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['fill must be an object'] };
+        const { operation, errors } = withLayerId(validateFillData(value), value, 'fill');
+        return { value: operation, errors };
+    },
+    draw_text: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['text must be an object'] };
+        const { operation, errors } = withLayerId(validateTextData(value), value, 'text');
+        return { value: operation, errors };
+    },
+    edit_text: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['edit_text must be an object'] };
+        const { operationId, text, color, fontSize } = value;
+        const errors = Number.isInteger(operationId) ? [] : ['edit_text.operationId must be an integer'];
+        errors.push(...validateTextChanges({ text, color, fontSize }));
+
+        // Only the fields that were sent are changed
+        const changes = Object.fromEntries(
+            Object.entries({ text, color, fontSize }).filter(([, field]) => field !== undefined)
+        );
+        if (Object.keys(changes).length === 0) {
+            errors.push('edit_text must change text, color or fontSize');
+        }
+        return { value: { operationId, changes }, errors };
+    },
+    update_operations: (value) => {
+        const { updates, errors } = validateOperationUpdates(value?.operations);
+        return { value: updates, errors };
+    },
+    delete_operations: (value) => ({
+        value: value?.operationIds,
+        errors: validateOperationIds(value?.operationIds),
+    }),
+    undo: validateNoPayload,
+    redo: validateNoPayload,
+    clear_canvas: validateNoPayload,
+    // The operations themselves go through validateOperations, shared with the HTTP import
+    import_operations: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['import_operations must be an object'] };
+        const errors = [];
+        if (value.mode !== undefined && value.mode !== 'append' && value.mode !== 'replace') {
+            errors.push('mode must be "append" or "replace"');
+        }
+        if (!Array.isArray(value.operations) && !isObject(value.operations)) {
+            errors.push('operations must be an array or an export document');
+        }
+        return { value: { operations: value.operations, mode: value.mode ?? 'append' }, errors };
+    },
+    cursor_move: (value) => (isPoint(value)
+        ? { value: { x: value.x, y: value.y }, errors: [] }
+        : { value: null, errors: [`cursor_move must have x and y coordinates within ±${LIMITS.maxCoordinate}`] }),
+    set_room_access: (value) => (typeof value?.private === 'boolean'
+        ? { value: { private: value.private }, errors: [] }
+        : { value: null, errors: ['set_room_access.private must be a boolean'] }),
+    create_invite: validateCreateInvite,
+    create_layer: (value) => {
+        if (value !== undefined && value !== null && !isObject(value)) {
+            return { value: null, errors: ['create_layer must be an object'] };
+        }
+        const name = typeof value?.name === 'string' ? value.name.trim() : value?.name;
+        const errors = name === undefined || name === '' ? [] : validateName(name, 'create_layer.name', LIMITS.maxLayerNameLength);
+        return { value: { name: name || null }, errors };
+    },
+    update_layer: validateUpdateLayer,
+    create_snapshot: (value) => {
+        const name = typeof value?.name === 'string' ? value.name.trim() : value?.name;
+        return { value: { name }, errors: validateName(name, 'create_snapshot.name', LIMITS.maxSnapshotNameLength) };
+    },
+    get_snapshot: (value) => (isId(value?.snapshotId)
+        ? { value: { snapshotId: value.snapshotId }, errors: [] }
+        : { value: null, errors: ['get_snapshot.snapshotId must be a positive integer'] }),
+    get_version: (value) => (Number.isInteger(value?.timestamp) && value.timestamp >= 0
+        ? { value: { timestamp: value.timestamp }, errors: [] }
+        : { value: null, errors: ['get_version.timestamp must be a non-negative integer (ms since the epoch)'] }),
+    restore_version: validateRestoreVersion,
+    set_palette: (value) => {
+        const { palette, errors } = validatePalette(value?.colors, 'set_palette.colors');
+        return { value: { colors: palette }, errors };
+    },
+    move_layer: (value) => {
+        if (!isObject(value)) return { value: null, errors: ['move_layer must be an object'] };
+        const errors = isLayerId(value.layerId) ? [] : ['move_layer.layerId must be a layer id'];
+        if (!Number.isInteger(value.index) || value.index < 0 || value.index >= LIMITS.maxLayers) {
+            errors.push(`move_layer.index must be an integer between 0 and ${LIMITS.maxLayers - 1}`);
+        }
+        return { value: { layerId: value.layerId, index: value.index }, errors };
+    },
+    viewport_update: (value) => {
+        const errors = validateViewport(value);
+        return errors.length > 0
+            ? { value: null, errors }
+            : { value: pickViewport(value), errors };
+    },
+    set_presenting: (value) => {
+        if (typeof value?.presenting !== 'boolean') {
+            return { value: null, errors: ['set_presenting.presenting must be a boolean'] };
+        }
+        const errors = value.viewport === undefined ? [] : validateViewport(value.viewport, 'set_presenting.viewport');
+        return {
+            value: { presenting: value.presenting, viewport: value.viewport === undefined ? null : pickViewport(value.viewport) },
+            errors,
+        };
+    },
+};
+
+/**
+ * Check a socket event's payload
+ * Returns { value, errors }; unknown events are always rejected
+ */
+export function validateEvent(event, payload) {
+    const validator = EVENT_VALIDATORS[event];
+    if (!validator) {
+        return { value: null, errors: [`unknown event "${event}"`] };
+    }
+
+    const { value, errors } = validator(payload);
+    return { value, errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+}
+
+/**
+ * Whether an event has a validator (and so a handler)
+ */
+export function isKnownEvent(event) {
+    return Object.hasOwn(EVENT_VALIDATORS, event);
+}
+
+/**
+ * Validate a room id (from join_room or an HTTP route)
+ * Room ids must already be normalized (the client does that before joining)
+ */
+export function validateRoomId(value) {
+    if (typeof value !== 'string' || value === '' || normalizeRoomId(value) !== value) {
+        return ['roomId must be 1-64 lowercase letters, digits, "-" or "_"'];
+    }
+    return [];
+}
+
+/**
+ * Validate a join_room payload ({ roomId, username, since?, invite?, spectate? })
+ */
+function validateJoinRoom(value) {
+    if (!isObject(value)) {
+        return { value: null, errors: ['join_room must be an object'] };
+    }
+
+    const { roomId, since, invite, spectate = false } = value;
+    const username = typeof value.username === 'string' ? value.username.trim() : value.username;
+
+    const errors = validateRoomId(roomId);
+    if (username !== undefined && (typeof username !== 'string' ||
+        username.length > LIMITS.maxUsernameLength || CONTROL_CHARACTERS.test(username))) {
+        errors.push(`username must be a string of at most ${LIMITS.maxUsernameLength} characters`);
+    }
+    if (since !== undefined && since !== null && !(isObject(since) &&
+        typeof since.epoch === 'string' && since.epoch.length <= 64 &&
+        Number.isInteger(since.revision) && since.revision >= 0)) {
+        errors.push('since must be { epoch, revision } from a previous sync');
+    }
+    if (invite !== undefined && invite !== null &&
+        (typeof invite !== 'string' || invite.length > LIMITS.maxTokenLength)) {
+        errors.push('invite must be an invite token');
+    }
+    if (typeof spectate !== 'boolean') {
+        errors.push('spectate must be a boolean');
+    }
+
+    return { value: { roomId, username, since: since ?? null, invite: invite ?? null, spectate }, errors };
+}
+
+/**
+ * Validate a create_invite payload ({ role, expiresInHours? })
+ * Invites never grant ownership
+ */
+function validateCreateInvite(value) {
+    if (!isObject(value)) {
+        return { value: null, errors: ['create_invite must be an object'] };
+    }
+
+    const errors = [];
+    const { role, expiresInHours = 24 } = value;
+    const roles = ROLES.filter(name => name !== 'owner');
+
+    if (!roles.includes(role)) {
+        errors.push(`create_invite.role must be one of ${roles.join(', ')}`);
+    }
+    if (!Number.isInteger(expiresInHours) || expiresInHours < 1 || expiresInHours > LIMITS.maxInviteHours) {
+        errors.push(`create_invite.expiresInHours must be an integer between 1 and ${LIMITS.maxInviteHours}`);
+    }
+
+    return { value: { role, expiresInHours }, errors };
+}
+
+/**
+ * Validate an update_layer payload ({ layerId, name?, visible?, locked? })
+ * Only the fields that were sent are changed
+ */
+function validateUpdateLayer(value) {
+    if (!isObject(value)) {
+        return { value: null, errors: ['update_layer must be an object'] };
+    }
+
+    const errors = isLayerId(value.layerId) ? [] : ['update_layer.layerId must be a layer id'];
+    const name = typeof value.name === 'string' ? value.name.trim() : value.name;
+    const { visible, locked } = value;
+
+    if (name !== undefined) {
+        errors.push(...validateName(name, 'update_layer.name', LIMITS.maxLayerNameLength));
+    }
+    if (visible !== undefined && typeof visible !== 'boolean') {
+        errors.push('update_layer.visible must be a boolean');
+    }
+    if (locked !== undefined && typeof locked !== 'boolean') {
+        errors.push('update_layer.locked must be a boolean');
+    }
+
+    const changes = Object.fromEntries(
+        Object.entries({ name, visible, locked }).filter(([, field]) => field !== undefined)
+    );
+    if (Object.keys(changes).length === 0) {
+        errors.push('update_layer must change name, visible or locked');
+    }
+
+    return { value: { layerId: value.layerId, changes }, errors };
+}
+
+/**
+ * Validate the layer list of an export document
+ * Returns { layers, errors } with clean { id, name, visible, locked } entries
+ */
+export function validateLayers(value, label = 'layers') {
+    if (!Array.isArray(value) || value.length > LIMITS.maxLayers) {
+        return { layers: null, errors: [`${label} must be an array of at most ${LIMITS.maxLayers} layers`] };
+    }
+
+    const errors = [];
+    value.forEach((layer, i) => {
+        if (!isObject(layer) || !isLayerId(layer.id)) {
+            errors.push(`${label}[${i}].id must be a layer id`);
+            return;
+        }
+        errors.push(...validateName(layer.name, `${label}[${i}].name`, LIMITS.maxLayerNameLength));
+        if (typeof layer.visible !== 'boolean' || typeof layer.locked !== 'boolean') {
+            errors.push(`${label}[${i}].visible and locked must be booleans`);
+        }
+    });
+    if (new Set(value.map(layer => layer?.id)).size !== value.length) {
+        errors.push(`${label} must not repeat a layer id`);
+    }
+
+    return errors.length > 0
+        ? { layers: null, errors: errors.slice(0, MAX_REPORTED_ERRORS) }
+        : { layers: value.map(({ id, name, visible, locked }) => ({ id, name: name.trim(), visible, locked })), errors: [] };
+}
+
+/**
+ * Validate a layer or snapshot name
+ */
+function validateName(value, label, maxLength) {
+    if (typeof value !== 'string' || value.trim() === '' || value.length > maxLength ||
+        CONTROL_CHARACTERS.test(value)) {
+        return [`${label} must be a non-empty string of at most ${maxLength} characters`];
+    }
+    return [];
+}
+
+/**
+ * Validate a restore_version payload: a snapshot id or a point in time, not both
+ */
+function validateRestoreVersion(value) {
+    if (!isObject(value)) {
+        return { value: null, errors: ['restore_version must be an object'] };
+    }
+
+    const { snapshotId, timestamp } = value;
+    if ((snapshotId === undefined) === (timestamp === undefined)) {
+        return { value: null, errors: ['restore_version needs either snapshotId or timestamp'] };
+    }
+    if (snapshotId !== undefined) {
+        return isId(snapshotId)
+            ? { value: { snapshotId, timestamp: null }, errors: [] }
+            : { value: null, errors: ['restore_version.snapshotId must be a positive integer'] };
+    }
+    return Number.isInteger(timestamp) && timestamp >= 0
+        ? { value: { snapshotId: null, timestamp }, errors: [] }
+        : { value: null, errors: ['restore_version.timestamp must be a non-negative integer (ms since the epoch)'] };
+}
+
+/**
+ * Validate a shared view ({ x, y, zoom } plus the screen size it was seen on)
+ */
+function validateViewport(value, label = 'viewport') {
+    if (!isPoint(value) || !isNumberInRange(value.zoom, MIN_ZOOM, MAX_ZOOM)) {
+        return [`${label} must be { x, y, zoom } with coordinates within ±${LIMITS.maxCoordinate} and zoom between ${MIN_ZOOM} and ${MAX_ZOOM}`];
+    }
+
+    const isScreenSize = (size) => Number.isInteger(size) && size >= 1 && size <= LIMITS.maxScreenSize;
+    if (!isScreenSize(value.width) || !isScreenSize(value.height)) {
+        return [`${label}.width and height must be screen sizes between 1 and ${LIMITS.maxScreenSize}`];
+    }
+
+    return [];
+}
+
+function pickViewport({ x, y, zoom, width, height }) {
+    return { x, y, zoom, width, height };
+}
+
+function validateNoPayload(value) {
+    if (value !== undefined && value !== null && !isObject(value)) {
+        return { value: null, errors: ['payload must be an object or empty'] };
+    }
+    return { value: {}, errors: [] };
+}
+
+function validateStrokeId(value, label) {
+    return Number.isInteger(value) && value >= 0 ? [] : [`${label}.strokeId must be a non-negative integer`];
+}
+
+/**
+ * Validate a single operation's drawable data
+ * Dispatches on type: freehand strokes ("draw", the default), shapes ("shape"), text ("text")
+ * or flood fills ("fill")
+ */
+export function validateOperationData(value, label = 'operation') {
+    if (!isObject(value)) {
+        return { operation: null, errors: [`${label} must be an object`] };
+    }
+
+    switch (value.type ?? 'draw') {
+        case 'draw':
+            return withLayerId(validateStrokeData(value, label), value, label);
+        case 'shape':
+            return withLayerId(validateShapeData(value, label), value, label);
+        case 'text':
+            return withLayerId(validateTextData(value, label), value, label);
+        case 'fill':
+            return withLayerId(validateFillData(value, label), value, label);
+        default:
+            return { operation: null, errors: [`${label}.type must be "draw", "shape", "text" or "fill"`] };
+    }
+}
+
+/**
+ * Carry an operation's layerId over to its clean data, if it has one
+ */
+function withLayerId({ operation, errors }, value, label) {
+    if (value.layerId === undefined) {
+        return { operation, errors };
+    }
+    if (!isLayerId(value.layerId)) {
+        return { operation: null, errors: [...errors, `${label}.layerId must be a layer id`] };
+    }
+    return { operation: operation && { ...operation, layerId: value.layerId }, errors };
+}
+
+/**
+ * Validate a freehand stroke
+ */
+export function validateStrokeData(value, label = 'stroke') {
+    const errors = [];
+
+    if (!ALLOWED_TOOLS.includes(value.tool)) {
+        errors.push(`${label}.tool must be one of ${ALLOWED_TOOLS.join(', ')}`);
+    }
+    errors.push(...validateStyle(value, label));
+    const pointErrors = validatePoints(value.points, `${label}.points`);
+    errors.push(...pointErrors);
+    if (value.timings !== undefined && pointErrors.length === 0) {
+        errors.push(...validateTimings(value.timings, value.points.length, `${label}.timings`));
+    }
+
+    if (errors.length > 0) {
+        return { operation: null, errors };
+    }
+
+    return {
+        operation: {
+            type: 'draw',
+            points: value.points.map(cleanPoint),
+            color: value.color,
+            width: value.width,
+            tool: value.tool,
+            ...pickOpacity(value),
+            ...(value.timings !== undefined && { timings: value.timings.slice() }),
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Validate a stroke's recorded timing: milliseconds since the stroke started, one per
+ * point and never going backwards
+ */
+function validateTimings(timings, pointCount, label) {
+    if (!Array.isArray(timings) || timings.length !== pointCount) {
+        return [`${label} must be an array with one entry per point`];
+    }
+
+    const valid = timings.every((time, i) => isNumberInRange(time, 0, LIMITS.maxStrokeDuration) &&
+        (i === 0 || time >= timings[i - 1]));
+    return valid
+        ? []
+        : [`${label} must be non-decreasing numbers of milliseconds between 0 and ${LIMITS.maxStrokeDuration}`];
+}
+
+/**
+ * Keep a point's coordinates and, when it has pressure, its pen data
+ */
+function cleanPoint({ x, y, pressure, tiltX = 0, tiltY = 0 }) {
+    return pressure === undefined ? { x, y } : { x, y, pressure, tiltX, tiltY };
+}
+
+/**
+ * Validate the start of a live stroke ({ strokeId, x, y, color, width, tool }, plus
+ * pressure, tiltX and tiltY when drawn with a pen)
+ */
+export function validateStrokeStart(value, label = 'draw_start') {
+    if (!isObject(value)) {
+        return [`${label} must be an object`];
+    }
+
+    const errors = validateStrokeId(value.strokeId, label);
+    if (!ALLOWED_TOOLS.includes(value.tool)) {
+        errors.push(`${label}.tool must be one of ${ALLOWED_TOOLS.join(', ')}`);
+    }
+    errors.push(...validateStyle(value, label));
+    if (!isPoint(value)) {
+        errors.push(`${label} must have x and y coordinates within ±${LIMITS.maxCoordinate}`);
+    }
+    if (!hasValidPen(value)) {
+        errors.push(`${label} pressure must be between 0 and 1 and tilt within ±${LIMITS.maxTilt} degrees`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a batch's pen data: one [pressure, tiltX, tiltY] triple of integers per
+ * point, pressure in hundredths
+ */
+export function validateStrokePen(value, pointCount, label = 'pen') {
+    if (!Array.isArray(value) || value.length !== pointCount * PEN_VALUES_PER_POINT) {
+        return [`${label} must be an array with ${PEN_VALUES_PER_POINT} values per point`];
+    }
+
+    const valid = value.every((entry, i) => Number.isSafeInteger(entry) && (i % PEN_VALUES_PER_POINT === 0
+        ? entry >= 0 && entry <= PRESSURE_QUANTIZATION
+        : Math.abs(entry) <= LIMITS.maxTilt));
+    return valid
+        ? []
+        : [`${label} pressure must be between 0 and ${PRESSURE_QUANTIZATION} and tilt within ±${LIMITS.maxTilt} degrees`];
+}
+
+/**
+ * Validate a batch of quantized point deltas ([dx, dy, dx, dy, ...] integers)
+ */
+export function validateStrokeDeltas(value, label = 'deltas') {
+    if (!Array.isArray(value) || value.length === 0 || value.length % 2 !== 0) {
+        return [`${label} must be a non-empty array of [dx, dy] pairs`];
+    }
+    if (value.length > LIMITS.maxDeltasPerBatch * 2) {
+        return [`${label} may contain at most ${LIMITS.maxDeltasPerBatch} points per batch`];
+    }
+    if (!value.every(Number.isSafeInteger)) {
+        return [`${label} must only contain integers`];
+    }
+
+    return [];
+}
+
+/**
+ * Validate a shape (line, rectangle, ellipse or arrow between two drag corners)
+ */
+export function validateShapeData(value, label = 'shape') {
+    const errors = [];
+
+    if (!ALLOWED_SHAPES.includes(value.shape)) {
+        errors.push(`${label}.shape must be one of ${ALLOWED_SHAPES.join(', ')}`);
+    }
+    errors.push(...validateStyle(value, label));
+    if (!isPoint(value.start)) {
+        errors.push(`${label}.start must be { x, y } with coordinates within ±${LIMITS.maxCoordinate}`);
+    }
+    if (!isPoint(value.end)) {
+        errors.push(`${label}.end must be { x, y } with coordinates within ±${LIMITS.maxCoordinate}`);
+    }
+    if (value.fill !== undefined && typeof value.fill !== 'boolean') {
+        errors.push(`${label}.fill must be a boolean`);
+    }
+
+    if (errors.length > 0) {
+        return { operation: null, errors };
+    }
+
+    return {
+        operation: {
+            type: 'shape',
+            shape: value.shape,
+            start: { x: value.start.x, y: value.start.y },
+            end: { x: value.end.x, y: value.end.y },
+            color: value.color,
+            width: value.width,
+            fill: value.fill === true,
+            ...pickOpacity(value),
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Validate a text label anchored at its top-left corner
+ */
+export function validateTextData(value, label = 'text') {
+    const errors = [];
+
+    if (!isPoint(value)) {
+        errors.push(`${label} must have x and y coordinates within ±${LIMITS.maxCoordinate}`);
+    }
+    errors.push(...validateTextChanges(value, label, { partial: false }));
+    errors.push(...validateOpacity(value, label));
+
+    if (errors.length > 0) {
+        return { operation: null, errors };
+    }
+
+    return {
+        operation: {
+            type: 'text',
+            x: value.x,
+            y: value.y,
+            text: value.text,
+            color: value.color,
+            fontSize: value.fontSize,
+            ...pickOpacity(value),
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Validate a flood fill: a run-length mask of columns x rows cells anchored at its
+ * top-left corner (see floodFill.js)
+ */
+export function validateFillData(value, label = 'fill') {
+    const errors = [];
+
+    if (!isPoint(value)) {
+        errors.push(`${label} must have x and y coordinates within ±${LIMITS.maxCoordinate}`);
+    }
+    if (!isColor(value.color)) {
+        errors.push(`${label}.color must be a hex color like #1a2b3c`);
+    }
+    errors.push(...validateOpacity(value, label));
+    if (!isNumberInRange(value.cellWidth, LIMITS.minFillCell, LIMITS.maxFillCell) ||
+        !isNumberInRange(value.cellHeight, LIMITS.minFillCell, LIMITS.maxFillCell)) {
+        errors.push(`${label}.cellWidth and cellHeight must be numbers between ${LIMITS.minFillCell} and ${LIMITS.maxFillCell}`);
+    }
+
+    const isSize = (size) => Number.isInteger(size) && size >= 1 && size <= LIMITS.maxScreenSize;
+    if (!isSize(value.columns) || !isSize(value.rows)) {
+        errors.push(`${label}.columns and rows must be integers between 1 and ${LIMITS.maxScreenSize}`);
+    } else {
+        errors.push(...validateFillRuns(value.runs, value.columns * value.rows, `${label}.runs`));
+    }
+
+    if (errors.length > 0) {
+        return { operation: null, errors };
+    }
+
+    return {
+        operation: {
+            type: 'fill',
+            x: value.x,
+            y: value.y,
+            cellWidth: value.cellWidth,
+            cellHeight: value.cellHeight,
+            columns: value.columns,
+            rows: value.rows,
+            runs: value.runs.slice(),
+            color: value.color,
+            ...pickOpacity(value),
+        },
+        errors: [],
+    };
+}
+
+/**
+ * Validate a fill's runs: cell counts covering the whole mask exactly
+ */
+function validateFillRuns(runs, cellCount, label) {
+    if (!Array.isArray(runs) || runs.length === 0 || runs.length > LIMITS.maxFillRuns) {
+        return [`${label} must be a non-empty array of at most ${LIMITS.maxFillRuns} entries`];
+    }
+    if (!runs.every(run => Number.isInteger(run) && run >= 0)) {
+        return [`${label} must contain non-negative integers`];
+    }
+
+    const total = runs.reduce((sum, run) => sum + run, 0);
+    return total === cellCount ? [] : [`${label} must add up to columns x rows (${cellCount}, got ${total})`];
+}
+
+/**
+ * Validate the editable fields of a text operation
+ * With partial, missing fields are allowed (an edit may only change the text)
+ */
+export function validateTextChanges(value, label = 'text', { partial = true } = {}) {
+    const errors = [];
+
+    if (!(partial && value.text === undefined) &&
+        (typeof value.text !== 'string' || value.text.trim() === '' || value.text.length > LIMITS.maxTextLength)) {
+        errors.push(`${label}.text must be a non-empty string of at most ${LIMITS.maxTextLength} characters`);
+    }
+    if (!(partial && value.color === undefined) && !isColor(value.color)) {
+        errors.push(`${label}.color must be a hex color like #1a2b3c`);
+    }
+    if (!(partial && value.fontSize === undefined) &&
+        !isNumberInRange(value.fontSize, LIMITS.minFontSize, LIMITS.maxFontSize)) {
+        errors.push(`${label}.fontSize must be a number between ${LIMITS.minFontSize} and ${LIMITS.maxFontSize}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validate the color, width and optional opacity every drawable operation carries
+ */
+function validateStyle(value, label) {
+    const errors = [];
+
+    if (!isColor(value.color)) {
+        errors.push(`${label}.color must be a hex color like #1a2b3c`);
+    }
+    if (!isNumberInRange(value.width, LIMITS.minWidth, LIMITS.maxWidth)) {
+        errors.push(`${label}.width must be a number between ${LIMITS.minWidth} and ${LIMITS.maxWidth}`);
+    }
+    errors.push(...validateOpacity(value, label));
+
+    return errors;
+}
+
+function validateOpacity(value, label) {
+    return value.opacity === undefined || isNumberInRange(value.opacity, MIN_OPACITY, 1)
+        ? []
+        : [`${label}.opacity must be a number between ${MIN_OPACITY} and 1`];
+}
+
+/**
+ * Keep an operation's opacity when it was given one
+ */
+function pickOpacity({ opacity }) {
+    return opacity === undefined ? {} : { opacity };
+}
+
+/**
+ * Validate a room palette: distinct hex colors, stored expanded and lowercase
+ */
+export function validatePalette(value, label = 'palette') {
+    if (!Array.isArray(value) || value.length > MAX_PALETTE_COLORS || !value.every(isColor)) {
+        return { palette: null, errors: [`${label} must be an array of at most ${MAX_PALETTE_COLORS} hex colors`] };
+    }
+
+    const palette = value.map(normalizeColor);
+    return new Set(palette).size === palette.length
+        ? { palette, errors: [] }
+        : { palette: null, errors: [`${label} must not repeat a color`] };
+}
+
+/**
+ * Validate a stroke's point list
+ */
+export function validatePoints(points, label = 'points') {
+    if (!Array.isArray(points) || points.length === 0) {
+        return [`${label} must be a non-empty array`];
+    }
+    if (points.length > LIMITS.maxPointsPerStroke) {
+        return [`${label} may contain at most ${LIMITS.maxPointsPerStroke} points (got ${points.length})`];
+    }
+
+    const badIndex = points.findIndex(point => !isPoint(point));
+    if (badIndex !== -1) {
+        return [`${label}[${badIndex}] must be { x, y } with coordinates within ±${LIMITS.maxCoordinate}`];
+    }
+    const badPenIndex = points.findIndex(point => !hasValidPen(point));
+    if (badPenIndex !== -1) {
+        return [`${label}[${badPenIndex}] pressure must be between 0 and 1 and tilt within ±${LIMITS.maxTilt} degrees`];
+    }
+
+    return [];
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isId(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+function isLayerId(value) {
+    return typeof value === 'string' && LAYER_ID_PATTERN.test(value);
+}
+
+function isColor(value) {
+    return typeof value === 'string' && COLOR_PATTERN.test(value);
+}
+
+function isNumberInRange(value, min, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+/**
+ * Check the optional pen data of a point: pressure from 0 to 1 and tilt in degrees
+ */
+function hasValidPen({ pressure, tiltX, tiltY }) {
+    return (pressure === undefined || isNumberInRange(pressure, 0, 1)) &&
+        (tiltX === undefined || isNumberInRange(tiltX, -LIMITS.maxTilt, LIMITS.maxTilt)) &&
+        (tiltY === undefined || isNumberInRange(tiltY, -LIMITS.maxTilt, LIMITS.maxTilt));
+}
+
+function isPoint(point) {
+    return isObject(point) &&
+        isNumberInRange(point.x, -LIMITS.maxCoordinate, LIMITS.maxCoordinate) &&
+        isNumberInRange(point.y, -LIMITS.maxCoordinate, LIMITS.maxCoordinate);
+}
@@ -3,48 +3,282 @@
  * Manages WebSocket connection, global state, and component orchestration
  */
 
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import Canvas from './components/Canvas';
 import Toolbar from './components/Toolbar';
 import UserList from './components/UserList';
+import RoomInfo from './components/RoomInfo';
+import LayersPanel from './components/LayersPanel';
+import TimelinePanel from './components/TimelinePanel';
+import ReplayPanel from './components/ReplayPanel';
 import websocketService from './services/websocket';
+import { clearToken, fetchAuthMode, getStoredToken, login, readToken } from './services/auth';
+import {
+  clearInviteFromUrl,
+  generateRoomId,
+  getInviteFromUrl,
+  getRoomIdFromUrl,
+  normalizeRoomId,
+  setRoomIdInUrl,
+} from './utils/roomUrl';
+import { downloadBlob, exportJSON, exportPNG, exportSVG } from './utils/exportCanvas';
+import { getContentBounds } from './utils/canvasOperations';
+import { isBrush } from './utils/brushes';
+import { addRecentColor, DEFAULT_PALETTE } from './utils/colors';
+import { DEFAULT_FILL_TOLERANCE } from './utils/floodFill';
+import { loadColorPreferences, saveColorPreferences } from './services/preferences';
+import { DEFAULT_VIEWPORT, fitBounds, getVisibleBounds, matchView, zoomAt } from './utils/viewport';
+import { decodeDeltas, quantizePen, quantizePoint } from './utils/strokeProtocol';
+import {
+  createDefaultLayers,
+  DEFAULT_LAYER_ID,
+  getEditableOperations,
+  getLayerId,
+  getVisibleOperations,
+  isLayerLocked,
+  resolveLayer,
+} from './utils/layers';
+
+const SERVER_URL = import.meta.env.VITE_WS_URL || 'http://localhost:3001';
+
+// Remote strokes in progress are not drawn over a previewed version
+const NO_PENDING_STROKES = {};
+
+// How long to wait before asking an unreachable server for its auth mode again
+const AUTH_RETRY_MS = 3000;
+
+// Shortest interval between two shares of this user's view
+const VIEWPORT_SYNC_MS = 100;
+
+// The server rebuilds a point on the timeline once the slider rests this long
+const VERSION_FETCH_DELAY_MS = 150;
+
+// Zoom step for the toolbar buttons and +/- keys
+const ZOOM_STEP = 1.25;
+
+// Keyboard shortcuts for the shape tools
+const SHAPE_SHORTCUTS = { l: 'line', a: 'arrow', r: 'rectangle', o: 'ellipse' };
+
+// Return a copy of an object without the given key
+function removeKey(obj, key) {
+  if (!(key in obj)) return obj;
+  const next = { ...obj };
+  delete next[key];
+  return next;
+}
+
+// Remote in-progress strokes are keyed by user and stroke id
+function strokeKey(userId, strokeId) {
+  return `${userId}:${strokeId}`;
+}
+
+// Return a copy of the pending strokes without any belonging to a user
+function removeUserStrokes(strokes, userId) {
+  const next = Object.fromEntries(
+    Object.entries(strokes).filter(([key]) => !key.startsWith(`${userId}:`))
+  );
+  return Object.keys(next).length === Object.keys(strokes).length ? strokes : next;
+}
+
+// Apply a delta sync: changed operations replace or join the known ones, and the
+// id list gives the order and drops anything removed while this client was away
+function applyDelta(operations, { operations: changed, operationIds }) {
+  const byId = new Map(operations.map(op => [op.id, op]));
+  changed.forEach(op => byId.set(op.id, op));
+  return operationIds.map(id => byId.get(id)).filter(Boolean);
+}
+
+// Return a copy of the user list with one user's shared view replaced
+function setUserViewport(users, userId, viewport) {
+  return users.map(user => (user.userId === userId ? { ...user, viewport } : user));
+}
+
+// Insert an operation keeping the list ordered by id (creation order)
+function insertById(operations, operation) {
+  const index = operations.findIndex(op => op.id > operation.id);
+  if (index === -1) return [...operations, operation];
+  return [...operations.slice(0, index), operation, ...operations.slice(index)];
+}
+
+// Session token handed over in the URL or kept from an earlier visit; expired ones are dropped
+const initialToken = getStoredToken();
+const initialAccount = initialToken ? readToken(initialToken) : null;
+if (initialToken && !initialAccount) clearToken();
 
 function App() {
-  const [socket, setSocket] = useState(null);
   const [connected, setConnected] = useState(false);
+  // Public id the server gave this tab's session; it survives reconnects and reloads
+  const [currentUserId, setCurrentUserId] = useState(() => websocketService.getUserId());
+  // Id the account's imports over HTTP are credited to; they are this user's to undo too
+  const [accountUserId, setAccountUserId] = useState(() => websocketService.getAccountUserId());
+  // Set once the server closed the connection for good; the client does not reconnect after that
+  const [closedReason, setClosedReason] = useState(null);
   const [operations, setOperations] = useState([]);
   const [onlineUsers, setOnlineUsers] = useState([]);
   const [cursors, setCursors] = useState({});
-  const [currentUserId, setCurrentUserId] = useState(null);
+  const [pendingStrokes, setPendingStrokes] = useState({});
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+
+  // Sign-in the server expects ('off', 'dev' or 'token'; null until it answered) and the signed-in account
+  const [authMode, setAuthMode] = useState(null);
+  const [account, setAccount] = useState(initialAccount);
+  const [joinError, setJoinError] = useState(null);
+
+  // This user's role in the current room and whether the room is private
+  const [roomAccess, setRoomAccess] = useState({ role: 'editor', private: false });
+
+  // Presentation mode: spectators join as viewers and follow the presenter's view;
+  // following is null, 'presenter' (whoever presents) or a user id
+  const [spectate, setSpectate] = useState(false);
+  const [presenterId, setPresenterId] = useState(null);
+  const [following, setFollowing] = useState(null);
+  const lastViewportSyncRef = useRef(0);
+  const [roomInput, setRoomInput] = useState(() => getRoomIdFromUrl() || '');
+  const [roomId, setRoomId] = useState(null);
   const [hasJoined, setHasJoined] = useState(false);
 
   // Drawing tool state
   const [currentTool, setCurrentTool] = useState('brush');
-  const [currentColor, setCurrentColor] = useState('#000000');
+  // The brush the brush button and B go back to
+  const [brushType, setBrushType] = useState('brush');
+  // The tool the eyedropper hands back to once it has picked a color
+  const toolBeforeEyedropperRef = useRef('brush');
+  // Color, opacity and recently used colors are remembered across reloads
+  const [storedColors] = useState(loadColorPreferences);
+  const [currentColor, setCurrentColor] = useState(storedColors.color);
+  const [currentOpacity, setCurrentOpacity] = useState(storedColors.opacity);
+  const [recentColors, setRecentColors] = useState(storedColors.recentColors);
   const [currentWidth, setCurrentWidth] = useState(4);
+  const [fillShapes, setFillShapes] = useState(false);
+  const [fillTolerance, setFillTolerance] = useState(DEFAULT_FILL_TOLERANCE);
+  const [palmRejection, setPalmRejection] = useState(true);
+  const [fontSize, setFontSize] = useState(24);
+
+  // Per-user view onto the infinite canvas (world coordinates)
+  const [viewport, setViewport] = useState(DEFAULT_VIEWPORT);
 
-  // Undo/Redo state
-  const [undoStack, setUndoStack] = useState([]);
-  const [redoStack, setRedoStack] = useState([]);
+  // Ids of the operations picked with the select tool
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  // The room's layers (shared) and the one this user draws on (local)
+  const [layers, setLayers] = useState(createDefaultLayers);
+  const [activeLayerId, setActiveLayerId] = useState(DEFAULT_LAYER_ID);
+
+  // The room's shared palette
+  const [palette, setPalette] = useState(DEFAULT_PALETTE);
+
+  // Panel open at the bottom left: 'history', 'replay' or null
+  const [openPanel, setOpenPanel] = useState(null);
+
+  // Saved versions of the room, and the one being previewed in the history panel:
+  // null for the live canvas, { time, operations?, layers? } for a point on the timeline
+  // (operations arrive from the server) or a fetched snapshot
+  const [snapshots, setSnapshots] = useState([]);
+  const [timeline, setTimeline] = useState(null);
+  const versionFetchTimerRef = useRef(null);
+
+  // Operations of the replay frame on screen, while the replay panel is open
+  const [replayFrame, setReplayFrame] = useState(null);
+
+  // Redo availability is tracked by the server (per-user redo stack), and so
+  // is whether one of this user's canvas clears can still be undone
+  const [canRedo, setCanRedo] = useState(false);
+  const [canUndoClear, setCanUndoClear] = useState(false);
+
+  // Short status message shown at the bottom of the screen
+  const [notice, setNotice] = useState(null);
 
   // Connect to WebSocket server
   useEffect(() => {
-    const ws = websocketService.connect(import.meta.env.VITE_WS_URL || 'http://localhost:3001');
-    setSocket(ws);
+    if (initialAccount) {
+      websocketService.setToken(initialToken);
+    }
+    websocketService.connect(SERVER_URL);
+
+    let authRetryTimer = null;
+    const loadAuthMode = () => {
+      fetchAuthMode(SERVER_URL)
+        .then(setAuthMode)
+        .catch((error) => {
+          console.error('Could not load auth config:', error);
+          authRetryTimer = setTimeout(loadAuthMode, AUTH_RETRY_MS);
+        });
+    };
+    loadAuthMode();
+
+    // Sent on every connection; the id only changes when the account does
+    websocketService.on('session', ({ userId, accountUserId }) => {
+      setCurrentUserId(userId);
+      setAccountUserId(accountUserId);
+    });
+
+    // The server refused the session token (expired or signed with another secret)
+    websocketService.on('auth_error', ({ message, hadToken }) => {
+      if (!hadToken) return;
+
+      clearToken();
+      websocketService.setToken(null);
+      setAccount(null);
+      setHasJoined(false);
+      setJoinError(message);
+    });
+
+    // The server turned the join down (private room, bad invite...)
+    websocketService.on('join_failed', ({ errors }) => {
+      setHasJoined(false);
+      setRoomId(null);
+      setJoinError(errors?.[0] || 'Could not join the room');
+    });
+
+    // Role on join; later updates only carry what changed
+    websocketService.on('room_access', (access) => {
+      setRoomAccess(prev => ({ ...prev, ...access }));
+      clearInviteFromUrl();
+
+      // Viewers follow whoever presents unless they chose someone else
+      if (access.role === 'viewer') {
+        setFollowing(prev => prev ?? 'presenter');
+      }
+    });
+
+    // Someone started or stopped presenting; a new presenter's view comes along
+    websocketService.on('presenter_changed', ({ presenterId: nextPresenterId, viewport }) => {
+      setPresenterId(nextPresenterId);
+      if (nextPresenterId && viewport) {
+        setOnlineUsers(prev => setUserViewport(prev, nextPresenterId, viewport));
+      }
+    });
+
+    // Another user panned or zoomed
+    websocketService.on('viewport_update', ({ userId, viewport }) => {
+      setOnlineUsers(prev => setUserViewport(prev, userId, viewport));
+    });
 
     // Connection status
     websocketService.on('connection_status', ({ connected }) => {
       setConnected(connected);
+      // Remote strokes and cursors missed updates while offline; the rejoin brings them back
+      if (!connected) {
+        setPendingStrokes({});
+        setCursors({});
+      }
+    });
+
+    // The same session was opened in another tab, which now owns it
+    websocketService.on('session_replaced', () => {
+      setClosedReason('This canvas was opened in another tab. Reload to continue here.');
+    });
+
+    // The server disconnected this client for sending too many rejected requests
+    websocketService.on('kicked', ({ reason }) => {
+      setClosedReason(`Disconnected by the server: ${reason}. Reload to reconnect.`);
     });
 
     // User joined
     websocketService.on('user_joined', (data) => {
       console.log('User joined:', data);
       setOnlineUsers(data.users);
-      if (data.userId === websocketService.getSocketId()) {
-        setCurrentUserId(data.userId);
-      }
     });
 
     // User left
@@ -57,12 +291,30 @@ function App() {
         delete newCursors[data.userId];
         return newCursors;
       });
+      // Discard any stroke they were in the middle of
+      setPendingStrokes(prev => removeUserStrokes(prev, data.userId));
+      // Nobody left to follow
+      setFollowing(prev => (prev === data.userId ? null : prev));
     });
 
     // Full sync (initial state)
     websocketService.on('full_sync', (data) => {
       console.log('Full sync received:', data.operations.length, 'operations');
       setOperations(data.operations);
+      setLayers(data.layers);
+      setPalette(data.palette);
+      setSnapshots(data.snapshots);
+      setOnlineUsers(data.users);
+      setCanRedo(false);
+    });
+
+    // Rejoined after a reconnect: only what changed while away
+    websocketService.on('delta_sync', (data) => {
+      console.log('Delta sync received:', data.operations.length, 'changed operations');
+      setOperations(prev => applyDelta(prev, data));
+      setLayers(data.layers);
+      setPalette(data.palette);
+      setSnapshots(data.snapshots);
       setOnlineUsers(data.users);
     });
 
@@ -70,8 +322,14 @@ function App() {
     websocketService.on('operation_added', (data) => {
       console.log('Operation added:', data);
       setOperations(prev => [...prev, data.operation]);
-      setUndoStack(prev => [...prev, data.operation]);
-      setRedoStack([]); // Clear redo stack on new operation
+      // Own colors become recent once something is drawn with them
+      if (data.operation.userId === websocketService.getUserId() && data.operation.tool !== 'eraser') {
+        setRecentColors(prev => addRecentColor(prev, data.operation.color));
+      }
+      // Committed stroke replaces the in-progress preview
+      if (data.strokeId !== undefined) {
+        setPendingStrokes(prev => removeKey(prev, strokeKey(data.operation.userId, data.strokeId)));
+      }
     });
 
     // Operation removed (undo)
@@ -80,6 +338,102 @@ function App() {
       setOperations(prev => prev.filter(op => op.id !== data.operationId));
     });
 
+    // Operation changed in place (e.g. re-edited text)
+    websocketService.on('operation_updated', (data) => {
+      console.log('Operation updated:', data);
+      setOperations(prev => prev.map(op => (op.id === data.operation.id ? data.operation : op)));
+    });
+
+    // Operations deleted outright (e.g. a deleted selection)
+    websocketService.on('operation_deleted', (data) => {
+      console.log('Operations deleted:', data);
+      setOperations(prev => prev.filter(op => !data.operationIds.includes(op.id)));
+      setSelectedIds(prev => prev.filter(id => !data.operationIds.includes(id)));
+    });
+
+    // Operation restored (redo) - goes back to its original position
+    websocketService.on('operation_restored', (data) => {
+      console.log('Operation restored:', data);
+      setOperations(prev => insertById(prev, data.operation));
+    });
+
+    // History rebuilt by the server (e.g. an import, a cleared canvas or a restored version)
+    websocketService.on('operations_reset', (data) => {
+      console.log('Operations reset:', data.operations.length, 'operations');
+      setOperations(data.operations);
+
+      if (data.clearedBy?.userId === websocketService.getUserId()) {
+        setNotice('🧹 Canvas cleared. Undo (Ctrl+Z) brings it back');
+      } else if (data.clearedBy) {
+        setNotice(`🧹 ${data.clearedBy.username} cleared the canvas`);
+      } else if (data.restoredBy?.userId === websocketService.getUserId()) {
+        setNotice('⏪ Version restored. Undo (Ctrl+Z) brings back the newer one');
+      } else if (data.restoredBy) {
+        const version = data.restoredBy.name ? `"${data.restoredBy.name}"` : new Date(data.restoredBy.timestamp).toLocaleString();
+        setNotice(`⏪ ${data.restoredBy.username} restored the canvas to ${version}`);
+      }
+    });
+
+    // Snapshot saved, taken automatically or dropped
+    websocketService.on('snapshots_changed', (data) => {
+      setSnapshots(data.snapshots);
+    });
+
+    // Layer added, renamed, hidden, locked or moved
+    websocketService.on('layers_changed', (data) => {
+      setLayers(data.layers);
+    });
+
+    // Color added to or removed from the room palette
+    websocketService.on('palette_changed', (data) => {
+      setPalette(data.palette);
+    });
+
+    // Own undo/redo availability
+    websocketService.on('history_state', (data) => {
+      setCanRedo(data.canRedo);
+      setCanUndoClear(Boolean(data.canUndoClear));
+    });
+
+    // Remote stroke started
+    websocketService.on('draw_start', (data) => {
+      setPendingStrokes(prev => ({
+        ...prev,
+        [strokeKey(data.userId, data.strokeId)]: {
+          points: [{ x: data.x, y: data.y, ...quantizePen(data) }],
+          last: quantizePoint(data),
+          color: data.color,
+          opacity: data.opacity,
+          width: data.width,
+          tool: data.tool,
+        },
+      }));
+    });
+
+    // Remote stroke continued: a batch of quantized deltas from its last point (and pen data)
+    websocketService.on('draw_points', (data) => {
+      setPendingStrokes(prev => {
+        const key = strokeKey(data.userId, data.strokeId);
+        const stroke = prev[key];
+        if (!stroke) return prev; // Joined mid-stroke, wait for the commit
+
+        const { points, last } = decodeDeltas(data.deltas, stroke.last, data.pen);
+        return {
+          ...prev,
+          [key]: {
+            ...stroke,
+            points: [...stroke.points, ...points],
+            last,
+          },
+        };
+      });
+    });
+
+    // Remote stroke rejected by the server
+    websocketService.on('draw_cancel', (data) => {
+      setPendingStrokes(prev => removeKey(prev, strokeKey(data.userId, data.strokeId)));
+    });
+
     // Cursor update
     websocketService.on('cursor_update', (data) => {
       setCursors(prev => ({
@@ -90,57 +444,507 @@ function App() {
 
     // Cleanup
     return () => {
+      clearTimeout(authRetryTimer);
       websocketService.disconnect();
     };
   }, []);
 
-  // Join room
-  const handleJoinRoom = (e) => {
+  // Enter a room, dropping everything that belonged to the previous one
+  // The server leaves the old Socket.io room itself when it sees a new join_room
+  // Signed-in users go by their account name
+  const enterRoom = (nextRoomId, { name = account?.name ?? username.trim(), invite = null } = {}) => {
+    setOperations([]);
+    setPendingStrokes({});
+    setCursors({});
+    setCanRedo(false);
+    setSelectedIds([]);
+    setSnapshots([]);
+    setTimeline(null);
+    setViewport(DEFAULT_VIEWPORT);
+    setRoomAccess({ role: spectate ? 'viewer' : 'editor', private: false });
+    setPresenterId(null);
+    setFollowing(spectate ? 'presenter' : null);
+    setRoomId(nextRoomId);
+
+    websocketService.joinRoom(nextRoomId, name, { invite, spectate });
+  };
+
+  // Join room, signing in first against the dev accounts if needed
+  const handleJoinRoom = async (e) => {
     e.preventDefault();
-    if (!username.trim()) return;
+    if (!username.trim() && !account) return;
+    setJoinError(null);
 
-    websocketService.emit('join_room', {
-      roomId: 'default',
-      username: username.trim(),
-    });
+    let name = account?.name ?? username.trim();
+    if (authMode === 'dev' && !account) {
+      try {
+        const result = await login(SERVER_URL, username.trim(), password);
+        websocketService.setToken(result.token);
+        setAccount(result.account);
+        setPassword('');
+        name = result.account.name;
+      } catch (error) {
+        setJoinError(error.message);
+        return;
+      }
+    }
+
+    // An invite link only applies to the room it points at
+    const urlRoomId = getRoomIdFromUrl();
+    const nextRoomId = normalizeRoomId(roomInput) || generateRoomId();
+    setRoomIdInUrl(nextRoomId, { replace: true });
+    enterRoom(nextRoomId, { name, invite: nextRoomId === urlRoomId ? getInviteFromUrl() : null });
 
     setHasJoined(true);
   };
 
+  // Forget the account and its token
+  const handleSignOut = () => {
+    clearToken();
+    websocketService.setToken(null);
+    setAccount(null);
+  };
+
+  // Owner controls: make the room private or public, and create invite links
+  const handleSetPrivate = (isPrivate) => {
+    websocketService.emit('set_room_access', { private: isPrivate }, (result) => {
+      if (!result.ok) setNotice(`❌ ${result.errors[0]}`);
+    });
+  };
+
+  const handleCreateInvite = (role) => new Promise((resolve, reject) => {
+    websocketService.emit('create_invite', { role }, (result) => {
+      if (result.ok) {
+        resolve(result);
+      } else {
+        setNotice(`❌ ${result.errors[0]}`);
+        reject(new Error(result.errors[0]));
+      }
+    });
+  });
+
+  // Viewers can look around but not change anything
+  const readOnly = roomAccess.role === 'viewer';
+
+  // While following someone the canvas shows their view, fitted to this screen
+  const followedUserId = following === 'presenter' ? presenterId : following;
+  const followedUser = followedUserId !== currentUserId
+    ? onlineUsers.find(user => user.userId === followedUserId)
+    : null;
+  const displayedViewport = followedUser?.viewport
+    ? matchView(followedUser.viewport, window.innerWidth, window.innerHeight)
+    : viewport;
+
+  // Panning or zooming yourself stops following
+  const handleViewportChange = (next) => {
+    if (displayedViewport === viewport) {
+      setViewport(next);
+      return;
+    }
+
+    setFollowing(null);
+    setViewport(typeof next === 'function' ? next(displayedViewport) : next);
+  };
+
+  useEffect(() => {
+    saveColorPreferences({ color: currentColor, opacity: currentOpacity, recentColors });
+  }, [currentColor, currentOpacity, recentColors]);
+
+  // Share this user's view (at most every VIEWPORT_SYNC_MS) so others can follow it
+  const { x: viewX, y: viewY, zoom: viewZoom } = displayedViewport;
+  useEffect(() => {
+    if (!roomId) return;
+
+    const send = () => {
+      lastViewportSyncRef.current = Date.now();
+      websocketService.emit('viewport_update', {
+        x: viewX,
+        y: viewY,
+        zoom: viewZoom,
+        width: window.innerWidth,
+        height: window.innerHeight,
+      });
+    };
+    const wait = lastViewportSyncRef.current + VIEWPORT_SYNC_MS - Date.now();
+    const timer = setTimeout(send, Math.max(0, wait));
+    return () => clearTimeout(timer);
+  }, [roomId, viewX, viewY, viewZoom]);
+
+  // Present (spectators follow this user's view) or stop presenting
+  const handleTogglePresenting = () => {
+    websocketService.emit('set_presenting', {
+      presenting: presenterId !== currentUserId,
+      viewport: { ...displayedViewport, width: window.innerWidth, height: window.innerHeight },
+    }, (result) => {
+      if (!result.ok) setNotice(`❌ ${result.errors[0]}`);
+    });
+  };
+
+  // Switch to another room without reloading
+  const handleSwitchRoom = (nextRoomId) => {
+    if (nextRoomId === roomId) return;
+
+    setRoomIdInUrl(nextRoomId);
+    enterRoom(nextRoomId);
+  };
+
+  // Follow the back/forward buttons between rooms
+  useEffect(() => {
+    if (!hasJoined) return;
+
+    const handlePopState = () => {
+      const urlRoomId = getRoomIdFromUrl();
+      if (urlRoomId && urlRoomId !== roomId) {
+        enterRoom(urlRoomId);
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  });
+
+  // Undo only ever targets this user's own operations (and their account's imports) and clears
+  const canUndo = canUndoClear || operations.some(op => op.userId === currentUserId ||
+    (accountUserId !== null && op.userId === accountUserId));
+
+  // Undo and redo are refused while the layer they would change is locked;
+  // having nothing left to undo or redo needs no notice
+  const emitHistoryStep = (event) => {
+    websocketService.emit(event, null, (result) => {
+      if (!result.ok && result.code !== 'NOT_FOUND') setNotice(`❌ ${result.errors[0]}`);
+    });
+  };
+
   // Undo
   const handleUndo = () => {
-    if (operations.length === 0) return;
-    websocketService.emit('undo');
+    emitHistoryStep('undo');
   };
 
   // Redo
   const handleRedo = () => {
-    // Note: Redo is complex with global undo/redo
-    // For now, we'll keep it simple
-    console.log('Redo not implemented in global mode');
+    emitHistoryStep('redo');
+  };
+
+  // Layer changes are shared with the room; the server sends back the new stack
+  const emitLayerChange = (event, payload) => {
+    websocketService.emit(event, payload, (result) => {
+      if (!result.ok) setNotice(`❌ ${result.errors[0]}`);
+    });
+  };
+
+  // New layers go on top and become the active one
+  const handleCreateLayer = () => {
+    websocketService.emit('create_layer', {}, (result) => {
+      if (result.ok) {
+        setActiveLayerId(result.layer.id);
+      } else {
+        setNotice(`❌ ${result.errors[0]}`);
+      }
+    });
+  };
+
+  const handleUpdateLayer = (layerId, changes) => emitLayerChange('update_layer', { layerId, ...changes });
+
+  const handleMoveLayer = (layerId, index) => emitLayerChange('move_layer', { layerId, index });
+
+  // Clear the canvas for everyone (the Toolbar asks for confirmation first)
+  const handleClearCanvas = () => {
+    websocketService.emit('clear_canvas', null, (result) => {
+      if (!result.ok) setNotice(`❌ ${result.errors[0]}`);
+    });
+  };
+
+  // Preview a point on the timeline (null goes back to the live canvas)
+  // The server rebuilds it from its change log, which still has what was undone,
+  // cleared or deleted since and the earlier form of edited operations
+  const handlePreviewTime = (time) => {
+    clearTimeout(versionFetchTimerRef.current);
+    if (time === null) {
+      setTimeline(null);
+      return;
+    }
+
+    // The last version shown stays up until the new one arrives
+    setTimeline(prev => (prev && !prev.snapshotId ? { ...prev, time } : { time }));
+    versionFetchTimerRef.current = setTimeout(() => {
+      websocketService.emit('get_version', { timestamp: time }, (result) => {
+        if (!result.ok) {
+          setNotice(`❌ ${result.errors[0]}`);
+          return;
+        }
+        setTimeline(prev => (prev?.time === time && !prev.snapshotId
+          ? { time, operations: result.operations, layers: result.layers }
+          : prev));
+      });
+    }, VERSION_FETCH_DELAY_MS);
+  };
+
+  // Snapshots are fetched on demand; they can hold thousands of operations
+  const handlePreviewSnapshot = (snapshot) => {
+    websocketService.emit('get_snapshot', { snapshotId: snapshot.id }, (result) => {
+      if (result.ok) {
+        setTimeline({
+          snapshotId: snapshot.id,
+          name: snapshot.name,
+          createdAt: snapshot.createdAt,
+          operations: result.operations,
+          layers: result.layers,
+        });
+      } else {
+        setNotice(`❌ ${result.errors[0]}`);
+      }
+    });
+  };
+
+  const handleSaveSnapshot = (name) => {
+    websocketService.emit('create_snapshot', { name }, (result) => {
+      setNotice(result.ok ? `📸 Saved version "${name}"` : `❌ ${result.errors[0]}`);
+    });
+  };
+
+  // Roll the room back to the previewed version for everyone, as an undoable change
+  const handleRestoreVersion = () => {
+    if (!timeline) return;
+
+    const version = timeline.snapshotId ? { snapshotId: timeline.snapshotId } : { timestamp: timeline.time };
+    websocketService.emit('restore_version', version, (result) => {
+      if (result.ok) {
+        setTimeline(null);
+      } else {
+        setNotice(`❌ ${result.errors[0]}`);
+      }
+    });
+  };
+
+  // Open the history or replay panel, closing whichever was open
+  const handleTogglePanel = (panel) => {
+    setOpenPanel(openPanel === panel ? null : panel);
+    setTimeline(null);
+  };
+
+  // What the canvas shows while a version is previewed or a replay runs;
+  // the live history keeps updating underneath
+  const preview = useMemo(() => {
+    if (replayFrame) return { operations: replayFrame, layers };
+    if (!timeline || timeline.operations) return timeline;
+
+    // Until the server answers for the first point, the canvas stays as it is
+    return { ...timeline, operations, layers };
+  }, [replayFrame, timeline, operations, layers]);
+
+  // A layer that is gone falls back to the default one
+  const activeLayer = resolveLayer(layers, activeLayerId);
+
+  // The selection only applies while the select tool is active (and no version is previewed),
+  // and never to operations on layers that were hidden or locked since they were picked
+  const editableIds = new Set(getEditableOperations(operations, layers).map(op => op.id));
+  const activeSelection = currentTool === 'select' && !preview ? selectedIds.filter(id => editableIds.has(id)) : [];
+
+  // Delete the selected operations for everyone
+  const handleDeleteSelection = () => {
+    if (activeSelection.length === 0) return;
+
+    // The selection stays if the server refuses (e.g. a layer was locked meanwhile)
+    websocketService.emit('delete_operations', { operationIds: activeSelection }, (result) => {
+      if (result.ok) {
+        setSelectedIds([]);
+      } else {
+        setNotice(`❌ ${result.errors[0]}`);
+      }
+    });
+  };
+
+  const handleToolChange = (tool) => {
+    if (tool === 'eyedropper' && currentTool !== 'eyedropper') {
+      toolBeforeEyedropperRef.current = currentTool;
+    }
+    setCurrentTool(tool);
+    if (isBrush(tool)) setBrushType(tool);
+  };
+
+  // Picking a color or opacity also restyles the current selection
+  const restyleSelection = (style) => {
+    const selected = operations.filter(op => activeSelection.includes(op.id));
+    if (selected.length === 0) return;
+
+    websocketService.emit('update_operations', {
+      operations: selected.map(op => ({ ...op, ...style })),
+    }, (result) => {
+      if (!result.ok) {
+        console.error('Recolor rejected:', result.errors);
+        setNotice(`❌ ${result.errors[0]}`);
+      }
+    });
+  };
+
+  const handleColorChange = (color) => {
+    setCurrentColor(color);
+    restyleSelection({ color });
+  };
+
+  const handleOpacityChange = (opacity) => {
+    setCurrentOpacity(opacity);
+    restyleSelection({ opacity });
+  };
+
+  // The eyedropper goes back to the previous tool once it has picked a color
+  const handleColorPick = (color) => {
+    handleColorChange(color);
+    setCurrentTool(toolBeforeEyedropperRef.current);
+  };
+
+  // Add colors to or remove them from the room palette, for everyone
+  const handlePaletteChange = (colors) => {
+    websocketService.emit('set_palette', { colors }, (result) => {
+      if (!result.ok) {
+        console.error('Palette change rejected:', result.errors);
+        setNotice(`❌ ${result.errors[0]}`);
+      }
+    });
+  };
+
+  // Zoom around the middle of the screen
+  const handleZoom = (factor) => {
+    handleViewportChange(prev => zoomAt(prev, { x: window.innerWidth / 2, y: window.innerHeight / 2 }, factor));
+  };
+
+  // Show the whole drawing
+  const handleZoomToFit = () => {
+    handleViewportChange(fitBounds(getContentBounds(getVisibleOperations(operations, layers)), window.innerWidth, window.innerHeight));
+  };
+
+  // Export the room as PNG, SVG or JSON
+  const handleExport = async (format, options) => {
+    // Without cropping, export what this user currently sees
+    const view = getVisibleBounds(displayedViewport, window.innerWidth, window.innerHeight);
+    const filename = `${roomId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    try {
+      if (format === 'png') {
+        downloadBlob(await exportPNG(operations, { ...options, view, layers }), filename);
+      } else if (format === 'svg') {
+        downloadBlob(exportSVG(operations, { ...options, view, layers }), filename);
+      } else {
+        downloadBlob(exportJSON(roomId, operations, layers), filename);
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+    }
+  };
+
+  // Hide the notice after a few seconds
+  useEffect(() => {
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+
+  // Import a JSON export (or a bare operations array) into the room
+  const handleImport = async (file, mode) => {
+    let payload;
+    try {
+      payload = JSON.parse(await file.text());
+    } catch {
+      setNotice(`❌ ${file.name} is not valid JSON`);
+      return;
+    }
+
+    // The whole export document goes along so its layers (names, visibility, locks) come too
+    websocketService.emit('import_operations', {
+      operations: payload,
+      mode,
+    }, (result) => {
+      if (result.ok) {
+        setNotice(`📥 Imported ${result.count} operations`);
+      } else {
+        console.error('Import rejected:', result.errors);
+        setNotice(`❌ Import rejected: ${result.errors[0]}`);
+      }
+    });
   };
 
   // Keyboard shortcuts
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Leave typing in form fields alone
+      if (e.target.closest?.('input, textarea')) return;
+
+      const key = e.key.toLowerCase();
+      const modifier = e.ctrlKey || e.metaKey;
+
+      // Viewers have nothing to undo, redo or delete
+      if (readOnly && modifier && (key === 'z' || key === 'y')) return;
+
       // Undo: Ctrl+Z or Cmd+Z
-      if ((e.ctrlKey || e.metaKey) && e.key === 'z' && !e.shiftKey) {
+      if (modifier && key === 'z' && !e.shiftKey) {
         e.preventDefault();
         handleUndo();
+        return;
+      }
+
+      // Redo: Ctrl+Y, Ctrl+Shift+Z or Cmd+Shift+Z
+      if (modifier && (key === 'y' || (key === 'z' && e.shiftKey))) {
+        e.preventDefault();
+        handleRedo();
+        return;
+      }
+
+      // Delete the selection / drop it
+      if (!readOnly && (key === 'delete' || key === 'backspace')) {
+        e.preventDefault();
+        handleDeleteSelection();
+        return;
+      }
+      if (key === 'escape') {
+        setSelectedIds([]);
+        return;
+      }
+
+      // View: +/- zoom, Shift+1 zoom to fit, Shift+0 back to 100%
+      if (!modifier && e.shiftKey && e.code === 'Digit1') {
+        handleZoomToFit();
+        return;
+      }
+      if (!modifier && e.shiftKey && e.code === 'Digit0') {
+        handleViewportChange(prev => zoomAt(prev, { x: window.innerWidth / 2, y: window.innerHeight / 2 }, 1 / prev.zoom));
+        return;
+      }
+      if (!modifier && (e.key === '+' || e.key === '=')) {
+        handleZoom(ZOOM_STEP);
+        return;
+      }
+      if (!modifier && e.key === '-') {
+        handleZoom(1 / ZOOM_STEP);
+        return;
       }
 
       // Tool shortcuts
+      if (!modifier && key === 'v') {
+        setCurrentTool('select');
+      }
       if (e.key === 'b' || e.key === 'B') {
-        setCurrentTool('brush');
+        setCurrentTool(brushType);
       }
       if (e.key === 'e' || e.key === 'E') {
         setCurrentTool('eraser');
       }
+      if (!modifier && key === 't') {
+        setCurrentTool('text');
+      }
+      if (!modifier && key === 'g') {
+        setCurrentTool('fill');
+      }
+      if (!modifier && key === 'i') {
+        handleToolChange('eyedropper');
+      }
+      if (!modifier && SHAPE_SHORTCUTS[key]) {
+        setCurrentTool(SHAPE_SHORTCUTS[key]);
+      }
     };
 
     window.addEventListener('keydown', handleKeyDown);
     return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [operations]);
+  });
 
   // Show join screen if not joined
   if (!hasJoined) {
@@ -155,23 +959,95 @@ function App() {
           </p>
 
           <form onSubmit={handleJoinRoom} className="space-y-4">
+            {account ? (
+              <div className="flex items-center justify-between gap-2">
+                <p className="text-white text-sm truncate">
+                  Signed in as <span className="font-semibold">{account.name}</span>
+                </p>
+                <button
+                  type="button"
+                  onClick={handleSignOut}
+                  className="px-4 py-2 rounded-lg bg-white-10 hover-bg-white-20 text-white text-sm"
+                >
+                  Sign out
+                </button>
+              </div>
+            ) : authMode === 'token' ? (
+              <p className="text-white-70 text-sm">
+                This server requires sign-in. Open the canvas from the link your sign-in page gives you.
+              </p>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-white text-sm font-medium mb-2">
+                    {authMode === 'dev' ? 'Username' : 'Your Name'}
+                  </label>
+                  <input
+                    type="text"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    placeholder={authMode === 'dev' ? 'Account from the dev config' : 'Enter your name'}
+                    maxLength={32}
+                    className="w-full px-4 py-3 bg-white-10 border border-white-20 rounded-lg text-white placeholder-white-50 focus-outline-none focus-ring-2 focus-ring-primary-500"
+                    autoFocus
+                  />
+                </div>
+
+                {authMode === 'dev' && (
+                  <div>
+                    <label className="block text-white text-sm font-medium mb-2">
+                      Password
+                    </label>
+                    <input
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className="w-full px-4 py-3 bg-white-10 border border-white-20 rounded-lg text-white placeholder-white-50 focus-outline-none focus-ring-2 focus-ring-primary-500"
+                    />
+                  </div>
+                )}
+              </>
+            )}
+
             <div>
               <label className="block text-white text-sm font-medium mb-2">
-                Your Name
+                Room
               </label>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={roomInput}
+                  onChange={(e) => setRoomInput(e.target.value)}
+                  placeholder="Leave empty for a new room"
+                  className="flex-1 min-w-0 px-4 py-3 bg-white-10 border border-white-20 rounded-lg text-white placeholder-white-50 focus-outline-none focus-ring-2 focus-ring-primary-500"
+                />
+                <button
+                  type="button"
+                  onClick={() => setRoomInput(generateRoomId())}
+                  className="px-4 py-3 rounded-lg bg-white-10 hover-bg-white-20 text-white text-sm"
+                  title="Generate a new room name"
+                >
+                  Generate
+                </button>
+              </div>
+            </div>
+
+            <label className="flex items-center gap-2 text-white text-sm cursor-pointer">
               <input
-                type="text"
-                value={username}
-                onChange={(e) => setUsername(e.target.value)}
-                placeholder="Enter your name"
-                className="w-full px-4 py-3 bg-white-10 border border-white-20 rounded-lg text-white placeholder-white-50 focus-outline-none focus-ring-2 focus-ring-primary-500"
-                autoFocus
+                type="checkbox"
+                checked={spectate}
+                onChange={(e) => setSpectate(e.target.checked)}
               />
-            </div>
+              Join as spectator (view only, follows the presenter)
+            </label>
+
+            {joinError && (
+              <p className="text-white text-sm text-center">⚠️ {joinError}</p>
+            )}
 
             <button
               type="submit"
-              disabled={!username.trim()}
+              disabled={!authMode || (!account && (authMode === 'token' || !username.trim()))}
               className="btn-primary w-full py-3 text-lg"
             >
               Join Canvas
@@ -180,7 +1056,9 @@ function App() {
 
           <div className="mt-6 pt-6 border-t border-white-20">
             <p className="text-white-50 text-xs text-center">
-              {connected ? '🟢 Connected to server' : '🔴 Connecting...'}
+              {connected
+                ? '🟢 Connected to server'
+                : authMode && authMode !== 'off' && !account ? '🔒 Sign in to connect' : '🔴 Connecting...'}
             </p>
           </div>
         </div>
@@ -190,38 +1068,177 @@ function App() {
 
   return (
     <div className="w-screen h-screen overflow-hidden">
-      {/* Toolbar */}
-      <Toolbar
-        currentTool={currentTool}
-        currentColor={currentColor}
-        currentWidth={currentWidth}
-        onToolChange={setCurrentTool}
-        onColorChange={setCurrentColor}
-        onWidthChange={setCurrentWidth}
-        onUndo={handleUndo}
-        onRedo={handleRedo}
-        canUndo={operations.length > 0}
-        canRedo={false}
+      {/* Toolbar (spectators only watch) */}
+      {!readOnly && (
+        <Toolbar
+          currentTool={currentTool}
+          brushType={brushType}
+          currentColor={currentColor}
+          currentOpacity={currentOpacity}
+          recentColors={recentColors}
+          palette={palette}
+          currentWidth={currentWidth}
+          fillShapes={fillShapes}
+          fillTolerance={fillTolerance}
+          palmRejection={palmRejection}
+          fontSize={fontSize}
+          selectionCount={activeSelection.length}
+          onToolChange={handleToolChange}
+          onColorChange={handleColorChange}
+          onOpacityChange={handleOpacityChange}
+          onPaletteChange={handlePaletteChange}
+          onWidthChange={setCurrentWidth}
+          onFillShapesChange={setFillShapes}
+          onFillToleranceChange={setFillTolerance}
+          onPalmRejectionChange={setPalmRejection}
+          onFontSizeChange={setFontSize}
+          onDeleteSelection={handleDeleteSelection}
+          zoom={displayedViewport.zoom}
+          onZoomIn={() => handleZoom(ZOOM_STEP)}
+          onZoomOut={() => handleZoom(1 / ZOOM_STEP)}
+          onZoomReset={() => handleZoom(1 / displayedViewport.zoom)}
+          onZoomToFit={handleZoomToFit}
+          onUndo={handleUndo}
+          onRedo={handleRedo}
+          canUndo={canUndo}
+          canRedo={canRedo}
+          canClear={operations.some(op => !isLayerLocked(layers, getLayerId(op)))}
+          onClearCanvas={handleClearCanvas}
+          onExport={handleExport}
+          onImport={handleImport}
+        />
+      )}
+
+      {/* Current Room */}
+      <RoomInfo
+        roomId={roomId}
+        role={authMode !== 'off' ? roomAccess.role : null}
+        isPrivate={roomAccess.private}
+        onSwitchRoom={handleSwitchRoom}
+        onSetPrivate={handleSetPrivate}
+        onCreateInvite={handleCreateInvite}
+        onToggleHistory={() => handleTogglePanel('history')}
+        onToggleReplay={() => handleTogglePanel('replay')}
       />
 
+      {/* Version history */}
+      {openPanel === 'history' && (
+        <TimelinePanel
+          operations={operations}
+          snapshots={snapshots}
+          preview={preview}
+          canEdit={!readOnly}
+          onPreviewTime={handlePreviewTime}
+          onPreviewSnapshot={handlePreviewSnapshot}
+          onSaveSnapshot={handleSaveSnapshot}
+          onRestore={handleRestoreVersion}
+          onClose={() => handleTogglePanel('history')}
+        />
+      )}
+
+      {/* Session replay */}
+      {openPanel === 'replay' && (
+        <ReplayPanel
+          roomId={roomId}
+          operations={operations}
+          layers={layers}
+          users={onlineUsers}
+          onFrame={setReplayFrame}
+          onNotice={setNotice}
+          onClose={() => handleTogglePanel('replay')}
+        />
+      )}
+
       {/* User List */}
-      <UserList users={onlineUsers} currentUserId={currentUserId} />
+      <UserList
+        users={onlineUsers}
+        currentUserId={currentUserId}
+        presenterId={presenterId}
+        followingId={followedUser?.userId ?? null}
+        canPresent={!readOnly}
+        onFollow={setFollowing}
+        onTogglePresenting={handleTogglePresenting}
+      />
+
+      {/* Layers */}
+      {!readOnly && (
+        <LayersPanel
+          layers={layers}
+          activeLayerId={activeLayer?.id}
+          onSelectLayer={setActiveLayerId}
+          onCreateLayer={handleCreateLayer}
+          onUpdateLayer={handleUpdateLayer}
+          onMoveLayer={handleMoveLayer}
+        />
+      )}
 
-      {/* Canvas */}
+      {/* Presentation status */}
+      {(readOnly || followedUser) && (
+        <div className="fixed top-4 left-half translate-x-neg-half z-10 glass-panel px-4 py-2 flex items-center gap-3 animate-fade-in">
+          <p className="text-white text-sm whitespace-nowrap">
+            {readOnly ? '👁 Spectating' : '👁 Following'}
+            {followedUser ? ` ${followedUser.username}` : presenterId ? '' : ' · nobody is presenting'}
+          </p>
+          {followedUser ? (
+            <button
+              onClick={() => setFollowing(null)}
+              className="px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs"
+            >
+              Stop following
+            </button>
+          ) : presenterId && presenterId !== currentUserId && (
+            <button
+              onClick={() => setFollowing('presenter')}
+              className="px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs"
+            >
+              Follow presenter
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Canvas (a previewed version can be looked at but not drawn on) */}
       <Canvas
-        socket={socket}
-        operations={operations}
+        socket={websocketService}
+        readOnly={readOnly || Boolean(preview)}
+        operations={preview ? preview.operations : operations}
+        layers={preview ? preview.layers : layers}
+        activeLayerId={activeLayer?.id}
         currentTool={currentTool}
         currentColor={currentColor}
+        currentOpacity={currentOpacity}
         currentWidth={currentWidth}
+        fillShapes={fillShapes}
+        fillTolerance={fillTolerance}
+        fontSize={fontSize}
+        viewport={displayedViewport}
+        onViewportChange={handleViewportChange}
+        selectedIds={activeSelection}
+        onSelectionChange={setSelectedIds}
+        onNotice={setNotice}
+        onUndo={handleUndo}
+        onColorPick={handleColorPick}
+        palmRejection={palmRejection}
+        pendingStrokes={preview ? NO_PENDING_STROKES : pendingStrokes}
         onlineUsers={onlineUsers}
         cursors={cursors}
       />
 
+      {/* Notices */}
+      {notice && connected && (
+        <div className="fixed bottom-4 left-half translate-x-neg-half glass-panel px-4 py-2 animate-fade-in">
+          <p className="text-white text-sm">{notice}</p>
+        </div>
+      )}
+
       {/* Connection Status */}
       {!connected && (
         <div className="fixed bottom-4 left-half translate-x-neg-half glass-panel px-4 py-2 animate-fade-in">
-          <p className="text-white text-sm">🔄 Reconnecting...</p>
+          <p className="text-white text-sm">
+            {closedReason
+              ? `⚠️ ${closedReason}`
+              : '🔄 Reconnecting... drawings made meanwhile are sent once you are back online'}
+          </p>
         </div>
       )}
     </div>
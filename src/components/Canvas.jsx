@@ -3,45 +3,246 @@
  * Handles drawing operations, real-time sync, and user interactions
  */
 
-import React, { useEffect, useRef, useState } from 'react';
-import { drawStroke, redrawCanvas, getCanvasCoordinates, throttle } from '../utils/canvasOperations';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import TextEditor from './TextEditor';
+import {
+    drawStroke,
+    getCanvasCoordinates,
+    throttle,
+    constrainShapeEnd,
+    findTextAt,
+    findOperationAt,
+    findOperationsInRect,
+    getContentBounds,
+    getRectFromPoints,
+    transformOperation,
+    SHAPE_TYPES,
+} from '../utils/canvasOperations';
+import { panBy, screenToWorld, worldToScreen, zoomAt } from '../utils/viewport';
+import { createLayeredRenderer } from '../utils/renderer';
+import { getEditableOperations, resolveLayer } from '../utils/layers';
+import { encodeDeltas, quantizePen, quantizePoint, STROKE_BATCH_INTERVAL_MS } from '../utils/strokeProtocol';
+import { rgbToHex, withOpacity } from '../utils/colors';
+import { DEFAULT_FILL_TOLERANCE, encodeFillMask, floodFillMask } from '../utils/floodFill';
+
+const TOOL_CURSORS = {
+    eraser: 'cursor-cell',
+    text: 'cursor-text',
+    select: 'cursor-default',
+    eyedropper: 'cursor-copy',
+    fill: 'cursor-pointer',
+};
+
+// Zoom change per wheel notch (pinch gestures arrive as Ctrl+wheel with small deltas)
+const WHEEL_ZOOM_SPEED = 0.0015;
+
+// Selection box padding and corner handle size, in pixels
+const SELECTION_PADDING = 6;
+const HANDLE_SIZE = 8;
+const MIN_SCALE = 0.05;
+const SELECTION_COLOR = '#0ea5e9';
+
+// Each pointer's stroke is sampled at most this often (~60fps)
+const POINTER_SAMPLE_MS = 16;
+
+// Touch gestures: a second finger this soon after the first, before the first has
+// moved, starts a two-finger gesture; one lifted within TAP_MAX_MS without moving
+// more than TOUCH_SLOP screen pixels is a tap
+const GESTURE_WINDOW_MS = 150;
+const TAP_MAX_MS = 300;
+const TOUCH_SLOP = 10;
+
+/**
+ * Padded bounding box around the selected operations, or null
+ */
+function getSelectionBox(operations) {
+    const bounds = getContentBounds(operations);
+    if (!bounds) return null;
+
+    return {
+        minX: bounds.minX - SELECTION_PADDING,
+        minY: bounds.minY - SELECTION_PADDING,
+        maxX: bounds.maxX + SELECTION_PADDING,
+        maxY: bounds.maxY + SELECTION_PADDING,
+    };
+}
+
+/**
+ * Corner handles of a selection box, clockwise from the top-left
+ */
+function getSelectionHandles(box) {
+    return [
+        { x: box.minX, y: box.minY },
+        { x: box.maxX, y: box.minY },
+        { x: box.maxX, y: box.maxY },
+        { x: box.minX, y: box.maxY },
+    ];
+}
+
+/**
+ * Turn an in-progress move or resize drag into a transformOperation transform
+ * Resizing scales around the opposite corner; Shift keeps the aspect ratio
+ */
+function getDragTransform(drag) {
+    if (drag.mode === 'move') {
+        return { dx: drag.current.x - drag.start.x, dy: drag.current.y - drag.start.y };
+    }
+    if (drag.mode !== 'scale') return null;
+
+    const clamp = (scale) => (Math.abs(scale) < MIN_SCALE ? (scale < 0 ? -MIN_SCALE : MIN_SCALE) : scale);
+    let scaleX = clamp((drag.current.x - drag.anchor.x) / (drag.corner.x - drag.anchor.x));
+    let scaleY = clamp((drag.current.y - drag.anchor.y) / (drag.corner.y - drag.anchor.y));
+
+    if (drag.uniform) {
+        const scale = Math.max(Math.abs(scaleX), Math.abs(scaleY));
+        scaleX = Math.sign(scaleX) * scale;
+        scaleY = Math.sign(scaleY) * scale;
+    }
+
+    return { origin: drag.anchor, scaleX, scaleY };
+}
+
+/**
+ * Outline the selection with corner handles, plus the marquee while one is dragged
+ * Drawn in world coordinates; sizes are divided by the zoom to stay constant on screen
+ */
+function drawSelectionOverlay(ctx, box, marquee, zoom) {
+    const handleSize = HANDLE_SIZE / zoom;
+    const dash = [4 / zoom, 4 / zoom];
+
+    ctx.save();
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.lineWidth = 1 / zoom;
+    ctx.strokeStyle = SELECTION_COLOR;
+    ctx.setLineDash(dash);
+
+    if (box) {
+        ctx.strokeRect(box.minX, box.minY, box.maxX - box.minX, box.maxY - box.minY);
+
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#ffffff';
+        getSelectionHandles(box).forEach(({ x, y }) => {
+            ctx.fillRect(x - handleSize / 2, y - handleSize / 2, handleSize, handleSize);
+            ctx.strokeRect(x - handleSize / 2, y - handleSize / 2, handleSize, handleSize);
+        });
+    }
+
+    if (marquee) {
+        ctx.setLineDash(dash);
+        ctx.fillStyle = 'rgba(14, 165, 233, 0.1)';
+        ctx.fillRect(marquee.minX, marquee.minY, marquee.maxX - marquee.minX, marquee.maxY - marquee.minY);
+        ctx.strokeRect(marquee.minX, marquee.minY, marquee.maxX - marquee.minX, marquee.maxY - marquee.minY);
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Paint committed history (from the renderer's cached layers) with the local strokes and
+ * shape preview (uncommitted operations) on the active layer, then remote in-progress
+ * strokes on top
+ * Everything is in world coordinates, drawn through the viewport transform
+ */
+function renderScene(ctx, renderer, { operations, layers, activeLayerId, pendingStrokes, localOperations, viewport, width, height }) {
+    const preview = localOperations.length > 0 ? { layerId: activeLayerId, operations: localOperations } : null;
+    renderer.render(ctx, { operations, layers, preview, viewport, width, height });
+
+    Object.values(pendingStrokes).forEach(stroke => {
+        drawStroke(ctx, stroke.points, stroke.color, stroke.width, stroke.tool, stroke.opacity);
+    });
+}
+
+/**
+ * Describe the shape the local user is dragging out as an uncommitted operation
+ */
+function buildShapeOperation(shapeDraft, { tool, color, opacity, width, fill }) {
+    return withOpacity({ type: 'shape', shape: tool, start: shapeDraft.start, end: shapeDraft.end, color, width, fill }, opacity);
+}
 
 export default function Canvas({
     socket,
+    readOnly = false,
     operations,
+    layers,
+    activeLayerId,
+    pendingStrokes,
     currentTool,
     currentColor,
+    currentOpacity = 1,
     currentWidth,
+    fillShapes,
+    fillTolerance = DEFAULT_FILL_TOLERANCE,
+    fontSize,
+    viewport,
+    onViewportChange,
+    selectedIds,
+    onSelectionChange,
+    onNotice,
+    onUndo,
+    onColorPick,
+    palmRejection = true,
     onlineUsers,
     cursors
 }) {
     const canvasRef = useRef(null);
-    const [isDrawing, setIsDrawing] = useState(false);
-    const [currentPath, setCurrentPath] = useState([]);
-    const lastPointRef = useRef(null);
+    const [shapeDraft, setShapeDraft] = useState(null);
+    // Freehand strokes being drawn, as uncommitted operations by pointerId
+    const [localStrokes, setLocalStrokes] = useState({});
+    const [textEditor, setTextEditor] = useState(null);
+    const [selectionDrag, setSelectionDrag] = useState(null);
+    const [size, setSize] = useState({ width: window.innerWidth, height: window.innerHeight });
+    const [spaceHeld, setSpaceHeld] = useState(false);
+    const [isPanning, setIsPanning] = useState(false);
+    const textEditorRef = useRef(null);
+    const panRef = useRef(null);
+    const rendererRef = useRef(null);
+    // Freehand strokes in progress by pointerId (see startStroke)
+    const strokesRef = useRef(new Map());
+    // Seeded from the clock so stroke ids stay unique when a reloaded tab resumes its session
+    const nextStrokeIdRef = useRef(Date.now());
+    // The pointer driving the current shape, selection drag or pan
+    const pointerRef = useRef(null);
+    // Touch pointers currently down, by pointerId, in canvas coordinates
+    const touchPointersRef = useRef(new Map());
+    // Two-finger gesture in progress: { pointerIds, center, distance, viewport, startedAt, isTap }
+    const gestureRef = useRef(null);
+    // Pens currently down, and whether a pen has been used on this canvas at all
+    const pensDownRef = useRef(new Set());
+    const penSeenRef = useRef(false);
+
+    const selectedOperations = operations.filter(op => selectedIds.includes(op.id));
+
+    // Only operations on visible, unlocked layers can be picked or re-edited
+    const editableOperations = getEditableOperations(operations, layers);
+    const activeLayer = resolveLayer(layers, activeLayerId);
 
-    // Canvas dimensions
-    const canvasWidth = window.innerWidth;
-    const canvasHeight = window.innerHeight;
+    // Canvas dimensions follow the window; drawings live in world coordinates
+    const canvasWidth = size.width;
+    const canvasHeight = size.height;
+
+    // Track window resizes
+    useEffect(() => {
+        const handleResize = () => setSize({ width: window.innerWidth, height: window.innerHeight });
+        window.addEventListener('resize', handleResize);
+        return () => window.removeEventListener('resize', handleResize);
+    }, []);
 
-    // Initialize canvas
+    // Size the canvas (resizing clears it; the redraw below repaints it)
     useEffect(() => {
         const canvas = canvasRef.current;
         if (!canvas) return;
 
-        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const ctx = canvas.getContext('2d');
 
         // Set canvas size
         canvas.width = canvasWidth;
         canvas.height = canvasHeight;
+        rendererRef.current?.invalidate();
 
         // Enable better rendering
         ctx.imageSmoothingEnabled = true;
         ctx.imageSmoothingQuality = 'high';
-
-        // Initial draw
-        redrawCanvas(ctx, operations, canvasWidth, canvasHeight);
-    }, []);
+    }, [canvasWidth, canvasHeight]);
 
     // Redraw canvas when operations change
     useEffect(() => {
@@ -49,143 +250,803 @@ export default function Canvas({
         if (!canvas) return;
 
         const ctx = canvas.getContext('2d');
-        redrawCanvas(ctx, operations, canvasWidth, canvasHeight);
+        const localOperations = Object.values(localStrokes);
+        if (shapeDraft) {
+            localOperations.push(buildShapeOperation(shapeDraft, {
+                tool: currentTool,
+                color: currentColor,
+                opacity: currentOpacity,
+                width: currentWidth,
+                fill: fillShapes,
+            }));
+        }
+
+        // The label being re-edited is shown by the editor instead
+        let visibleOperations = textEditor?.operationId
+            ? operations.filter(op => op.id !== textEditor.operationId)
+            : operations;
 
-        // Redraw current path if drawing
-        if (isDrawing && currentPath.length > 0) {
-            drawStroke(ctx, currentPath, currentColor, currentWidth, currentTool);
+        // Preview a move or resize until the server confirms it
+        const transform = selectionDrag ? getDragTransform(selectionDrag) : null;
+        if (transform) {
+            visibleOperations = visibleOperations.map(op =>
+                (selectedIds.includes(op.id) ? transformOperation(op, transform) : op)
+            );
         }
-    }, [operations, isDrawing, currentPath, currentColor, currentWidth, currentTool]);
 
-    // Handle drawing start
-    const handleDrawStart = (e) => {
-        e.preventDefault();
+        rendererRef.current ??= createLayeredRenderer();
+        renderScene(ctx, rendererRef.current, {
+            operations: visibleOperations,
+            layers,
+            activeLayerId,
+            pendingStrokes,
+            localOperations,
+            viewport,
+            width: canvasWidth,
+            height: canvasHeight,
+        });
+
+        if (currentTool === 'select') {
+            const box = getSelectionBox(visibleOperations.filter(op => selectedIds.includes(op.id)));
+            const marquee = selectionDrag?.mode === 'marquee'
+                ? getRectFromPoints(selectionDrag.start, selectionDrag.current)
+                : null;
+            drawSelectionOverlay(ctx, box, marquee, viewport.zoom);
+        }
+    }, [operations, layers, activeLayerId, pendingStrokes, localStrokes, shapeDraft, textEditor, selectionDrag, selectedIds, currentColor, currentOpacity, currentWidth, currentTool, fillShapes, viewport, canvasWidth, canvasHeight]);
+
+    // Pointer position in world coordinates
+    const getWorldPoint = (e) => screenToWorld(viewport, getCanvasCoordinates(e, canvasRef.current));
+
+    // Stroke points also keep a pen's pressure and tilt; mouse and touch strokes have a constant width
+    const getStrokePoint = (e) => {
+        const point = getWorldPoint(e);
+        return e.pointerType === 'pen'
+            ? { ...point, pressure: e.pressure, tiltX: e.tiltX, tiltY: e.tiltY }
+            : point;
+    };
+
+    // Hold Space to pan with the left button
+    useEffect(() => {
+        const isTyping = (e) => e.target.closest?.('input, textarea, select, button');
+
+        const handleKeyDown = (e) => {
+            if (e.code !== 'Space' || isTyping(e)) return;
+            e.preventDefault();
+            setSpaceHeld(true);
+        };
+        const handleKeyUp = (e) => {
+            if (e.code === 'Space') setSpaceHeld(false);
+        };
+
+        window.addEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+        };
+    }, []);
+
+    // Wheel (and trackpad pinch, which arrives as Ctrl+wheel) zooms around the pointer
+    // Registered natively because React's wheel listener is passive
+    useEffect(() => {
         const canvas = canvasRef.current;
         if (!canvas) return;
 
-        const point = getCanvasCoordinates(e, canvas);
-        setIsDrawing(true);
-        setCurrentPath([point]);
-        lastPointRef.current = point;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const point = getCanvasCoordinates(e, canvas);
+            const factor = Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED * (e.deltaMode === 1 ? 16 : 1));
+            onViewportChange(prev => zoomAt(prev, point, factor));
+        };
+
+        canvas.addEventListener('wheel', handleWheel, { passive: false });
+        return () => canvas.removeEventListener('wheel', handleWheel);
+    }, [onViewportChange]);
+
+    // Start panning with the middle button or Space + left button
+    const startPan = (e) => {
+        const panning = e.button === 1 || (spaceHeld && e.button === 0);
+        if (!panning) return false;
+
+        panRef.current = { start: getCanvasCoordinates(e, canvasRef.current), viewport };
+        setIsPanning(true);
+        return true;
+    };
+
+    // Returns true while a pan is in progress so drawing handlers stay out of the way
+    const handlePanMove = (e) => {
+        const pan = panRef.current;
+        if (!pan) return false;
+
+        const point = getCanvasCoordinates(e, canvasRef.current);
+        onViewportChange(panBy(pan.viewport, point.x - pan.start.x, point.y - pan.start.y));
+        return true;
+    };
+
+    const endPan = () => {
+        if (!panRef.current) return false;
+        panRef.current = null;
+        setIsPanning(false);
+        return true;
+    };
+
+    // Select tool: grab a handle to resize, an operation or the selection box to move,
+    // or empty space to drag a marquee; Shift-click toggles single operations
+    const startSelectionDrag = (point, additive) => {
+        const box = getSelectionBox(selectedOperations);
+        const drag = { start: point, current: point };
+
+        if (box) {
+            const handles = getSelectionHandles(box);
+            const reach = HANDLE_SIZE / viewport.zoom;
+            const index = handles.findIndex(handle =>
+                Math.abs(handle.x - point.x) <= reach && Math.abs(handle.y - point.y) <= reach
+            );
+            if (index !== -1) {
+                setSelectionDrag({ ...drag, mode: 'scale', corner: handles[index], anchor: handles[(index + 2) % 4] });
+                return;
+            }
+        }
+
+        const hit = findOperationAt(editableOperations, point, 4 / viewport.zoom);
+        if (hit && additive) {
+            onSelectionChange(selectedIds.includes(hit.id)
+                ? selectedIds.filter(id => id !== hit.id)
+                : [...selectedIds, hit.id]);
+            return;
+        }
+        if (hit) {
+            if (!selectedIds.includes(hit.id)) {
+                onSelectionChange([hit.id]);
+            }
+            setSelectionDrag({ ...drag, mode: 'move' });
+            return;
+        }
+
+        const insideBox = box &&
+            point.x >= box.minX && point.x <= box.maxX &&
+            point.y >= box.minY && point.y <= box.maxY;
+        if (insideBox && !additive) {
+            setSelectionDrag({ ...drag, mode: 'move' });
+            return;
+        }
 
-        // Emit draw start event
-        socket?.emit('draw_start', {
+        if (!additive) {
+            onSelectionChange([]);
+        }
+        setSelectionDrag({ ...drag, mode: 'marquee', additive });
+    };
+
+    // Apply a finished marquee, or send the moved/resized operations to the server
+    const finishSelectionDrag = () => {
+        const drag = selectionDrag;
+        if (drag.committing) return;
+
+        if (drag.mode === 'marquee') {
+            const ids = findOperationsInRect(editableOperations, getRectFromPoints(drag.start, drag.current)).map(op => op.id);
+            onSelectionChange(drag.additive ? [...new Set([...selectedIds, ...ids])] : ids);
+            setSelectionDrag(null);
+            return;
+        }
+
+        const moved = drag.current.x !== drag.start.x || drag.current.y !== drag.start.y;
+        if (!moved || !socket || selectedOperations.length === 0) {
+            setSelectionDrag(null);
+            return;
+        }
+
+        // Keep showing the preview until the ack; operation_updated arrives first
+        const transform = getDragTransform(drag);
+        setSelectionDrag({ ...drag, committing: true });
+        socket.emit('update_operations', {
+            operations: selectedOperations.map(op => transformOperation(op, transform)),
+        }, (result) => {
+            if (!result.ok) {
+                console.error('Update rejected:', result.errors);
+                onNotice(`❌ ${result.errors[0]}`);
+            }
+            setSelectionDrag(null);
+        });
+    };
+
+    // Keep the ref in sync so commits triggered by both Enter and blur only fire once
+    const updateTextEditor = (editor) => {
+        textEditorRef.current = editor;
+        setTextEditor(editor);
+    };
+
+    // Open the inline editor on an existing label under the point, or a new one
+    const openTextEditor = (point) => {
+        const existing = findTextAt(editableOperations, point);
+
+        updateTextEditor(existing ? {
+            operationId: existing.id,
+            x: existing.x,
+            y: existing.y,
+            text: existing.text,
+            color: existing.color,
+            opacity: existing.opacity,
+            fontSize: existing.fontSize,
+            original: { text: existing.text, color: existing.color, fontSize: existing.fontSize },
+        } : {
+            operationId: null,
             x: point.x,
             y: point.y,
+            text: '',
             color: currentColor,
-            width: currentWidth,
-            tool: currentTool,
+            opacity: currentOpacity,
+            fontSize,
         });
     };
 
-    // Handle drawing move (throttled for performance)
-    const handleDrawMove = throttle((e) => {
-        if (!isDrawing) return;
-        e.preventDefault();
+    // Send the edited text; empty or unchanged text just closes the editor
+    // A re-edited label only sends the fields (text, color, font size) that changed
+    const commitTextEditor = () => {
+        const editor = textEditorRef.current;
+        if (!editor) return;
+        updateTextEditor(null);
 
+        if (editor.text.trim() === '') return;
+
+        if (editor.operationId) {
+            const changes = Object.fromEntries(['text', 'color', 'fontSize']
+                .filter(field => editor[field] !== editor.original[field])
+                .map(field => [field, editor[field]]));
+            if (Object.keys(changes).length > 0) {
+                socket?.emit('edit_text', { operationId: editor.operationId, ...changes }, (result) => {
+                    if (!result.ok) onNotice(`❌ ${result.errors[0]}`);
+                });
+            }
+        } else {
+            socket?.emit('draw_text', withOpacity({
+                x: editor.x,
+                y: editor.y,
+                text: editor.text,
+                color: editor.color,
+                fontSize: editor.fontSize,
+                layerId: activeLayerId,
+            }, editor.opacity), (result) => {
+                if (!result.ok) onNotice(`❌ ${result.errors[0]}`);
+            });
+        }
+    };
+
+    // While a label is open, picking a color or font size in the Toolbar restyles it
+    useEffect(() => {
+        const editor = textEditorRef.current;
+        if (editor) updateTextEditor({ ...editor, color: currentColor });
+    }, [currentColor]);
+
+    useEffect(() => {
+        const editor = textEditorRef.current;
+        if (editor) updateTextEditor({ ...editor, fontSize });
+    }, [fontSize]);
+
+    // The editor stays open while the Toolbar has focus; switching tools commits it
+    const commitTextEditorRef = useRef(null);
+    commitTextEditorRef.current = commitTextEditor;
+    useEffect(() => {
+        if (currentTool !== 'text') commitTextEditorRef.current();
+    }, [currentTool]);
+
+    // Double-click re-edits a label while the text tool is active
+    const handleDoubleClick = (e) => {
         const canvas = canvasRef.current;
-        if (!canvas) return;
+        if (!canvas || readOnly || currentTool !== 'text') return;
+
+        const point = getWorldPoint(e);
+        if (findTextAt(editableOperations, point)) {
+            openTextEditor(point);
+        }
+    };
 
-        const point = getCanvasCoordinates(e, canvas);
+    // Send the points collected since the last batch as quantized deltas
+    const flushStroke = (stroke) => {
+        clearTimeout(stroke.timer);
+        stroke.timer = null;
+
+        const { deltas, pen, last } = encodeDeltas(stroke.pending, stroke.last);
+        stroke.pending = [];
+        stroke.last = last;
+
+        if (deltas.length > 0) {
+            socket?.emit('draw_points', { strokeId: stroke.id, deltas, ...(pen && { pen }) });
+        }
+    };
+
+    // Queue points; batches go out every STROKE_BATCH_INTERVAL_MS
+    const queueStrokePoints = (stroke, points) => {
+        stroke.pending.push(...points);
+        stroke.timer ??= setTimeout(() => flushStroke(stroke), STROKE_BATCH_INTERVAL_MS);
+    };
+
+    // Show the strokes in progress (the redraw effect picks them up)
+    const updateLocalStrokes = () => {
+        setLocalStrokes(Object.fromEntries(
+            [...strokesRef.current].map(([pointerId, stroke]) => [pointerId, stroke.operation])
+        ));
+    };
+
+    // Announce a stroke to the room; points drawn before that go out as its first batch
+    const sendStrokeStart = (stroke) => {
+        if (stroke.id !== null) return;
+        clearTimeout(stroke.confirmTimer);
+
+        // Points are streamed against this id and the commit only references it
+        stroke.id = ++nextStrokeIdRef.current;
+        const [first, ...rest] = stroke.operation.points;
+        const { color, opacity, width, tool } = stroke.operation;
+        socket?.emit('draw_start', withOpacity({
+            strokeId: stroke.id,
+            x: first.x,
+            y: first.y,
+            ...quantizePen(first),
+            color,
+            width,
+            tool,
+        }, opacity));
+
+        if (rest.length > 0) queueStrokePoints(stroke, rest);
+    };
+
+    // Start a freehand stroke for this pointer. A finger may be the first of a
+    // two-finger gesture, so its stroke is only sent once it moves or stays down
+    const startStroke = (e) => {
+        const point = getStrokePoint(e);
+        const stroke = {
+            id: null,
+            operation: withOpacity(
+                { type: 'draw', points: [point], color: currentColor, width: currentWidth, tool: currentTool },
+                currentOpacity
+            ),
+            layerId: activeLayerId,
+            last: quantizePoint(point),
+            pending: [],
+            timer: null,
+            confirmTimer: null,
+            sampledAt: e.timeStamp,
+            screenStart: getCanvasCoordinates(e, canvasRef.current),
+        };
+        strokesRef.current.set(e.pointerId, stroke);
+
+        if (e.pointerType === 'touch') {
+            stroke.confirmTimer = setTimeout(() => sendStrokeStart(stroke), GESTURE_WINDOW_MS);
+        } else {
+            sendStrokeStart(stroke);
+        }
+        updateLocalStrokes();
+    };
+
+    const moveStroke = (e, stroke) => {
+        e.preventDefault();
+        if (e.timeStamp - stroke.sampledAt < POINTER_SAMPLE_MS) return;
+
+        const point = getStrokePoint(e);
+        const lastPoint = stroke.operation.points.at(-1);
 
         // Skip if point hasn't moved much (reduce redundant points)
-        if (lastPointRef.current) {
-            const dx = point.x - lastPointRef.current.x;
-            const dy = point.y - lastPointRef.current.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
+        if (Math.hypot(point.x - lastPoint.x, point.y - lastPoint.y) < 2 / viewport.zoom) return;
 
-            if (distance < 2) return; // Skip very small movements
+        stroke.sampledAt = e.timeStamp;
+        stroke.operation = { ...stroke.operation, points: [...stroke.operation.points, point] };
+
+        if (stroke.id !== null) {
+            queueStrokePoints(stroke, [point]);
+        } else {
+            // A finger that moves off is drawing, not starting a gesture
+            const screen = getCanvasCoordinates(e, canvasRef.current);
+            if (Math.hypot(screen.x - stroke.screenStart.x, screen.y - stroke.screenStart.y) > TOUCH_SLOP) {
+                sendStrokeStart(stroke);
+            }
         }
 
-        setCurrentPath(prev => [...prev, point]);
-        lastPointRef.current = point;
+        // The redraw effect paints the new point (only the active layer's preview changes)
+        updateLocalStrokes();
+    };
 
-        // Draw immediately for smooth local feedback
-        const ctx = canvas.getContext('2d');
-        redrawCanvas(ctx, operations, canvasWidth, canvasHeight);
-        drawStroke(ctx, [...currentPath, point], currentColor, currentWidth, currentTool);
+    // Commit a pointer's stroke; discard drops it instead, cancelling it on the server
+    // if it was already sent
+    const endStroke = (pointerId, discard = false) => {
+        const stroke = strokesRef.current.get(pointerId);
+        if (!stroke) return;
 
-        // Emit draw move event
-        socket?.emit('draw_move', {
-            x: point.x,
-            y: point.y,
+        strokesRef.current.delete(pointerId);
+        clearTimeout(stroke.confirmTimer);
+
+        if (discard) {
+            clearTimeout(stroke.timer);
+            if (stroke.id !== null) {
+                socket?.emit('draw_cancel', { strokeId: stroke.id });
+            }
+        } else {
+            // A tap still leaves a dot; send the last batch, then commit the stroke by id
+            sendStrokeStart(stroke);
+            flushStroke(stroke);
+            socket?.emit('draw_end', { strokeId: stroke.id, layerId: stroke.layerId }, (result) => {
+                if (!result.ok) {
+                    console.error('Stroke rejected:', result.errors);
+                    onNotice(`❌ ${result.errors[0]}`);
+                }
+            });
+        }
+        updateLocalStrokes();
+    };
+
+    // Committed drawing as it shows on screen, without anything drawn over it (selection,
+    // strokes still in progress); rect is in canvas pixels and defaults to all of it
+    const readCommittedPixels = (rect) => {
+        rendererRef.current ??= createLayeredRenderer();
+        return rendererRef.current.readPixels({
+            operations,
+            layers,
+            viewport,
+            width: canvasWidth,
+            height: canvasHeight,
+        }, rect);
+    };
+
+    // Eyedropper: take the color of the committed drawing under the pointer, as rendered
+    // on screen (all visible layers together). Semi-transparent paint gives its own color
+    const pickColor = (e) => {
+        const { x, y } = getCanvasCoordinates(e, canvasRef.current);
+        const [r, g, b, a] = readCommittedPixels({ x: Math.floor(x), y: Math.floor(y), width: 1, height: 1 }).data;
+
+        if (a === 0) {
+            onNotice('🎨 Nothing drawn there to pick a color from');
+            return;
+        }
+        onColorPick?.(rgbToHex(r, g, b));
+    };
+
+    // Fill tool: flood the region under the pointer in the committed drawing as rendered
+    // on screen (all visible layers together) and send it as a run-length mask with one
+    // cell per screen pixel, so the fill only reaches as far as the screen shows
+    const fillRegion = (e) => {
+        const { x, y } = getCanvasCoordinates(e, canvasRef.current);
+        const image = readCommittedPixels();
+        const startX = Math.min(image.width - 1, Math.max(0, Math.floor(x)));
+        const startY = Math.min(image.height - 1, Math.max(0, Math.floor(y)));
+        const region = floodFillMask(image, startX, startY, fillTolerance);
+        const { columns, rows, runs } = encodeFillMask(region, image.width);
+        const origin = screenToWorld(viewport, { x: region.minX, y: region.minY });
+
+        socket?.emit('draw_fill', withOpacity({
+            x: origin.x,
+            y: origin.y,
+            cellWidth: 1 / viewport.zoom,
+            cellHeight: 1 / viewport.zoom,
+            columns,
+            rows,
+            runs,
+            color: currentColor,
+            layerId: activeLayerId,
+        }, currentOpacity), (result) => {
+            if (!result.ok) onNotice(`❌ ${result.errors[0]}`);
         });
-    }, 16); // ~60fps
+    };
+
+    // Handle drawing start
+    const handleDrawStart = (e) => {
+        e.preventDefault();
+        const canvas = canvasRef.current;
+        if (!canvas || startPan(e)) return;
+
+        // Viewers can still pan and zoom, but not draw or select
+        if (readOnly) return;
+
+        const point = getWorldPoint(e);
+
+        // Text tool: clicking away commits the open editor, otherwise places (or re-opens) a label
+        if (currentTool === 'text' && textEditorRef.current) {
+            commitTextEditor();
+            return;
+        }
+        if (currentTool === 'text' && findTextAt(editableOperations, point)) {
+            openTextEditor(point);
+            return;
+        }
+
+        if (currentTool === 'select') {
+            startSelectionDrag(point, e.shiftKey);
+            return;
+        }
+
+        if (currentTool === 'eyedropper') {
+            pickColor(e);
+            return;
+        }
+
+        // New strokes, shapes and labels go on the active layer
+        if (activeLayer && (activeLayer.locked || !activeLayer.visible)) {
+            onNotice(`🔒 ${activeLayer.name} is ${activeLayer.locked ? 'locked' : 'hidden'}; pick another layer to draw on`);
+            return;
+        }
+
+        if (currentTool === 'text') {
+            openTextEditor(point);
+            return;
+        }
+
+        if (currentTool === 'fill') {
+            fillRegion(e);
+            return;
+        }
+
+        // Shapes are rubber-banded locally and only sent once complete
+        if (SHAPE_TYPES.includes(currentTool)) {
+            setShapeDraft({ start: point, end: point });
+            return;
+        }
+
+        startStroke(e);
+    };
+
+    // Handle selection and shape drags (throttled for performance)
+    // Every accepted stroke point re-renders the canvas, so the throttles below are made once
+    // and call the latest render's handler through a ref
+    const drawMoveRef = useRef(null);
+    drawMoveRef.current = (e) => {
+        if (!shapeDraft && !selectionDrag) return;
+        e.preventDefault();
+
+        const point = getWorldPoint(e);
+
+        if (selectionDrag) {
+            if (!selectionDrag.committing) {
+                setSelectionDrag({ ...selectionDrag, current: point, uniform: e.shiftKey });
+            }
+            return;
+        }
+
+        // Rubber-band the shape; Shift constrains it
+        const end = e.shiftKey ? constrainShapeEnd(currentTool, shapeDraft.start, point) : point;
+        setShapeDraft({ start: shapeDraft.start, end });
+    };
+    const handleDrawMove = useMemo(() => throttle(e => drawMoveRef.current(e), 16), []); // ~60fps
 
     // Handle drawing end
     const handleDrawEnd = (e) => {
-        if (!isDrawing) return;
+        if (endPan()) return;
+        if (selectionDrag) {
+            e.preventDefault();
+            finishSelectionDrag();
+            return;
+        }
+        if (!shapeDraft) return;
         e.preventDefault();
 
-        setIsDrawing(false);
+        const { start, end } = shapeDraft;
 
-        if (currentPath.length > 0) {
-            // Emit complete path to server
-            socket?.emit('draw_end', {
-                points: currentPath,
+        // Ignore clicks that never dragged out a shape
+        if (start.x !== end.x || start.y !== end.y) {
+            socket?.emit('draw_shape', withOpacity({
+                shape: currentTool,
+                start,
+                end,
                 color: currentColor,
                 width: currentWidth,
-                tool: currentTool,
+                fill: fillShapes,
+                layerId: activeLayerId,
+            }, currentOpacity), (result) => {
+                if (!result.ok) onNotice(`❌ ${result.errors[0]}`);
             });
         }
 
-        setCurrentPath([]);
-        lastPointRef.current = null;
+        setShapeDraft(null);
     };
 
     // Handle cursor move for remote cursor tracking
-    const handleCursorMove = throttle((e) => {
+    const cursorMoveRef = useRef(null);
+    cursorMoveRef.current = (e) => {
         const canvas = canvasRef.current;
-        if (!canvas) return;
+        // Spectators watch without a cursor of their own on everyone's screen
+        if (!canvas || readOnly) return;
 
-        const point = getCanvasCoordinates(e, canvas);
+        // Cursors are shared in world coordinates; each client maps them into its own viewport
+        const point = getWorldPoint(e);
         socket?.emit('cursor_move', {
             x: point.x,
             y: point.y,
         });
-    }, 50); // Update cursor position every 50ms
+    };
+    const handleCursorMove = useMemo(() => throttle(e => cursorMoveRef.current(e), 50), []); // Update cursor position every 50ms
 
-    // Prevent scrolling on touch devices
-    useEffect(() => {
-        const preventDefault = (e) => e.preventDefault();
-        document.body.addEventListener('touchmove', preventDefault, { passive: false });
-        return () => {
-            document.body.removeEventListener('touchmove', preventDefault);
+    // Two fingers pinch-zoom and pan; the world point between them stays under the fingers
+    const getPinch = (pointerIds) => {
+        const [a, b] = pointerIds.map(pointerId => touchPointersRef.current.get(pointerId));
+        return {
+            center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+            distance: Math.max(1, Math.hypot(a.x - b.x, a.y - b.y)),
         };
-    }, []);
+    };
+
+    // Stop what the fingers on the canvas are doing: their strokes are dropped (a palm's
+    // mark is never kept), anything else is finished
+    const releaseTouches = (e) => {
+        touchPointersRef.current.forEach((_, pointerId) => endStroke(pointerId, true));
+        if (touchPointersRef.current.has(pointerRef.current)) {
+            handleDrawEnd(e);
+            pointerRef.current = null;
+        }
+    };
+
+    const startGesture = (e, pointerIds) => {
+        e.preventDefault();
+        releaseTouches(e);
+        gestureRef.current = { pointerIds, ...getPinch(pointerIds), viewport, startedAt: e.timeStamp, isTap: true };
+    };
+
+    // Decide what a new finger does; returns true when it doesn't draw
+    const handleTouchDown = (e) => {
+        // More fingers only spoil a tap in progress
+        if (gestureRef.current) {
+            gestureRef.current.isTap = false;
+            return true;
+        }
+
+        // Palm rejection: while a pen draws, and once one has been used, fingers only navigate
+        if (palmRejection && pensDownRef.current.size > 0) return true;
+
+        const fingers = [...touchPointersRef.current.keys()];
+        if (fingers.length === 2) {
+            // Without palm rejection a finger that is already drawing keeps going, and this one draws too
+            const other = strokesRef.current.get(fingers[0]);
+            if (palmRejection || !other || other.id === null) {
+                startGesture(e, fingers);
+                return true;
+            }
+            return false;
+        }
+        return palmRejection && penSeenRef.current;
+    };
+
+    // Pointer Events cover mouse, pen and touch alike. Each pointer is captured so it
+    // keeps going outside the canvas. Freehand strokes are tracked per pointer: with
+    // palm rejection off, several fingers (and a pen) draw strokes of their own at once.
+    // Shapes, selection drags and pans take a single pointer
+    const handlePointerDown = (e) => {
+        if (e.pointerType === 'pen') {
+            penSeenRef.current = true;
+            pensDownRef.current.add(e.pointerId);
+
+            // Palm rejection: the pen takes over from a palm that landed first, which
+            // stays ignored until it is lifted
+            if (palmRejection) {
+                releaseTouches(e);
+                if (gestureRef.current) {
+                    gestureRef.current = { ...gestureRef.current, pointerIds: [], isTap: false };
+                }
+            }
+        }
+
+        if (e.pointerType === 'touch') {
+            touchPointersRef.current.set(e.pointerId, getCanvasCoordinates(e, canvasRef.current));
+            if (handleTouchDown(e)) return;
+        }
+
+        if (pointerRef.current !== null) return;
+        if (strokesRef.current.size > 0 && palmRejection) return;
+
+        e.currentTarget.setPointerCapture(e.pointerId);
+        handleDrawStart(e);
+
+        // Anything but a stroke is driven by this pointer alone
+        if (!strokesRef.current.has(e.pointerId)) {
+            pointerRef.current = e.pointerId;
+        }
+    };
+
+    const handlePointerMove = (e) => {
+        if (touchPointersRef.current.has(e.pointerId)) {
+            touchPointersRef.current.set(e.pointerId, getCanvasCoordinates(e, canvasRef.current));
+        }
+
+        const gesture = gestureRef.current;
+        if (gesture?.pointerIds.includes(e.pointerId)) {
+            e.preventDefault();
+            if (!gesture.pointerIds.every(pointerId => touchPointersRef.current.has(pointerId))) return;
+
+            const { center, distance } = getPinch(gesture.pointerIds);
+            if (Math.hypot(center.x - gesture.center.x, center.y - gesture.center.y) > TOUCH_SLOP ||
+                Math.abs(distance - gesture.distance) > TOUCH_SLOP) {
+                gesture.isTap = false;
+            }
+
+            const zoomed = zoomAt(gesture.viewport, gesture.center, distance / gesture.distance);
+            onViewportChange(panBy(zoomed, center.x - gesture.center.x, center.y - gesture.center.y));
+            return;
+        }
+
+        const stroke = strokesRef.current.get(e.pointerId);
+        if (stroke) {
+            moveStroke(e, stroke);
+            handleCursorMove(e);
+            return;
+        }
+
+        // Other pointers (a resting palm, a second mouse) leave the drag alone
+        if (pointerRef.current !== null && pointerRef.current !== e.pointerId) return;
+        if (e.pointerType === 'touch' && pointerRef.current === null) return;
+
+        if (handlePanMove(e)) return;
+        handleDrawMove(e);
+        handleCursorMove(e);
+    };
+
+    const handlePointerUp = (e) => {
+        touchPointersRef.current.delete(e.pointerId);
+        pensDownRef.current.delete(e.pointerId);
+
+        const gesture = gestureRef.current;
+        if (gesture && e.pointerType === 'touch') {
+            e.preventDefault();
+            // Wait until every finger is lifted before drawing again
+            if (touchPointersRef.current.size > 0) return;
+
+            gestureRef.current = null;
+            // A quick two-finger tap that neither panned nor zoomed undoes
+            if (gesture.isTap && e.timeStamp - gesture.startedAt <= TAP_MAX_MS && !readOnly) {
+                onUndo?.();
+            }
+            return;
+        }
+
+        if (strokesRef.current.has(e.pointerId)) {
+            endStroke(e.pointerId);
+            return;
+        }
+        if (pointerRef.current !== e.pointerId) return;
+
+        pointerRef.current = null;
+        handleDrawEnd(e);
+    };
+
+    const cursorClass = isPanning
+        ? 'cursor-grabbing'
+        : spaceHeld ? 'cursor-grab' : readOnly ? 'cursor-default' : TOOL_CURSORS[currentTool] || 'cursor-crosshair';
 
     return (
-        <div className="relative w-full h-full">
+        <div className="relative w-full h-full overflow-hidden">
             <canvas
                 ref={canvasRef}
-                className={`absolute inset-0 ${currentTool === 'eraser' ? 'cursor-cell' : 'cursor-crosshair'}`}
-                onMouseDown={handleDrawStart}
-                onMouseMove={(e) => {
-                    handleDrawMove(e);
-                    handleCursorMove(e);
-                }}
-                onMouseUp={handleDrawEnd}
-                onMouseLeave={handleDrawEnd}
-                onTouchStart={handleDrawStart}
-                onTouchMove={(e) => {
-                    handleDrawMove(e);
-                    handleCursorMove(e);
-                }}
-                onTouchEnd={handleDrawEnd}
+                className={`absolute inset-0 touch-none ${cursorClass}`}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                onDoubleClick={handleDoubleClick}
             />
 
+            {/* Inline text editor */}
+            {textEditor && (
+                <TextEditor
+                    editor={textEditor}
+                    viewport={viewport}
+                    onChange={(text) => updateTextEditor({ ...textEditor, text })}
+                    onCommit={commitTextEditor}
+                    onCancel={() => updateTextEditor(null)}
+                />
+            )}
+
             {/* Remote user cursors */}
             {Object.entries(cursors).map(([userId, cursor]) => {
                 const user = onlineUsers.find(u => u.userId === userId);
-                if (!user || !cursor.x || !cursor.y) return null;
+                if (!user || typeof cursor.x !== 'number' || typeof cursor.y !== 'number') return null;
+
+                // Skip cursors outside this user's view
+                const position = worldToScreen(viewport, cursor);
+                if (position.x < 0 || position.y < 0 || position.x > canvasWidth || position.y > canvasHeight) {
+                    return null;
+                }
 
                 return (
                     <div
                         key={userId}
                         className="absolute pointer-events-none transition-all duration-100 ease-out"
                         style={{
-                            left: `${cursor.x}px`,
-                            top: `${cursor.y}px`,
+                            left: `${position.x}px`,
+                            top: `${position.y}px`,
                             transform: 'translate(-50%, -50%)',
                         }}
                     >
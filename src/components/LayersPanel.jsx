@@ -0,0 +1,135 @@
+/**
+ * LayersPanel component listing the room's layers, top layer first
+ * Picks the layer new drawings go on and lets editors add, rename (double-click),
+ * hide, lock and reorder layers; layers are shared by everyone in the room
+ */
+
+import React, { useState } from 'react';
+
+const MAX_NAME_LENGTH = 40;
+
+export default function LayersPanel({
+    layers,
+    activeLayerId,
+    onSelectLayer,
+    onCreateLayer,
+    onUpdateLayer,
+    onMoveLayer,
+}) {
+    // Layer being renamed: { layerId, name }
+    const [renaming, setRenaming] = useState(null);
+
+    const commitRename = () => {
+        if (!renaming) return;
+
+        const name = renaming.name.trim();
+        const layer = layers.find(({ id }) => id === renaming.layerId);
+        if (layer && name && name !== layer.name) {
+            onUpdateLayer(layer.id, { name });
+        }
+        setRenaming(null);
+    };
+
+    const handleRenameKeyDown = (e) => {
+        if (e.key === 'Enter') {
+            commitRename();
+        } else if (e.key === 'Escape') {
+            setRenaming(null);
+        }
+    };
+
+    const iconButton = 'px-1 rounded-lg hover-bg-white-20 text-xs disabled-opacity-50';
+
+    return (
+        <div className="fixed bottom-4 right-4 z-10">
+            <div className="glass-panel px-4 py-3 min-w-200 animate-slide-in">
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-white font-semibold text-sm">Layers</h3>
+                    <button
+                        onClick={onCreateLayer}
+                        className="px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs"
+                        title="Add a layer on top"
+                    >
+                        + Layer
+                    </button>
+                </div>
+
+                <div className="space-y-2">
+                    {layers.map((layer, index) => ({ layer, index })).reverse().map(({ layer, index }) => (
+                        <div
+                            key={layer.id}
+                            onClick={() => onSelectLayer(layer.id)}
+                            className={`flex items-center gap-2 p-2 rounded-lg cursor-pointer transition-all ${layer.id === activeLayerId ? 'bg-white-20' : 'bg-white-10'}`}
+                        >
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onUpdateLayer(layer.id, { visible: !layer.visible });
+                                }}
+                                className={iconButton}
+                                title={layer.visible ? 'Hide layer' : 'Show layer'}
+                            >
+                                {layer.visible ? '👁' : '🙈'}
+                            </button>
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onUpdateLayer(layer.id, { locked: !layer.locked });
+                                }}
+                                className={iconButton}
+                                title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                            >
+                                {layer.locked ? '🔒' : '🔓'}
+                            </button>
+
+                            {renaming?.layerId === layer.id ? (
+                                <input
+                                    type="text"
+                                    value={renaming.name}
+                                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                                    onKeyDown={handleRenameKeyDown}
+                                    onBlur={commitRename}
+                                    onClick={(e) => e.stopPropagation()}
+                                    maxLength={MAX_NAME_LENGTH}
+                                    className="flex-1 min-w-0 px-2 py-1 bg-white-10 border border-white-20 rounded-lg text-white text-sm focus-outline-none"
+                                    autoFocus
+                                />
+                            ) : (
+                                <p
+                                    onDoubleClick={() => setRenaming({ layerId: layer.id, name: layer.name })}
+                                    className={`flex-1 min-w-0 text-sm truncate ${layer.visible ? 'text-white' : 'text-white-50'}`}
+                                    title="Double-click to rename"
+                                >
+                                    {layer.name}
+                                </p>
+                            )}
+
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onMoveLayer(layer.id, index + 1);
+                                }}
+                                disabled={index === layers.length - 1}
+                                className={`${iconButton} text-white`}
+                                title="Move up"
+                            >
+                                ▲
+                            </button>
+                            <button
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onMoveLayer(layer.id, index - 1);
+                                }}
+                                disabled={index === 0}
+                                className={`${iconButton} text-white`}
+                                title="Move down"
+                            >
+                                ▼
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,165 @@
+/**
+ * ReplayPanel component that plays back how the drawing was made
+ * Play/pause, scrubbing, speed and a per-user filter drive a replay clock (see
+ * utils/replay.js); every frame is handed to the canvas through onFrame, and
+ * null once the panel closes. The replay can also be recorded as a WebM video
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import { buildReplay, getReplayFrame, getReplayUserIds, REPLAY_SPEEDS } from '../utils/replay';
+import { downloadBlob, exportReplayWebM } from '../utils/exportCanvas';
+
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+export default function ReplayPanel({ roomId, operations, layers, users, onFrame, onNotice, onClose }) {
+    const [playing, setPlaying] = useState(false);
+    const [time, setTime] = useState(0);
+    const [speed, setSpeed] = useState(4);
+    const [hiddenUserIds, setHiddenUserIds] = useState([]);
+    const [exportProgress, setExportProgress] = useState(null);
+
+    const userIds = useMemo(() => getReplayUserIds(operations), [operations]);
+    const replay = useMemo(() => buildReplay(operations, {
+        userIds: userIds.filter(userId => !hiddenUserIds.includes(userId)),
+    }), [operations, userIds, hiddenUserIds]);
+    const frame = useMemo(() => getReplayFrame(replay, time), [replay, time]);
+
+    // Show the frame on the canvas; the live canvas comes back when the panel closes
+    useEffect(() => {
+        onFrame(frame);
+    }, [frame, onFrame]);
+    useEffect(() => () => onFrame(null), [onFrame]);
+
+    // Advance the clock every animation frame while playing
+    useEffect(() => {
+        if (!playing) return;
+
+        let last = performance.now();
+        let frameId;
+        const tick = (now) => {
+            setTime(prev => Math.min(replay.duration, prev + (now - last) * speed));
+            last = now;
+            frameId = requestAnimationFrame(tick);
+        };
+        frameId = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frameId);
+    }, [playing, speed, replay.duration]);
+
+    // Stop at the end
+    useEffect(() => {
+        if (playing && time >= replay.duration) setPlaying(false);
+    }, [playing, time, replay.duration]);
+
+    const handlePlayPause = () => {
+        if (!playing && time >= replay.duration) setTime(0);
+        setPlaying(!playing);
+    };
+
+    const toggleUser = (userId) => {
+        setHiddenUserIds(prev => (prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]));
+    };
+
+    // Operations only carry a user id; names are known for the people still here
+    const getUserName = (userId) => {
+        const user = users.find(other => other.userId === userId);
+        if (user) return user.username;
+        // Imports over HTTP are credited to 'import', or to 'account:<id>' when signed in
+        return userId === 'import' || userId.startsWith('account:') ? 'Imported' : `User ${userId.slice(0, 6)}`;
+    };
+
+    const handleExport = async () => {
+        setPlaying(false);
+        setExportProgress(0);
+        try {
+            const blob = await exportReplayWebM(replay, { layers, speed, onProgress: setExportProgress });
+            downloadBlob(blob, `${roomId}-replay.webm`);
+        } catch (error) {
+            console.error('Replay export failed:', error);
+            onNotice(`❌ ${error.message}`);
+        } finally {
+            setExportProgress(null);
+        }
+    };
+
+    return (
+        <div className="fixed bottom-4 left-4 z-10">
+            <div className="glass-panel px-4 py-3 w-80 animate-slide-in">
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-white font-semibold text-sm">Replay</h3>
+                    <button
+                        onClick={onClose}
+                        className="px-2 py-1 rounded-lg hover-bg-white-20 text-white text-xs"
+                        title="Back to the live canvas"
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                {operations.length === 0 ? (
+                    <p className="text-white-50 text-sm">Nothing has been drawn yet</p>
+                ) : (
+                    <div className="space-y-2">
+                        <div className="flex items-center gap-2">
+                            <button
+                                onClick={handlePlayPause}
+                                className="btn-primary px-2 py-1 text-sm"
+                                title={playing ? 'Pause' : 'Play'}
+                            >
+                                {playing ? '⏸' : '▶'}
+                            </button>
+                            <input
+                                type="range"
+                                min={0}
+                                max={replay.duration}
+                                value={Math.min(time, replay.duration)}
+                                onChange={(e) => setTime(Number(e.target.value))}
+                                className="flex-1 min-w-0 cursor-pointer"
+                                aria-label="Replay position"
+                            />
+                            <select
+                                value={speed}
+                                onChange={(e) => setSpeed(Number(e.target.value))}
+                                className="px-2 py-1 bg-white-10 border border-white-20 rounded-lg text-white text-xs focus-outline-none"
+                                title="Playback speed"
+                            >
+                                {REPLAY_SPEEDS.map(option => (
+                                    <option key={option} value={option}>{option}×</option>
+                                ))}
+                            </select>
+                        </div>
+                        <p className="text-white-50 text-xs">
+                            {formatDuration(Math.min(time, replay.duration))} / {formatDuration(replay.duration)} · long pauses are shortened
+                        </p>
+
+                        <div className="space-y-2 max-h-48 overflow-y-auto">
+                            {userIds.map(userId => (
+                                <label key={userId} className="flex items-center gap-2 text-white text-sm cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={!hiddenUserIds.includes(userId)}
+                                        onChange={() => toggleUser(userId)}
+                                    />
+                                    <span className="truncate">{getUserName(userId)}</span>
+                                </label>
+                            ))}
+                        </div>
+
+                        <button
+                            onClick={handleExport}
+                            disabled={exportProgress !== null || replay.steps.length === 0}
+                            className="w-full px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs disabled-opacity-50"
+                            title="Record the replay at the chosen speed"
+                        >
+                            {exportProgress === null
+                                ? '🎬 Export video (WebM)'
+                                : `Recording... ${Math.round(exportProgress * 100)}%`}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,182 @@
+/**
+ * RoomInfo component showing the current room
+ * Displays the room name, copies the share link and switches rooms in place
+ * With sign-in enabled it shows the user's role, and lets the owner make the room
+ * private and create invite links. The clock opens the version history and the
+ * play button the session replay
+ */
+
+import React, { useState } from 'react';
+import { generateRoomId, getInviteLink, getRoomLink, normalizeRoomId } from '../utils/roomUrl';
+
+const ROLE_LABELS = { owner: 'Owner', editor: 'Editor', viewer: 'Viewer' };
+
+export default function RoomInfo({ roomId, role, isPrivate, onSwitchRoom, onSetPrivate, onCreateInvite, onToggleHistory, onToggleReplay }) {
+    const [showSwitcher, setShowSwitcher] = useState(false);
+    const [nextRoomId, setNextRoomId] = useState('');
+    const [copied, setCopied] = useState(false);
+    const [showInvite, setShowInvite] = useState(false);
+    const [inviteRole, setInviteRole] = useState('editor');
+    const [inviteCopied, setInviteCopied] = useState(false);
+
+    const isOwner = role === 'owner';
+
+    const handleCopyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(getRoomLink(roomId));
+            setCopied(true);
+            setTimeout(() => setCopied(false), 1500);
+        } catch (error) {
+            console.error('Failed to copy room link:', error);
+        }
+    };
+
+    // Invite links carry a signed token that lets the holder into a private room
+    const handleCopyInvite = async () => {
+        try {
+            const { token } = await onCreateInvite(inviteRole);
+            await navigator.clipboard.writeText(getInviteLink(roomId, token));
+            setInviteCopied(true);
+            setTimeout(() => setInviteCopied(false), 1500);
+        } catch (error) {
+            console.error('Failed to create invite link:', error);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const target = normalizeRoomId(nextRoomId);
+        if (!target) return;
+
+        onSwitchRoom(target);
+        setNextRoomId('');
+        setShowSwitcher(false);
+    };
+
+    return (
+        <div className="fixed top-4 left-4 z-10">
+            <div className="glass-panel px-4 py-3 min-w-200 animate-slide-in">
+                <div className="flex items-center justify-between gap-3">
+                    <div className="min-w-0">
+                        <p className="text-white-50 text-xs">Room</p>
+                        <h3 className="text-white font-semibold text-sm truncate" title={roomId}>
+                            {isPrivate && '🔒 '}{roomId}
+                        </h3>
+                        {role && (
+                            <p className="text-white-50 text-xs">{ROLE_LABELS[role]}</p>
+                        )}
+                    </div>
+
+                    <div className="flex gap-2">
+                        {isOwner && (
+                            <button
+                                onClick={() => setShowInvite(!showInvite)}
+                                className="btn-icon text-white"
+                                title="Access and invite links"
+                            >
+                                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9v3m0 0v3m0-3h3m-3 0h-3m-2-5a4 4 0 11-8 0 4 4 0 018 0zM3 20a6 6 0 0112 0v1H3v-1z" />
+                                </svg>
+                            </button>
+                        )}
+                        <button
+                            onClick={onToggleHistory}
+                            className="btn-icon text-white"
+                            title="Version history"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                            </svg>
+                        </button>
+                        <button
+                            onClick={onToggleReplay}
+                            className="btn-icon text-white"
+                            title="Replay how the drawing was made"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.752 11.168l-3.197-2.132A1 1 0 0010 9.87v4.263a1 1 0 001.555.832l3.197-2.132a1 1 0 000-1.664z" />
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+                            </svg>
+                        </button>
+                        <button
+                            onClick={handleCopyLink}
+                            className="btn-icon text-white"
+                            title={copied ? 'Link copied!' : 'Copy room link'}
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                            </svg>
+                        </button>
+                        <button
+                            onClick={() => setShowSwitcher(!showSwitcher)}
+                            className="btn-icon text-white"
+                            title="Switch room"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                {isOwner && showInvite && (
+                    <div className="mt-3 space-y-2 animate-fade-in">
+                        <label className="flex items-center gap-2 text-white text-sm cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={isPrivate}
+                                onChange={(e) => onSetPrivate(e.target.checked)}
+                            />
+                            Private (invite only)
+                        </label>
+                        <div className="flex gap-2">
+                            <select
+                                value={inviteRole}
+                                onChange={(e) => setInviteRole(e.target.value)}
+                                className="flex-1 min-w-0 px-2 py-1 bg-white-10 border border-white-20 rounded-lg text-white text-sm focus-outline-none"
+                            >
+                                <option value="editor">Can draw</option>
+                                <option value="viewer">View only</option>
+                            </select>
+                            <button
+                                onClick={handleCopyInvite}
+                                className="btn-primary px-2 py-1 text-sm whitespace-nowrap"
+                            >
+                                {inviteCopied ? 'Copied!' : 'Copy invite'}
+                            </button>
+                        </div>
+                        <p className="text-white-50 text-xs">Invite links expire after 24 hours</p>
+                    </div>
+                )}
+
+                {showSwitcher && (
+                    <form onSubmit={handleSubmit} className="mt-3 flex gap-2 animate-fade-in">
+                        <input
+                            type="text"
+                            value={nextRoomId}
+                            onChange={(e) => setNextRoomId(e.target.value)}
+                            placeholder="Room name"
+                            className="flex-1 min-w-0 px-2 py-1 bg-white-10 border border-white-20 rounded-lg text-white text-sm placeholder-white-50 focus-outline-none"
+                            autoFocus
+                        />
+                        <button
+                            type="button"
+                            onClick={() => setNextRoomId(generateRoomId())}
+                            className="px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs"
+                            title="Generate a new room name"
+                        >
+                            New
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={!normalizeRoomId(nextRoomId)}
+                            className="btn-primary px-2 py-1 text-sm"
+                        >
+                            Go
+                        </button>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,56 @@
+/**
+ * Inline text editor placed on top of the canvas
+ * Enter commits, Shift+Enter adds a line, Escape cancels, clicking away commits.
+ * Moving focus into the Toolbar (marked data-text-style) keeps it open to restyle the label
+ */
+
+import React from 'react';
+import { getTextFont, measureTextWidth, TEXT_LINE_HEIGHT } from '../utils/canvasOperations';
+import { worldToScreen } from '../utils/viewport';
+
+export default function TextEditor({ editor, viewport, onChange, onCommit, onCancel }) {
+    // The label is anchored in world coordinates; show it at the current zoom
+    const position = worldToScreen(viewport, editor);
+    const fontSize = editor.fontSize * viewport.zoom;
+    const lines = editor.text.split('\n');
+    const width = Math.max(...lines.map(line => measureTextWidth(line, fontSize))) + fontSize;
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            onCommit();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onCancel();
+        }
+    };
+
+    const handleBlur = (e) => {
+        if (e.relatedTarget?.closest('[data-text-style]')) return;
+        onCommit();
+    };
+
+    return (
+        <textarea
+            value={editor.text}
+            onChange={(e) => onChange(e.target.value)}
+            onKeyDown={handleKeyDown}
+            onBlur={handleBlur}
+            rows={lines.length}
+            wrap="off"
+            spellCheck={false}
+            autoFocus
+            placeholder="Type…"
+            className="absolute z-10 p-0 m-0 bg-transparent border border-dashed border-white-30 resize-none overflow-hidden outline-none"
+            style={{
+                left: `${position.x}px`,
+                top: `${position.y}px`,
+                width: `${width}px`,
+                font: getTextFont(fontSize),
+                lineHeight: TEXT_LINE_HEIGHT,
+                color: editor.color,
+                opacity: editor.opacity ?? 1,
+            }}
+        />
+    );
+}
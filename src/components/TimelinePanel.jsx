@@ -0,0 +1,151 @@
+/**
+ * TimelinePanel component for looking back through a room's history
+ * The slider previews the canvas at any point in time, rebuilt by the server from
+ * every change made to the room since; saved versions (named and automatic snapshots) preview exactly
+ * what the room held when they were taken. Editors can save a version and restore
+ * the one being previewed for everyone
+ */
+
+import React, { useState } from 'react';
+
+const MAX_NAME_LENGTH = 60;
+
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString([], { dateStyle: 'short', timeStyle: 'medium' });
+}
+
+export default function TimelinePanel({
+    operations,
+    snapshots,
+    preview,
+    canEdit,
+    onPreviewTime,
+    onPreviewSnapshot,
+    onSaveSnapshot,
+    onRestore,
+    onClose,
+}) {
+    const [name, setName] = useState('');
+
+    // The slider runs from the oldest operation or snapshot to the newest
+    const times = [
+        ...operations.map(op => op.timestamp),
+        ...snapshots.map(snapshot => snapshot.createdAt),
+    ];
+    const start = times.reduce((min, time) => Math.min(min, time), Infinity);
+    const end = times.reduce((max, time) => Math.max(max, time), -Infinity);
+    const value = preview?.time ?? preview?.createdAt ?? end;
+
+    // The newest end of the slider is the live canvas
+    const previewAt = (time) => onPreviewTime(time >= end ? null : time);
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+
+        onSaveSnapshot(name.trim());
+        setName('');
+    };
+
+    let status = 'Live';
+    if (preview?.snapshotId) {
+        status = `${preview.name} · ${formatTime(preview.createdAt)}`;
+    } else if (preview) {
+        status = `${formatTime(preview.time)} · ${preview.operations.length} operations`;
+    }
+
+    return (
+        <div className="fixed bottom-4 left-4 z-10">
+            <div className="glass-panel px-4 py-3 w-80 animate-slide-in">
+                <div className="flex items-center justify-between mb-3">
+                    <h3 className="text-white font-semibold text-sm">History</h3>
+                    <button
+                        onClick={onClose}
+                        className="px-2 py-1 rounded-lg hover-bg-white-20 text-white text-xs"
+                        title="Back to the live canvas"
+                    >
+                        ✕
+                    </button>
+                </div>
+
+                {times.length === 0 ? (
+                    <p className="text-white-50 text-sm">Nothing has been drawn yet</p>
+                ) : (
+                    <div className="space-y-2">
+                        <input
+                            type="range"
+                            min={start}
+                            max={end}
+                            value={value}
+                            onChange={(e) => previewAt(Number(e.target.value))}
+                            className="w-full cursor-pointer"
+                            aria-label="Point in time to preview"
+                        />
+                        <p className="text-white text-xs truncate" title={status}>
+                            {preview ? '⏪ ' : '🟢 '}{status}
+                        </p>
+                        {preview && (
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={() => onPreviewTime(null)}
+                                    className="flex-1 px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs"
+                                >
+                                    Back to live
+                                </button>
+                                {canEdit && (
+                                    <button
+                                        onClick={onRestore}
+                                        className="flex-1 btn-primary px-2 py-1 text-xs"
+                                        title="Roll the room back to this version; it can be undone"
+                                    >
+                                        Restore this version
+                                    </button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {canEdit && (
+                    <form onSubmit={handleSave} className="mt-3 flex gap-2">
+                        <input
+                            type="text"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            placeholder="Name this version"
+                            maxLength={MAX_NAME_LENGTH}
+                            className="flex-1 min-w-0 px-2 py-1 bg-white-10 border border-white-20 rounded-lg text-white text-sm placeholder-white-50 focus-outline-none"
+                        />
+                        <button
+                            type="submit"
+                            disabled={!name.trim()}
+                            className="btn-primary px-2 py-1 text-sm"
+                        >
+                            Save
+                        </button>
+                    </form>
+                )}
+
+                {snapshots.length > 0 && (
+                    <div className="mt-3 space-y-2 max-h-48 overflow-y-auto">
+                        {snapshots.slice().reverse().map(snapshot => (
+                            <button
+                                key={snapshot.id}
+                                onClick={() => onPreviewSnapshot(snapshot)}
+                                className={`w-full text-left p-2 rounded-lg transition-all ${preview?.snapshotId === snapshot.id ? 'bg-white-20' : 'bg-white-10 hover-bg-white-20'}`}
+                            >
+                                <p className="text-white text-sm truncate">
+                                    {snapshot.auto ? '🕘 ' : '📸 '}{snapshot.name}
+                                </p>
+                                <p className="text-white-50 text-xs truncate">
+                                    {formatTime(snapshot.createdAt)} · {snapshot.operationCount} operations
+                                    {snapshot.username ? ` · ${snapshot.username}` : ''}
+                                </p>
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,47 +1,145 @@
 /**
  * Toolbar component for drawing tools
- * Provides brush, eraser, color picker, stroke width, and undo/redo controls
+ * Provides select, brushes, eraser, fill, shape and text tools, colors (room palette, picker with opacity,
+ * eyedropper and recent colors), stroke width, undo/redo, zoom and export/import controls
  */
 
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
+import { BRUSHES, BRUSH_TYPES, isBrush } from '../utils/brushes';
+import { MAX_PALETTE_COLORS, MIN_OPACITY } from '../utils/colors';
+import { FILL_TOLERANCES } from '../utils/floodFill';
 
-const PRESET_COLORS = [
-    '#000000', '#FFFFFF', '#FF0000', '#00FF00', '#0000FF',
-    '#FFFF00', '#FF00FF', '#00FFFF', '#FFA500', '#800080',
-];
+// Room palette colors shown in the bar itself; the color panel has all of them
+const INLINE_PALETTE_COLORS = 10;
 
 const STROKE_WIDTHS = [2, 4, 8, 12, 16, 24];
 
+const SHAPE_TOOLS = [
+    { tool: 'line', title: 'Line (L)', icon: <path strokeLinecap="round" strokeWidth={2} d="M5 19L19 5" /> },
+    { tool: 'arrow', title: 'Arrow (A)', icon: <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 19L19 5m0 0h-7m7 0v7" /> },
+    { tool: 'rectangle', title: 'Rectangle (R)', icon: <rect x="4" y="6" width="16" height="12" rx="1" strokeWidth={2} /> },
+    { tool: 'ellipse', title: 'Ellipse (O)', icon: <ellipse cx="12" cy="12" rx="8" ry="6" strokeWidth={2} /> },
+];
+
+const FILLABLE_SHAPES = ['rectangle', 'ellipse'];
+
+const FONT_SIZES = [12, 16, 20, 24, 32, 48, 64];
+
 export default function Toolbar({
     currentTool,
+    brushType,
     currentColor,
+    currentOpacity,
+    recentColors,
+    palette,
     currentWidth,
+    fillShapes,
+    fillTolerance,
+    palmRejection,
+    fontSize,
+    selectionCount,
     onToolChange,
     onColorChange,
+    onOpacityChange,
+    onPaletteChange,
     onWidthChange,
+    onFillShapesChange,
+    onFillToleranceChange,
+    onPalmRejectionChange,
+    onFontSizeChange,
+    onDeleteSelection,
+    zoom,
+    onZoomIn,
+    onZoomOut,
+    onZoomReset,
+    onZoomToFit,
     onUndo,
     onRedo,
     canUndo,
     canRedo,
+    canClear,
+    onClearCanvas,
+    onExport,
+    onImport,
 }) {
     const [showColorPicker, setShowColorPicker] = useState(false);
-    const [customColor, setCustomColor] = useState('#000000');
+    const [showExportMenu, setShowExportMenu] = useState(false);
+    const [confirmClear, setConfirmClear] = useState(false);
+    const [exportBackground, setExportBackground] = useState(true);
+    const [exportCrop, setExportCrop] = useState(false);
+    const [importMode, setImportMode] = useState('append');
+    const importInputRef = useRef(null);
+
+    const renderSwatch = (color, size) => (
+        <button
+            key={color}
+            onClick={() => onColorChange(color)}
+            className={`${size} rounded-lg border-2 transition-all hover-scale-110 ${currentColor === color ? 'border-white scale-110' : 'border-white-30'
+                }`}
+            style={{ backgroundColor: color }}
+            title={color}
+        />
+    );
+
+    const handleExport = (format) => {
+        onExport(format, {
+            background: exportBackground ? '#FFFFFF' : null,
+            crop: exportCrop,
+        });
+        setShowExportMenu(false);
+    };
+
+    const handleClearCanvas = () => {
+        onClearCanvas();
+        setConfirmClear(false);
+    };
+
+    const handleImportFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        onImport(file, importMode);
+        setShowExportMenu(false);
+    };
 
     return (
-        <div className="fixed top-4 left-half translate-x-neg-half z-10">
+        <div className="fixed top-4 left-half translate-x-neg-half z-10" data-text-style>
             <div className="glass-panel px-6 py-4 flex items-center gap-6 animate-slide-in">
                 {/* Tool Selection */}
                 <div className="flex gap-2">
                     <button
-                        onClick={() => onToolChange('brush')}
-                        className={`btn-icon ${currentTool === 'brush' ? 'bg-primary-500 text-white' : 'text-white'
+                        onClick={() => onToolChange('select')}
+                        className={`btn-icon ${currentTool === 'select' ? 'bg-primary-500 text-white' : 'text-white'
+                            }`}
+                        title="Select (V) - click or drag a box, Shift to add; drag to move, corners to resize"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 3l14 8-6 1.5L10 19 5 3z" />
+                        </svg>
+                    </button>
+                    <button
+                        onClick={() => onToolChange(brushType)}
+                        className={`btn-icon ${isBrush(currentTool) ? 'bg-primary-500 text-white' : 'text-white'
                             }`}
-                        title="Brush (B)"
+                        title={`${BRUSHES[brushType].label} (B)`}
                     >
                         <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.232 5.232l3.536 3.536m-2.036-5.036a2.5 2.5 0 113.536 3.536L6.5 21.036H3v-3.572L16.732 3.732z" />
                         </svg>
                     </button>
+                    {isBrush(currentTool) && (
+                        <select
+                            value={currentTool}
+                            onChange={(e) => onToolChange(e.target.value)}
+                            className="px-2 py-1 rounded-lg bg-white-10 border border-white-20 text-white text-xs animate-fade-in"
+                            title="Brush"
+                        >
+                            {BRUSH_TYPES.map((type) => (
+                                <option key={type} value={type}>{BRUSHES[type].label}</option>
+                            ))}
+                        </select>
+                    )}
                     <button
                         onClick={() => onToolChange('eraser')}
                         className={`btn-icon ${currentTool === 'eraser' ? 'bg-primary-500 text-white' : 'text-white'
@@ -52,27 +150,132 @@ export default function Toolbar({
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
                         </svg>
                     </button>
+                    <button
+                        onClick={() => onToolChange('fill')}
+                        className={`btn-icon ${currentTool === 'fill' ? 'bg-primary-500 text-white' : 'text-white'
+                            }`}
+                        title="Fill (G) - fill the area of similar color under the pointer"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 11l7-7 7 7-7 7-7-7zm0 0h14m1 4s-1.5 2-1.5 3a1.5 1.5 0 003 0c0-1-1.5-3-1.5-3z" />
+                        </svg>
+                    </button>
+                    {currentTool === 'fill' && (
+                        <select
+                            value={fillTolerance}
+                            onChange={(e) => onFillToleranceChange(Number(e.target.value))}
+                            className="px-2 py-1 rounded-lg bg-white-10 border border-white-20 text-white text-xs animate-fade-in"
+                            title="Tolerance - how different a color may be and still be filled"
+                        >
+                            {FILL_TOLERANCES.map((tolerance) => (
+                                <option key={tolerance} value={tolerance}>
+                                    {tolerance === 0 ? 'Exact' : `Tolerance ${tolerance}`}
+                                </option>
+                            ))}
+                        </select>
+                    )}
+                    {currentTool === 'select' && selectionCount > 0 && (
+                        <button
+                            onClick={onDeleteSelection}
+                            className="btn-icon text-white animate-fade-in"
+                            title={`Delete ${selectionCount} selected (Delete)`}
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                        </button>
+                    )}
+                    {(isBrush(currentTool) || currentTool === 'eraser') && (
+                        <label
+                            className="flex items-center gap-1 text-white text-xs animate-fade-in"
+                            title="On: fingers only pan and zoom once a stylus is used, and one finger draws at a time. Off: every finger draws its own stroke"
+                        >
+                            <input
+                                type="checkbox"
+                                checked={palmRejection}
+                                onChange={(e) => onPalmRejectionChange(e.target.checked)}
+                            />
+                            Palm rejection
+                        </label>
+                    )}
                 </div>
 
                 <div className="w-px h-8 bg-white-20" />
 
-                {/* Color Picker */}
+                {/* Shape Tools */}
+                <div className="flex gap-2 items-center">
+                    {SHAPE_TOOLS.map(({ tool, title, icon }) => (
+                        <button
+                            key={tool}
+                            onClick={() => onToolChange(tool)}
+                            className={`btn-icon ${currentTool === tool ? 'bg-primary-500 text-white' : 'text-white'
+                                }`}
+                            title={`${title} - hold Shift to constrain`}
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                {icon}
+                            </svg>
+                        </button>
+                    ))}
+                    {FILLABLE_SHAPES.includes(currentTool) && (
+                        <label className="flex items-center gap-1 text-white text-xs animate-fade-in" title="Fill rectangles and ellipses">
+                            <input
+                                type="checkbox"
+                                checked={fillShapes}
+                                onChange={(e) => onFillShapesChange(e.target.checked)}
+                            />
+                            Fill
+                        </label>
+                    )}
+                </div>
+
+                <div className="w-px h-8 bg-white-20" />
+
+                {/* Text Tool */}
+                <div className="flex gap-2 items-center">
+                    <button
+                        onClick={() => onToolChange('text')}
+                        className={`btn-icon ${currentTool === 'text' ? 'bg-primary-500 text-white' : 'text-white'
+                            }`}
+                        title="Text (T) - click to place, click a label to edit it"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 6V4h14v2M12 4v16m-3 0h6" />
+                        </svg>
+                    </button>
+                    {currentTool === 'text' && (
+                        <select
+                            value={fontSize}
+                            onChange={(e) => onFontSizeChange(Number(e.target.value))}
+                            className="px-2 py-1 rounded-lg bg-white-10 border border-white-20 text-white text-xs animate-fade-in"
+                            title="Font size"
+                        >
+                            {FONT_SIZES.map((size) => (
+                                <option key={size} value={size}>{size}px</option>
+                            ))}
+                        </select>
+                    )}
+                </div>
+
+                <div className="w-px h-8 bg-white-20" />
+
+                {/* Colors */}
                 <div className="relative">
                     <div className="flex gap-2 items-center">
-                        {PRESET_COLORS.map((color) => (
-                            <button
-                                key={color}
-                                onClick={() => onColorChange(color)}
-                                className={`w-8 h-8 rounded-lg border-2 transition-all hover-scale-110 ${currentColor === color ? 'border-white scale-110' : 'border-white-30'
-                                    }`}
-                                style={{ backgroundColor: color }}
-                                title={color}
-                            />
-                        ))}
+                        {palette.slice(0, INLINE_PALETTE_COLORS).map((color) => renderSwatch(color, 'w-8 h-8'))}
+                        <button
+                            onClick={() => onToolChange('eyedropper')}
+                            className={`btn-icon ${currentTool === 'eyedropper' ? 'bg-primary-500 text-white' : 'text-white'}`}
+                            title="Eyedropper (I) - pick a color from the canvas"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M14.5 4.5l5 5M17 2.5l4.5 4.5-3 3-4.5-4.5 3-3zM14 8l-9.5 9.5L4 20l2.5-.5L16 10" />
+                            </svg>
+                        </button>
                         <button
                             onClick={() => setShowColorPicker(!showColorPicker)}
                             className="btn-icon text-white"
-                            title="Custom Color"
+                            title="More colors and opacity"
                         >
                             <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01" />
@@ -81,16 +284,59 @@ export default function Toolbar({
                     </div>
 
                     {showColorPicker && (
-                        <div className="absolute top-12 right-0 glass-panel p-4 animate-fade-in">
+                        <div className="absolute top-12 right-0 w-64 glass-panel p-4 space-y-3 animate-fade-in">
                             <input
                                 type="color"
-                                value={customColor}
-                                onChange={(e) => {
-                                    setCustomColor(e.target.value);
-                                    onColorChange(e.target.value);
-                                }}
-                                className="w-32 h-32 cursor-pointer rounded-lg"
+                                value={currentColor}
+                                onChange={(e) => onColorChange(e.target.value)}
+                                className="w-full h-24 cursor-pointer rounded-lg"
                             />
+                            <label className="flex items-center gap-2 text-white text-xs">
+                                Opacity
+                                <input
+                                    type="range"
+                                    min={Math.round(MIN_OPACITY * 100)}
+                                    max={100}
+                                    value={Math.round(currentOpacity * 100)}
+                                    onChange={(e) => onOpacityChange(Number(e.target.value) / 100)}
+                                    className="flex-1 min-w-0 cursor-pointer"
+                                />
+                                {Math.round(currentOpacity * 100)}%
+                            </label>
+
+                            {recentColors.length > 0 && (
+                                <div>
+                                    <p className="text-white-50 text-xs mb-1">Recent</p>
+                                    <div className="flex flex-wrap gap-1">
+                                        {recentColors.map((color) => renderSwatch(color, 'w-6 h-6'))}
+                                    </div>
+                                </div>
+                            )}
+
+                            <div>
+                                <p className="text-white-50 text-xs mb-1">Room palette</p>
+                                <div className="flex flex-wrap gap-1">
+                                    {palette.map((color) => renderSwatch(color, 'w-6 h-6'))}
+                                </div>
+                            </div>
+                            {palette.includes(currentColor) ? (
+                                <button
+                                    onClick={() => onPaletteChange(palette.filter(color => color !== currentColor))}
+                                    className="w-full px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs"
+                                    title="Remove the current color from everyone's palette"
+                                >
+                                    Remove from room palette
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={() => onPaletteChange([...palette, currentColor])}
+                                    disabled={palette.length >= MAX_PALETTE_COLORS}
+                                    className="w-full px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs disabled-opacity-50"
+                                    title="Share the current color with everyone in the room"
+                                >
+                                    Add to room palette
+                                </button>
+                            )}
                         </div>
                     )}
                 </div>
@@ -128,7 +374,7 @@ export default function Toolbar({
                         onClick={onUndo}
                         disabled={!canUndo}
                         className="btn-icon text-white"
-                        title="Undo (Ctrl+Z)"
+                        title="Undo your last stroke (Ctrl+Z)"
                     >
                         <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
@@ -138,12 +384,158 @@ export default function Toolbar({
                         onClick={onRedo}
                         disabled={!canRedo}
                         className="btn-icon text-white"
-                        title="Redo (Ctrl+Y)"
+                        title="Redo (Ctrl+Y / Ctrl+Shift+Z)"
                     >
                         <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10h-10a8 8 0 00-8 8v2M21 10l-6 6m6-6l-6-6" />
                         </svg>
                     </button>
+
+                    {/* Clear canvas; wipes it for everyone, so it asks first */}
+                    <div className="relative">
+                        <button
+                            onClick={() => setConfirmClear(!confirmClear)}
+                            disabled={!canClear}
+                            className="btn-icon text-white"
+                            title="Clear canvas"
+                        >
+                            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                        </button>
+
+                        {confirmClear && canClear && (
+                            <div className="absolute top-12 right-0 glass-panel p-4 space-y-2 min-w-200 animate-fade-in">
+                                <p className="text-white text-sm">Clear the canvas for everyone?</p>
+                                <p className="text-white-50 text-xs">Locked layers are kept, and you can undo it afterwards.</p>
+                                <div className="flex gap-2 pt-2">
+                                    <button
+                                        onClick={() => setConfirmClear(false)}
+                                        className="flex-1 px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs font-medium"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        onClick={handleClearCanvas}
+                                        className="flex-1 px-2 py-1 rounded-lg bg-red-500 text-white text-xs font-medium"
+                                    >
+                                        Clear
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+
+                <div className="w-px h-8 bg-white-20" />
+
+                {/* Zoom */}
+                <div className="flex gap-1 items-center">
+                    <button
+                        onClick={onZoomOut}
+                        className="btn-icon text-white"
+                        title="Zoom out (-)"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 12H4" />
+                        </svg>
+                    </button>
+                    <button
+                        onClick={onZoomReset}
+                        className="px-2 py-1 rounded-lg hover-bg-white-20 text-white text-xs w-12"
+                        title="Reset zoom to 100% (Shift+0)"
+                    >
+                        {Math.round(zoom * 100)}%
+                    </button>
+                    <button
+                        onClick={onZoomIn}
+                        className="btn-icon text-white"
+                        title="Zoom in (+)"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+                        </svg>
+                    </button>
+                    <button
+                        onClick={onZoomToFit}
+                        className="btn-icon text-white"
+                        title="Zoom to fit (Shift+1)"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 8V4h4m8 0h4v4m0 8v4h-4M8 20H4v-4" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="w-px h-8 bg-white-20" />
+
+                {/* Export */}
+                <div className="relative">
+                    <button
+                        onClick={() => setShowExportMenu(!showExportMenu)}
+                        className="btn-icon text-white"
+                        title="Export / Import"
+                    >
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+                        </svg>
+                    </button>
+
+                    {showExportMenu && (
+                        <div className="absolute top-12 right-0 glass-panel p-4 space-y-2 min-w-200 animate-fade-in">
+                            <label className="flex items-center gap-2 text-white text-sm">
+                                <input
+                                    type="checkbox"
+                                    checked={exportBackground}
+                                    onChange={(e) => setExportBackground(e.target.checked)}
+                                />
+                                White background
+                            </label>
+                            <label className="flex items-center gap-2 text-white text-sm">
+                                <input
+                                    type="checkbox"
+                                    checked={exportCrop}
+                                    onChange={(e) => setExportCrop(e.target.checked)}
+                                />
+                                Crop to content
+                            </label>
+                            <div className="flex gap-2 pt-2">
+                                {['png', 'svg', 'json'].map((format) => (
+                                    <button
+                                        key={format}
+                                        onClick={() => handleExport(format)}
+                                        className="flex-1 px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs font-medium"
+                                    >
+                                        {format.toUpperCase()}
+                                    </button>
+                                ))}
+                            </div>
+
+                            <div className="border-t border-white-20 pt-2 space-y-2">
+                                <select
+                                    value={importMode}
+                                    onChange={(e) => setImportMode(e.target.value)}
+                                    className="w-full px-2 py-1 rounded-lg bg-white-10 border border-white-20 text-white text-xs"
+                                >
+                                    <option value="append">Add to current drawing</option>
+                                    <option value="replace">Replace current drawing</option>
+                                </select>
+                                <button
+                                    onClick={() => importInputRef.current?.click()}
+                                    className="w-full px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs font-medium"
+                                >
+                                    Import JSON…
+                                </button>
+                                <input
+                                    ref={importInputRef}
+                                    type="file"
+                                    accept="application/json,.json"
+                                    onChange={handleImportFile}
+                                    className="hidden"
+                                />
+                            </div>
+                        </div>
+                    )}
                 </div>
             </div>
         </div>
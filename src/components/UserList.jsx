@@ -1,11 +1,20 @@
 /**
  * UserList component showing online users
- * Displays user avatars, colors, and online status
+ * Displays user avatars, colors, and online status, who is presenting and who is
+ * spectating, and lets the user follow someone's view or present their own
  */
 
 import React from 'react';
 
-export default function UserList({ users, currentUserId }) {
+export default function UserList({
+    users,
+    currentUserId,
+    presenterId,
+    followingId,
+    canPresent,
+    onFollow,
+    onTogglePresenting,
+}) {
     return (
         <div className="fixed top-4 right-4 z-10">
             <div className="glass-panel px-4 py-3 min-w-200 animate-slide-in">
@@ -39,7 +48,31 @@ export default function UserList({ users, currentUserId }) {
                                         <span className="ml-1 text-xs text-primary-300">(You)</span>
                                     )}
                                 </p>
+                                {user.userId === presenterId ? (
+                                    <p className="text-white-70 text-xs">🎤 Presenting</p>
+                                ) : user.role === 'viewer' && (
+                                    <p className="text-white-50 text-xs">👁 Spectating</p>
+                                )}
                             </div>
+
+                            {user.userId === currentUserId ? canPresent && (
+                                <button
+                                    onClick={onTogglePresenting}
+                                    className="px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs whitespace-nowrap"
+                                    title="Spectators follow the presenter's view"
+                                >
+                                    {user.userId === presenterId ? 'Stop' : 'Present'}
+                                </button>
+                            ) : user.role !== 'viewer' && (
+                                <button
+                                    onClick={() => onFollow(user.userId === followingId ? null : user.userId)}
+                                    disabled={!user.viewport}
+                                    className="px-2 py-1 rounded-lg bg-white-10 hover-bg-white-20 text-white text-xs whitespace-nowrap disabled-opacity-50"
+                                    title={user.viewport ? `Follow ${user.username}'s view` : 'Waiting for their view'}
+                                >
+                                    {user.userId === followingId ? 'Following' : 'Follow'}
+                                </button>
+                            )}
                         </div>
                     ))}
 
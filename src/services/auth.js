@@ -0,0 +1,82 @@
+/**
+ * Client side of the optional authentication
+ * Asks the server which sign-in it expects and keeps the session token in localStorage.
+ * In token mode the token is handed over in the URL fragment (#token=...) by whatever
+ * signed the user in; in dev mode it comes from the server's /auth/login
+ */
+
+const TOKEN_STORAGE_KEY = 'collaborative-canvas-token';
+const TOKEN_PARAM = 'token';
+
+/**
+ * Get the server's auth mode: 'off', 'dev' or 'token'
+ */
+export async function fetchAuthMode(serverUrl) {
+    const response = await fetch(`${serverUrl}/auth/config`);
+    if (!response.ok) {
+        throw new Error(`Could not reach the server (${response.status})`);
+    }
+    const { mode } = await response.json();
+    return mode;
+}
+
+/**
+ * Sign in against the dev accounts; resolves to { token, account }
+ */
+export async function login(serverUrl, username, password) {
+    const response = await fetch(`${serverUrl}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+    });
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || 'Sign-in failed');
+    }
+
+    storeToken(result.token);
+    return result;
+}
+
+/**
+ * Read the account a token was issued for, or null if it is malformed or expired
+ * Only the server can check the signature; this is for display and expiry
+ */
+export function readToken(token) {
+    try {
+        const base64 = token.split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+        const payload = JSON.parse(new TextDecoder().decode(bytes));
+        if (!(payload.exp > Date.now() / 1000)) return null;
+
+        return { id: payload.sub, name: payload.name || payload.sub };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the stored session token, picking up one passed in the URL fragment first
+ */
+export function getStoredToken() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const fromUrl = params.get(TOKEN_PARAM);
+    if (fromUrl) {
+        storeToken(fromUrl);
+
+        // Keep the token out of the address bar and the history
+        params.delete(TOKEN_PARAM);
+        const hash = params.toString();
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`);
+    }
+
+    return localStorage.getItem(TOKEN_STORAGE_KEY);
+}
+
+export function storeToken(token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+}
+
+export function clearToken() {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+}
@@ -0,0 +1,43 @@
+/**
+ * Drawing preferences kept in localStorage
+ * The chosen color, its opacity and the recently used colors survive a reload;
+ * anything missing or unreadable falls back to the defaults
+ */
+
+import { MAX_RECENT_COLORS, MIN_OPACITY } from '../utils/colors';
+
+const COLOR_STORAGE_KEY = 'collaborative-canvas-colors';
+const HEX_COLOR = /^#[0-9a-f]{6}$/;
+
+export const DEFAULT_COLOR_PREFERENCES = { color: '#000000', opacity: 1, recentColors: [] };
+
+/**
+ * Read the stored { color, opacity, recentColors }
+ */
+export function loadColorPreferences() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(COLOR_STORAGE_KEY)) ?? {};
+        const isColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+
+        return {
+            color: isColor(stored.color) ? stored.color : DEFAULT_COLOR_PREFERENCES.color,
+            opacity: typeof stored.opacity === 'number' && stored.opacity >= MIN_OPACITY && stored.opacity <= 1
+                ? stored.opacity
+                : DEFAULT_COLOR_PREFERENCES.opacity,
+            recentColors: Array.isArray(stored.recentColors)
+                ? stored.recentColors.filter(isColor).slice(0, MAX_RECENT_COLORS)
+                : [],
+        };
+    } catch {
+        return DEFAULT_COLOR_PREFERENCES;
+    }
+}
+
+export function saveColorPreferences(preferences) {
+    try {
+        localStorage.setItem(COLOR_STORAGE_KEY, JSON.stringify(preferences));
+    } catch (error) {
+        // Private browsing or a full quota; the colors just won't survive a reload
+        console.warn('Could not save color preferences:', error);
+    }
+}
@@ -1,17 +1,104 @@
 /**
  * WebSocket service for real-time communication
  * Handles connection lifecycle, event emission, and automatic reconnection
+ *
+ * Reconnects are invisible to the rest of the app: the client keeps the resume token
+ * the server issued it across connections, rejoins its room with the last revision it saw (so the server
+ * can answer with a delta instead of the whole history) and holds drawing events
+ * emitted while offline in an outbox until the room has been rejoined
  */
 
 import { io } from 'socket.io-client';
 
+const RESUME_TOKEN_KEY = 'collaborative-canvas-resume-token';
+
+// Events that are held while offline and sent once the room is rejoined; anything else
+// (cursor moves, undo, edits of operations that may be gone by then) is dropped
+const QUEUED_EVENTS = new Set(['draw_start', 'draw_points', 'draw_end', 'draw_shape', 'draw_text', 'draw_fill']);
+
+// A stroke is only safe once its draw_end is acknowledged; until then a reconnect replays it
+// whole. A cancelled stroke is forgotten instead
+const STROKE_EVENTS = new Set(['draw_start', 'draw_points', 'draw_end', 'draw_cancel']);
+
+// The server rate limits every event: the outbox goes out as one burst, then a few events per second
+const FLUSH_BURST = 20;
+const FLUSH_RATE = 4;
+const FLUSH_INTERVAL = 1000;
+
+// Largest draw_points batch the server accepts, in points
+const MAX_DELTAS_PER_BATCH = 1000;
+
+// Answer for the ack of an event dropped while not in the room, shaped like the server's errors
+const NOT_IN_ROOM_RESULT = {
+    ok: false,
+    code: 'NOT_IN_ROOM',
+    errors: ['Not connected to the room; try again once it reconnects'],
+};
+
+// Events raised by the service itself rather than the server
+const LOCAL_EVENTS = new Set(['connection_status', 'session_replaced', 'auth_error', 'join_failed']);
+
+/**
+ * Merge consecutive draw_points of the same stroke into as few batches as the server accepts
+ * A replayed stroke would otherwise go out as one event per 50ms of drawing
+ */
+function coalescePoints(entries) {
+    const result = [];
+
+    entries.forEach((entry) => {
+        const last = result[result.length - 1];
+        if (
+            entry.event === 'draw_points' &&
+            last?.event === 'draw_points' &&
+            last.data.strokeId === entry.data.strokeId &&
+            last.data.deltas.length + entry.data.deltas.length <= MAX_DELTAS_PER_BATCH * 2
+        ) {
+            // Entries are still referenced by openStrokes, so merge into a copy
+            result[result.length - 1] = {
+                ...last,
+                data: {
+                    ...last.data,
+                    deltas: [...last.data.deltas, ...entry.data.deltas],
+                    ...(last.data.pen && { pen: [...last.data.pen, ...entry.data.pen] }),
+                },
+            };
+            return;
+        }
+        result.push(entry);
+    });
+
+    return result;
+}
+
 class WebSocketService {
     constructor() {
         this.socket = null;
+        // Secret that resumes this tab's session (kept across reconnects and reloads), and the
+        // public user id the server derived from it
+        this.resumeToken = sessionStorage.getItem(RESUME_TOKEN_KEY);
+        this.userId = null;
+        // Id the signed-in account's HTTP imports are credited to (null when not signed in)
+        this.accountUserId = null;
+        // Session token sent with every connection attempt when the server requires sign-in
+        this.token = null;
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
+        this.maxReconnectDelay = 10000;
         this.listeners = new Map();
+
+        // Room to (re)join and the last { epoch, revision } received for it
+        this.room = null;
+        this.syncState = null;
+        this.joined = false;
+
+        // Events waiting for the room to be rejoined, and strokes not yet acknowledged
+        this.outbox = [];
+        this.openStrokes = new Map();
+        this.sequence = 0;
+
+        // Events of a flush still being sent, and the timer pacing them
+        this.flushQueue = [];
+        this.flushTimer = null;
     }
 
     /**
@@ -26,8 +113,11 @@ class WebSocketService {
         this.socket = io(url, {
             reconnection: true,
             reconnectionDelay: this.reconnectDelay,
-            reconnectionAttempts: this.maxReconnectAttempts,
+            reconnectionDelayMax: this.maxReconnectDelay,
+            reconnectionAttempts: Infinity,
             transports: ['websocket', 'polling'],
+            // Evaluated on every attempt, so a token set later is picked up by reconnects
+            auth: (callback) => callback({ resumeToken: this.resumeToken, token: this.token }),
         });
 
         this.setupEventHandlers();
@@ -41,39 +131,233 @@ class WebSocketService {
         this.socket.on('connect', () => {
             console.log('✅ Connected to server:', this.socket.id);
             this.reconnectAttempts = 0;
-            this.emit('connection_status', { connected: true });
+            this.notify('connection_status', { connected: true });
+
+            if (this.room) {
+                this.sendJoin();
+            }
         });
 
         this.socket.on('disconnect', (reason) => {
             console.log('❌ Disconnected:', reason);
-            this.emit('connection_status', { connected: false, reason });
+            this.joined = false;
+            this.stopFlush();
+            this.notify('connection_status', { connected: false, reason });
         });
 
         this.socket.on('connect_error', (error) => {
-            console.error('Connection error:', error);
             this.reconnectAttempts++;
+            console.error(`Connection error (attempt ${this.reconnectAttempts}):`, error.message);
 
-            if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-                console.error('Max reconnection attempts reached');
-                this.emit('connection_failed', { error });
+            // Refused by the server's auth middleware; Socket.io does not retry those on its own
+            if (error.data?.code) {
+                this.notify('auth_error', { code: error.data.code, message: error.message, hadToken: Boolean(this.token) });
             }
         });
 
-        this.socket.on('reconnect', (attemptNumber) => {
-            console.log('🔄 Reconnected after', attemptNumber, 'attempts');
-            this.emit('reconnected', { attemptNumber });
+        // Sent on every connection, before anything else
+        this.socket.on('session', ({ userId, resumeToken, accountUserId }) => {
+            this.userId = userId;
+            this.accountUserId = accountUserId;
+            this.resumeToken = resumeToken;
+            sessionStorage.setItem(RESUME_TOKEN_KEY, resumeToken);
+        });
+
+        // Another tab took over this session; reconnecting would only take it back
+        this.socket.on('session_replaced', () => {
+            console.warn('Session opened in another tab');
+            this.notify('session_replaced', {});
+        });
+
+        // Every history change carries the room revision it produced
+        this.socket.onAny((event, payload) => {
+            if (event === 'full_sync' || event === 'delta_sync') {
+                this.syncState = { epoch: payload.epoch, revision: payload.revision };
+            } else if (this.syncState && typeof payload?.revision === 'number') {
+                this.syncState.revision = payload.revision;
+            }
         });
     }
 
+    /**
+     * Use a session token from now on
+     * The account is fixed for the lifetime of a connection, so this reconnects
+     */
+    setToken(token) {
+        if (token === this.token) return;
+        this.token = token;
+        if (!this.socket) return;
+
+        if (this.socket.connected) {
+            this.socket.disconnect();
+        }
+        if (token) {
+            this.socket.connect();
+        }
+    }
+
+    /**
+     * Join a room; it is rejoined automatically after every reconnect
+     * An invite token is only sent until the join succeeds: from then on the server knows the account.
+     * Spectators join as viewers
+     */
+    joinRoom(roomId, username, { invite = null, spectate = false } = {}) {
+        this.room = { roomId, username, invite, spectate };
+        this.syncState = null;
+        this.outbox = [];
+        this.openStrokes.clear();
+        this.stopFlush();
+
+        if (this.socket?.connected) {
+            this.sendJoin();
+        }
+    }
+
+    /**
+     * Send join_room for the current room and flush the outbox once the server confirms
+     * After a reconnect the last known revision is passed along for a delta sync
+     */
+    sendJoin() {
+        const room = this.room;
+        this.joined = false;
+
+        this.socket.emit('join_room', { ...room, since: this.syncState }, (result) => {
+            if (room !== this.room) return;
+            if (!result?.ok) {
+                console.error('Could not join room:', result?.errors);
+                this.room = null;
+                this.notify('join_failed', { roomId: room.roomId, ...result });
+                return;
+            }
+
+            room.invite = null;
+            this.joined = true;
+            this.flush();
+        });
+    }
+
+    /**
+     * Send everything held while offline, oldest first
+     * Unacknowledged strokes are sent again from their draw_start: the new connection has no
+     * record of them, and the server ignores a stroke whose commit it already has
+     */
+    flush() {
+        const strokeEvents = Array.from(this.openStrokes.values()).flat();
+        const pending = [...strokeEvents, ...this.outbox].sort((a, b) => a.sequence - b.sequence);
+        this.outbox = [];
+        this.flushQueue = coalescePoints(pending);
+
+        if (this.flushQueue.length > 0) {
+            console.log(`📤 Sending ${this.flushQueue.length} queued events`);
+        }
+        this.sendQueued(FLUSH_BURST);
+    }
+
+    /**
+     * Send the next events of a flush and schedule the rest
+     */
+    sendQueued(count) {
+        this.flushTimer = null;
+        this.flushQueue.splice(0, count).forEach(({ event, data, ack }) => this.send(event, data, ack));
+
+        if (this.flushQueue.length > 0) {
+            this.flushTimer = setTimeout(() => this.sendQueued(FLUSH_RATE), FLUSH_INTERVAL);
+        }
+    }
+
+    /**
+     * Abandon a flush in progress; unsent shapes and text go back to the outbox
+     * and anything else that was waiting behind the flush is answered NOT_IN_ROOM
+     */
+    stopFlush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        const unsent = this.flushQueue.filter(({ event }) => QUEUED_EVENTS.has(event) && !STROKE_EVENTS.has(event));
+        this.flushQueue
+            .filter(({ event }) => !QUEUED_EVENTS.has(event) && !STROKE_EVENTS.has(event))
+            .forEach(({ ack }) => ack?.(NOT_IN_ROOM_RESULT));
+        this.outbox = [...unsent, ...this.outbox];
+        this.flushQueue = [];
+    }
+
     /**
      * Emit event to server
+     * Pass an ack callback to receive the server's reply; an event that is dropped
+     * rather than queued gets a NOT_IN_ROOM reply right away, so callers never wait forever
      */
-    emit(event, data) {
+    emit(event, data, ack) {
         if (!this.socket) {
             console.warn('Socket not connected, cannot emit:', event);
+            ack?.(NOT_IN_ROOM_RESULT);
+            return;
+        }
+
+        const entry = { event, data, ack, sequence: ++this.sequence };
+        if (STROKE_EVENTS.has(event)) {
+            this.trackStroke(entry);
+        }
+
+        if (!this.joined || !this.socket.connected) {
+            // Strokes are replayed from openStrokes, everything else from the outbox
+            if (QUEUED_EVENTS.has(event) && !STROKE_EVENTS.has(event)) {
+                this.outbox.push(entry);
+            } else if (!STROKE_EVENTS.has(event)) {
+                ack?.(NOT_IN_ROOM_RESULT);
+            }
+            return;
+        }
+
+        // Keep the order while an earlier flush is still going out
+        if (this.flushQueue.length > 0) {
+            this.flushQueue.push(entry);
+            return;
+        }
+
+        this.send(entry.event, entry.data, entry.ack);
+    }
+
+    /**
+     * Keep a stroke's events until its draw_end is acknowledged
+     */
+    trackStroke(entry) {
+        const { strokeId } = entry.data;
+
+        if (entry.event === 'draw_start') {
+            this.openStrokes.set(strokeId, []);
+        }
+
+        const events = this.openStrokes.get(strokeId);
+        if (!events) return;
+
+        if (entry.event === 'draw_cancel') {
+            this.openStrokes.delete(strokeId);
             return;
         }
-        this.socket.emit(event, data);
+
+        if (entry.event === 'draw_end') {
+            const ack = entry.ack;
+            entry.ack = (result) => {
+                this.openStrokes.delete(strokeId);
+                ack?.(result);
+            };
+        }
+        events.push(entry);
+    }
+
+    send(event, data, ack) {
+        if (ack) {
+            this.socket.emit(event, data, ack);
+        } else {
+            this.socket.emit(event, data);
+        }
+    }
+
+    /**
+     * Call the listeners of an event raised by the service itself
+     */
+    notify(event, payload) {
+        this.listeners.get(event)?.forEach(callback => callback(payload));
     }
 
     /**
@@ -85,7 +369,9 @@ class WebSocketService {
             return;
         }
 
-        this.socket.on(event, callback);
+        if (!LOCAL_EVENTS.has(event)) {
+            this.socket.on(event, callback);
+        }
 
         // Store listener for cleanup
         if (!this.listeners.has(event)) {
@@ -128,6 +414,11 @@ class WebSocketService {
             this.socket.disconnect();
             this.socket = null;
         }
+
+        this.room = null;
+        this.joined = false;
+        this.stopFlush();
+        this.outbox = [];
     }
 
     /**
@@ -143,6 +434,20 @@ class WebSocketService {
     getSocketId() {
         return this.socket?.id || null;
     }
+
+    /**
+     * Get the user id the server assigned this session, or null before the first connection
+     */
+    getUserId() {
+        return this.userId;
+    }
+
+    /**
+     * Get the user id of the signed-in account's imports, or null
+     */
+    getAccountUserId() {
+        return this.accountUserId;
+    }
 }
 
 // Export singleton instance
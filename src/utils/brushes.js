@@ -0,0 +1,205 @@
+/**
+ * Brush registry
+ * Every freehand tool but the eraser is a brush, stored by name in the operation's
+ * tool field. A brush turns a stroke into parts, each a path plus how to paint it:
+ * { mode: 'stroke' | 'fill', trace(path), lineWidth, alpha, blend }
+ * drawStroke paints the parts on a canvas and the SVG exporter writes them out.
+ * Textured brushes take their grain from a PRNG seeded by the stroke's width and the
+ * position along it, so every client and every export draws the same pixels, and a
+ * stroke keeps its grain while it grows or is moved
+ * Pure functions only - the server checks tool names against this registry
+ */
+
+import { hasPressure, sampleStroke, traceSmoothPath, traceVariableStroke } from './strokePaths.js';
+
+// Broad nib held at 45° (pointing up and to the right on screen)
+const NIB_ANGLE = -Math.PI / 4;
+// The thinnest calligraphy line, moving along the nib, as a share of the width
+const MIN_NIB_WIDTH = 0.12;
+
+/**
+ * Available brushes by name, in toolbar order
+ */
+export const BRUSHES = {
+    brush: {
+        label: 'Brush',
+        // Round and solid; pen pressure tapers it
+        getParts(points, width) {
+            if (hasPressure(points) || points.length === 1) {
+                return [{ mode: 'fill', trace: (path) => traceVariableStroke(path, toPath(points), width) }];
+            }
+            return [{ mode: 'stroke', lineWidth: width, trace: (path) => traceSmoothPath(path, points) }];
+        },
+    },
+    marker: {
+        label: 'Marker',
+        // Felt tip: constant width, slightly see-through
+        getParts(points, width) {
+            return [{ mode: 'stroke', lineWidth: width, alpha: 0.85, trace: (path) => traceSmoothPath(path, toPath(points)) }];
+        },
+    },
+    highlighter: {
+        label: 'Highlighter',
+        // Multiplies with what is under it on the same layer, so text stays readable
+        getParts(points, width) {
+            return [{
+                mode: 'stroke',
+                lineWidth: width,
+                alpha: 0.35,
+                blend: 'multiply',
+                trace: (path) => traceSmoothPath(path, toPath(points)),
+            }];
+        },
+    },
+    pencil: {
+        label: 'Pencil',
+        // A light core line with graphite grain scattered over it
+        getParts(points, width) {
+            const samples = sampleStroke(toPath(points), width);
+            return [
+                {
+                    mode: 'stroke',
+                    lineWidth: Math.max(1, width * 0.6),
+                    alpha: 0.55,
+                    trace: (path) => traceSmoothPath(path, toPath(points)),
+                },
+                {
+                    mode: 'fill',
+                    alpha: 0.35,
+                    trace: (path) => traceGrain(path, samples, width, 2, 0.8, Math.max(0.5, width / 10)),
+                },
+            ];
+        },
+    },
+    calligraphy: {
+        label: 'Calligraphy',
+        // The nib's angle to the direction of travel sets the width
+        getParts(points, width) {
+            const samples = sampleStroke(toPath(points), width);
+            return [{ mode: 'fill', trace: (path) => traceNib(path, samples) }];
+        },
+    },
+    spray: {
+        label: 'Spray',
+        // Dots scattered over the width, denser towards the middle
+        getParts(points, width) {
+            const samples = sampleStroke(toPath(points), width);
+            return [{
+                mode: 'fill',
+                trace: (path) => traceGrain(path, samples, width, Math.ceil(width / 6), 1, Math.max(0.5, width / 40)),
+            }];
+        },
+    },
+};
+
+export const BRUSH_TYPES = Object.keys(BRUSHES);
+
+/**
+ * Whether a tool draws freehand strokes with a brush
+ */
+export function isBrush(tool) {
+    return Object.hasOwn(BRUSHES, tool);
+}
+
+/**
+ * Get the parts a stroke is painted with
+ * Eraser strokes use the round brush's shape; unknown tools fall back to it too
+ */
+export function getStrokeParts(points, width, tool) {
+    const brush = isBrush(tool) ? BRUSHES[tool] : BRUSHES.brush;
+    return brush.getParts(points, width);
+}
+
+/**
+ * Paths need two points; a single point becomes a zero-length path (a dot)
+ */
+function toPath(points) {
+    return points.length === 1 ? [points[0], points[0]] : points;
+}
+
+/**
+ * Scatter count round specks per sample within spread times its radius
+ * The distance from the middle is a product of two draws so they gather towards it
+ */
+function traceGrain(path, samples, width, count, spread, speckRadius) {
+    const seed = Math.round(width * 100);
+
+    samples.forEach((sample, index) => {
+        const random = createRandom(seed * 7919 + index);
+        for (let i = 0; i < count; i++) {
+            const angle = random() * Math.PI * 2;
+            const distance = sample.radius * spread * random() * random();
+            const x = sample.x + Math.cos(angle) * distance;
+            const y = sample.y + Math.sin(angle) * distance;
+
+            path.moveTo(x + speckRadius, y);
+            path.arc(x, y, speckRadius, 0, Math.PI * 2);
+            path.closePath();
+        }
+    });
+}
+
+/**
+ * Sweep a broad nib along the samples: a quad between each pair, plus a thin one
+ * across the direction of travel so strokes along the nib still show a hairline.
+ * All quads are wound clockwise so the nonzero fill rule merges them
+ */
+function traceNib(path, samples) {
+    const nib = { x: Math.cos(NIB_ANGLE), y: Math.sin(NIB_ANGLE) };
+
+    for (let i = 1; i < samples.length; i++) {
+        const from = samples[i - 1];
+        const to = samples[i];
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+
+        traceSweptQuad(path, from, to, nib.x * from.radius, nib.y * from.radius, nib.x * to.radius, nib.y * to.radius);
+        if (length > 0) {
+            const nx = -dy / length;
+            const ny = dx / length;
+            traceSweptQuad(path, from, to,
+                nx * from.radius * MIN_NIB_WIDTH, ny * from.radius * MIN_NIB_WIDTH,
+                nx * to.radius * MIN_NIB_WIDTH, ny * to.radius * MIN_NIB_WIDTH);
+        }
+    }
+}
+
+/**
+ * Trace the quad swept by a segment (offset ±(ux, uy) at from, ±(vx, vy) at to) from
+ * one sample to the next, wound clockwise on screen
+ */
+function traceSweptQuad(path, from, to, ux, uy, vx, vy) {
+    const corners = [
+        { x: from.x + ux, y: from.y + uy },
+        { x: to.x + vx, y: to.y + vy },
+        { x: to.x - vx, y: to.y - vy },
+        { x: from.x - ux, y: from.y - uy },
+    ];
+
+    // Shoelace area; positive is clockwise with y pointing down
+    const area = corners.reduce((sum, corner, i) => {
+        const next = corners[(i + 1) % corners.length];
+        return sum + corner.x * next.y - next.x * corner.y;
+    }, 0);
+    if (area === 0) return;
+    if (area < 0) corners.reverse();
+
+    path.moveTo(corners[0].x, corners[0].y);
+    corners.slice(1).forEach(corner => path.lineTo(corner.x, corner.y));
+    path.closePath();
+}
+
+/**
+ * Small seeded PRNG (mulberry32) returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
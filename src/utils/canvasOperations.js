@@ -3,92 +3,533 @@
  * Implements efficient path rendering and canvas manipulation
  */
 
+import { getStrokeParts } from './brushes.js';
+import { getFillBounds, isPointInFill, traceFill } from './floodFill.js';
+import { getPointWidth } from './strokePaths.js';
+
 /**
- * Draw a smooth stroke on the canvas
- * Uses quadratic curves for smooth interpolation between points
+ * Draw a freehand stroke on the canvas
+ * The tool names the brush (see brushes.js) whose parts are painted one by one, each
+ * at its own alpha times the stroke's opacity; eraser strokes take the round brush's
+ * shape and always clear what is under them completely
  */
-export function drawStroke(ctx, points, color, width, tool = 'brush') {
+export function drawStroke(ctx, points, color, width, tool = 'brush', opacity = 1) {
     if (!points || points.length === 0) return;
 
-    ctx.save();
+    const paint = tool === 'eraser' ? 'rgba(0,0,0,1)' : color;
 
-    if (tool === 'eraser') {
-        ctx.globalCompositeOperation = 'destination-out';
-        ctx.strokeStyle = 'rgba(0,0,0,1)';
-    } else {
-        ctx.globalCompositeOperation = 'source-over';
-        ctx.strokeStyle = color;
-    }
+    getStrokeParts(points, width, tool).forEach(part => {
+        ctx.save();
+
+        ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : (part.blend ?? 'source-over');
+        ctx.globalAlpha = (part.alpha ?? 1) * (tool === 'eraser' ? 1 : opacity);
+        ctx.strokeStyle = paint;
+        ctx.fillStyle = paint;
+        ctx.lineWidth = part.lineWidth ?? width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        ctx.beginPath();
+        part.trace(ctx);
+        if (part.mode === 'fill') {
+            ctx.fill();
+        } else {
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    });
+}
 
+export const SHAPE_TYPES = ['line', 'rectangle', 'ellipse', 'arrow'];
+
+/**
+ * Draw a shape defined by the two corners of its drag ({ shape, start, end, color, width, fill, opacity })
+ * Fill only applies to closed shapes (rectangle, ellipse)
+ */
+export function drawShape(ctx, { shape, start, end, color, width, fill = false, opacity = 1 }) {
+    ctx.save();
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = opacity;
+    ctx.strokeStyle = color;
+    ctx.fillStyle = color;
     ctx.lineWidth = width;
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
 
-    if (points.length === 1) {
-        // Single point - draw a dot
-        ctx.beginPath();
-        ctx.arc(points[0].x, points[0].y, width / 2, 0, Math.PI * 2);
-        ctx.fill();
-    } else if (points.length === 2) {
-        // Two points - draw a line
-        ctx.beginPath();
-        ctx.moveTo(points[0].x, points[0].y);
-        ctx.lineTo(points[1].x, points[1].y);
-        ctx.stroke();
-    } else {
-        // Multiple points - draw smooth curve using quadratic curves
-        ctx.beginPath();
-        ctx.moveTo(points[0].x, points[0].y);
+    ctx.beginPath();
 
-        for (let i = 1; i < points.length - 1; i++) {
-            const xc = (points[i].x + points[i + 1].x) / 2;
-            const yc = (points[i].y + points[i + 1].y) / 2;
-            ctx.quadraticCurveTo(points[i].x, points[i].y, xc, yc);
-        }
+    switch (shape) {
+        case 'line':
+        case 'arrow':
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
 
-        // Draw last segment
-        const lastPoint = points[points.length - 1];
-        const secondLastPoint = points[points.length - 2];
-        ctx.quadraticCurveTo(
-            secondLastPoint.x,
-            secondLastPoint.y,
-            lastPoint.x,
-            lastPoint.y
-        );
+            if (shape === 'arrow') {
+                const [tip, left, right] = getArrowHead(start, end, width);
+                ctx.beginPath();
+                ctx.moveTo(tip.x, tip.y);
+                ctx.lineTo(left.x, left.y);
+                ctx.lineTo(right.x, right.y);
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+            }
+            break;
 
-        ctx.stroke();
+        case 'rectangle':
+            ctx.rect(
+                Math.min(start.x, end.x),
+                Math.min(start.y, end.y),
+                Math.abs(end.x - start.x),
+                Math.abs(end.y - start.y)
+            );
+            if (fill) ctx.fill();
+            ctx.stroke();
+            break;
+
+        case 'ellipse':
+            ctx.ellipse(
+                (start.x + end.x) / 2,
+                (start.y + end.y) / 2,
+                Math.abs(end.x - start.x) / 2,
+                Math.abs(end.y - start.y) / 2,
+                0,
+                0,
+                Math.PI * 2
+            );
+            if (fill) ctx.fill();
+            ctx.stroke();
+            break;
     }
 
     ctx.restore();
 }
 
+/**
+ * Get the three corners (tip, left, right) of an arrow head pointing at end
+ */
+export function getArrowHead(start, end, width) {
+    const size = Math.max(10, width * 3);
+    const angle = Math.atan2(end.y - start.y, end.x - start.x);
+    const spread = Math.PI / 7;
+
+    return [
+        { x: end.x, y: end.y },
+        {
+            x: end.x - size * Math.cos(angle - spread),
+            y: end.y - size * Math.sin(angle - spread),
+        },
+        {
+            x: end.x - size * Math.cos(angle + spread),
+            y: end.y - size * Math.sin(angle + spread),
+        },
+    ];
+}
+
+/**
+ * Constrain the end point of a shape drag (Shift held)
+ * Lines and arrows snap to 45° steps, rectangles become squares and ellipses circles
+ */
+export function constrainShapeEnd(shape, start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+
+    if (shape === 'line' || shape === 'arrow') {
+        const step = Math.PI / 4;
+        const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+        const length = Math.sqrt(dx * dx + dy * dy);
+        return {
+            x: start.x + Math.cos(angle) * length,
+            y: start.y + Math.sin(angle) * length,
+        };
+    }
+
+    const size = Math.max(Math.abs(dx), Math.abs(dy));
+    return {
+        x: start.x + Math.sign(dx || 1) * size,
+        y: start.y + Math.sign(dy || 1) * size,
+    };
+}
+
+export const TEXT_FONT_FAMILY = 'sans-serif';
+export const TEXT_LINE_HEIGHT = 1.25;
+
+let measureContext = null;
+
+/**
+ * CSS font shorthand for a text operation
+ */
+export function getTextFont(fontSize) {
+    return `${fontSize}px ${TEXT_FONT_FAMILY}`;
+}
+
+/**
+ * Draw a (possibly multi-line) text operation, anchored at its top-left corner
+ */
+export function drawText(ctx, { x, y, text, color, fontSize, opacity = 1 }) {
+    ctx.save();
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = color;
+    ctx.font = getTextFont(fontSize);
+    ctx.textBaseline = 'top';
+
+    text.split('\n').forEach((line, index) => {
+        ctx.fillText(line, x, y + index * fontSize * TEXT_LINE_HEIGHT);
+    });
+
+    ctx.restore();
+}
+
+/**
+ * Draw a fill operation's region (see floodFill.js) in one pass, so its
+ * rectangles meet without seams even when it is see-through
+ */
+export function drawFill(ctx, operation) {
+    ctx.save();
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = operation.opacity ?? 1;
+    ctx.fillStyle = operation.color;
+
+    ctx.beginPath();
+    traceFill(ctx, operation);
+    ctx.fill();
+
+    ctx.restore();
+}
+
+/**
+ * Measure the width of a single line of text
+ * Uses a canvas when one is available and a rough estimate otherwise (e.g. on the server)
+ */
+export function measureTextWidth(text, fontSize) {
+    if (measureContext === null && typeof document !== 'undefined') {
+        measureContext = document.createElement('canvas').getContext('2d');
+    }
+
+    if (measureContext) {
+        measureContext.font = getTextFont(fontSize);
+        return measureContext.measureText(text).width;
+    }
+
+    return text.length * fontSize * 0.6;
+}
+
+/**
+ * Find the topmost text operation under a point
+ */
+export function findTextAt(operations, point) {
+    for (let i = operations.length - 1; i >= 0; i--) {
+        const operation = operations[i];
+        if (operation.type !== 'text') continue;
+
+        const bounds = getOperationBounds(operation);
+        if (
+            point.x >= bounds.minX && point.x <= bounds.maxX &&
+            point.y >= bounds.minY && point.y <= bounds.maxY
+        ) {
+            return operation;
+        }
+    }
+    return null;
+}
+
+/**
+ * Draw a single operation from the history
+ */
+export function drawOperation(ctx, operation) {
+    if (operation.type === 'draw') {
+        drawStroke(
+            ctx,
+            operation.points,
+            operation.color,
+            operation.width,
+            operation.tool,
+            operation.opacity
+        );
+    } else if (operation.type === 'shape') {
+        drawShape(ctx, operation);
+    } else if (operation.type === 'text') {
+        drawText(ctx, operation);
+    } else if (operation.type === 'fill') {
+        drawFill(ctx, operation);
+    }
+}
+
 /**
  * Redraw the entire canvas from operation history
  * Optimized for performance with requestAnimationFrame
  */
 export function redrawCanvas(ctx, operations, canvasWidth, canvasHeight) {
-    // Clear canvas
+    // Clear the whole canvas whatever the current (viewport) transform is
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    ctx.restore();
 
     // Redraw all operations in order
+    operations.forEach(operation => drawOperation(ctx, operation));
+}
+
+/**
+ * Get the area an operation covers, including half the stroke width
+ * Returns { minX, minY, maxX, maxY } or null for operations without geometry
+ */
+export function getOperationBounds(operation) {
+    if (operation.type === 'text') {
+        const lines = operation.text.split('\n');
+        const width = Math.max(...lines.map(line => measureTextWidth(line, operation.fontSize)));
+        return {
+            minX: operation.x,
+            minY: operation.y,
+            maxX: operation.x + width,
+            maxY: operation.y + lines.length * operation.fontSize * TEXT_LINE_HEIGHT,
+        };
+    }
+
+    if (operation.type === 'fill') {
+        return getFillBounds(operation);
+    }
+
+    let points;
+    const half = (operation.width || 0) / 2;
+
+    if (operation.type === 'draw') {
+        points = operation.points;
+    } else if (operation.type === 'shape') {
+        points = [operation.start, operation.end];
+        if (operation.shape === 'arrow') {
+            points = [operation.start, ...getArrowHead(operation.start, operation.end, operation.width)];
+        }
+    }
+
+    if (!points?.length) return null;
+
+    const bounds = {
+        minX: Infinity,
+        minY: Infinity,
+        maxX: -Infinity,
+        maxY: -Infinity,
+    };
+
+    points.forEach(point => {
+        // Pen strokes are wider or narrower at each point
+        const reach = operation.type === 'draw' ? getPointWidth(point, operation.width) / 2 : half;
+        bounds.minX = Math.min(bounds.minX, point.x - reach);
+        bounds.minY = Math.min(bounds.minY, point.y - reach);
+        bounds.maxX = Math.max(bounds.maxX, point.x + reach);
+        bounds.maxY = Math.max(bounds.maxY, point.y + reach);
+    });
+
+    return bounds;
+}
+
+/**
+ * Get the area covered by visible content (eraser strokes add nothing)
+ * Returns null when there is nothing to show
+ */
+export function getContentBounds(operations) {
+    let bounds = null;
+
     operations.forEach(operation => {
-        if (operation.type === 'draw') {
-            drawStroke(
-                ctx,
-                operation.points,
-                operation.color,
-                operation.width,
-                operation.tool
-            );
+        if (operation.tool === 'eraser') return;
+
+        const opBounds = getOperationBounds(operation);
+        if (!opBounds) return;
+
+        bounds = bounds ? {
+            minX: Math.min(bounds.minX, opBounds.minX),
+            minY: Math.min(bounds.minY, opBounds.minY),
+            maxX: Math.max(bounds.maxX, opBounds.maxX),
+            maxY: Math.max(bounds.maxY, opBounds.maxY),
+        } : opBounds;
+    });
+
+    return bounds;
+}
+
+/**
+ * Check whether a point touches an operation
+ * Strokes and outlines are hit within half their width plus the tolerance,
+ * filled shapes and text labels anywhere inside, fills only on their filled cells
+ */
+export function hitTestOperation(operation, point, tolerance = 4) {
+    const reach = (operation.width || 0) / 2 + tolerance;
+
+    if (operation.type === 'text') {
+        return isPointInBounds(point, getOperationBounds(operation), tolerance);
+    }
+
+    if (operation.type === 'fill') {
+        return isPointInFill(operation, point);
+    }
+
+    if (operation.type === 'draw') {
+        const { points, width } = operation;
+        const reachAt = (i) => getPointWidth(points[i], width) / 2 + tolerance;
+        if (points.length === 1) {
+            return perpendicularDistance(point, points[0], points[0]) <= reachAt(0);
         }
+        for (let i = 1; i < points.length; i++) {
+            if (perpendicularDistance(point, points[i - 1], points[i]) <= Math.max(reachAt(i - 1), reachAt(i))) return true;
+        }
+        return false;
+    }
+
+    if (operation.type !== 'shape') return false;
+
+    const { shape, start, end, fill } = operation;
+
+    switch (shape) {
+        case 'line':
+            return perpendicularDistance(point, start, end) <= reach;
+
+        case 'arrow': {
+            const [tip, left, right] = getArrowHead(start, end, operation.width);
+            return perpendicularDistance(point, start, end) <= reach ||
+                perpendicularDistance(point, left, tip) <= reach ||
+                perpendicularDistance(point, right, tip) <= reach;
+        }
+
+        case 'rectangle': {
+            const corners = [
+                { x: start.x, y: start.y },
+                { x: end.x, y: start.y },
+                { x: end.x, y: end.y },
+                { x: start.x, y: end.y },
+            ];
+            const box = {
+                minX: Math.min(start.x, end.x),
+                minY: Math.min(start.y, end.y),
+                maxX: Math.max(start.x, end.x),
+                maxY: Math.max(start.y, end.y),
+            };
+            if (fill && isPointInBounds(point, box, reach)) return true;
+            return corners.some((corner, i) => perpendicularDistance(point, corner, corners[(i + 1) % 4]) <= reach);
+        }
+
+        case 'ellipse': {
+            const rx = Math.abs(end.x - start.x) / 2;
+            const ry = Math.abs(end.y - start.y) / 2;
+            if (rx === 0 || ry === 0) return perpendicularDistance(point, start, end) <= reach;
+
+            // Distance from the outline, approximated along the normalised radius
+            const nx = (point.x - (start.x + end.x) / 2) / rx;
+            const ny = (point.y - (start.y + end.y) / 2) / ry;
+            const radius = Math.sqrt(nx * nx + ny * ny);
+            if (fill && radius <= 1) return true;
+            return Math.abs(radius - 1) * Math.min(rx, ry) <= reach;
+        }
+
+        default:
+            return false;
+    }
+}
+
+/**
+ * Find the topmost selectable operation under a point (eraser strokes are never selectable)
+ */
+export function findOperationAt(operations, point, tolerance = 4) {
+    for (let i = operations.length - 1; i >= 0; i--) {
+        const operation = operations[i];
+        if (operation.tool === 'eraser') continue;
+        if (hitTestOperation(operation, point, tolerance)) return operation;
+    }
+    return null;
+}
+
+/**
+ * Find the selectable operations lying completely inside a rectangle
+ */
+export function findOperationsInRect(operations, rect) {
+    return operations.filter(operation => {
+        if (operation.tool === 'eraser') return false;
+
+        const bounds = getOperationBounds(operation);
+        return bounds &&
+            bounds.minX >= rect.minX && bounds.maxX <= rect.maxX &&
+            bounds.minY >= rect.minY && bounds.maxY <= rect.maxY;
     });
 }
 
+/**
+ * Build { minX, minY, maxX, maxY } from two opposite corners
+ */
+export function getRectFromPoints(a, b) {
+    return {
+        minX: Math.min(a.x, b.x),
+        minY: Math.min(a.y, b.y),
+        maxX: Math.max(a.x, b.x),
+        maxY: Math.max(a.y, b.y),
+    };
+}
+
+/**
+ * Move and/or scale an operation's geometry, returning a new operation
+ * Points are scaled around origin, then shifted by (dx, dy); stroke widths stay
+ * the same, text scales its font size by the smaller factor and fills stretch their cells
+ */
+export function transformOperation(operation, { dx = 0, dy = 0, scaleX = 1, scaleY = 1, origin = { x: 0, y: 0 } }) {
+    // Anything else on a point (pen pressure and tilt) comes along unchanged
+    const map = (point) => ({
+        ...point,
+        x: origin.x + (point.x - origin.x) * scaleX + dx,
+        y: origin.y + (point.y - origin.y) * scaleY + dy,
+    });
+
+    switch (operation.type) {
+        case 'draw':
+            return { ...operation, points: operation.points.map(map) };
+        case 'shape':
+            return { ...operation, start: map(operation.start), end: map(operation.end) };
+        case 'text': {
+            // Scaling mirrors the label's box, so anchor it at the mapped box corner
+            const bounds = getOperationBounds(operation);
+            const a = map({ x: bounds.minX, y: bounds.minY });
+            const b = map({ x: bounds.maxX, y: bounds.maxY });
+            const fontSize = operation.fontSize * Math.min(Math.abs(scaleX), Math.abs(scaleY));
+            return {
+                ...operation,
+                x: Math.min(a.x, b.x),
+                y: Math.min(a.y, b.y),
+                fontSize: Math.round(fontSize * 10) / 10,
+            };
+        }
+        case 'fill': {
+            // Like text, a mirrored fill keeps its orientation inside the mapped box
+            const a = map({ x: operation.x, y: operation.y });
+            const bounds = getFillBounds(operation);
+            const b = map({ x: bounds.maxX, y: bounds.maxY });
+            return {
+                ...operation,
+                x: Math.min(a.x, b.x),
+                y: Math.min(a.y, b.y),
+                cellWidth: operation.cellWidth * Math.abs(scaleX),
+                cellHeight: operation.cellHeight * Math.abs(scaleY),
+            };
+        }
+        default:
+            return operation;
+    }
+}
+
+function isPointInBounds(point, bounds, margin = 0) {
+    return point.x >= bounds.minX - margin && point.x <= bounds.maxX + margin &&
+        point.y >= bounds.minY - margin && point.y <= bounds.maxY + margin;
+}
+
 /**
  * Optimize path by reducing number of points using Douglas-Peucker algorithm
- * This reduces data transfer size and improves performance
+ * This reduces data transfer size and improves performance. Given the stroke
+ * width, points where pen pressure moves the outline by more than the tolerance
+ * are kept too, so tapers survive on straight lines
  */
-export function optimizePath(points, tolerance = 2) {
+export function optimizePath(points, tolerance = 2, width = 0) {
     if (points.length <= 2) return points;
 
     // Find point with maximum distance from line segment
@@ -97,10 +538,9 @@ export function optimizePath(points, tolerance = 2) {
     const end = points.length - 1;
 
     for (let i = 1; i < end; i++) {
-        const distance = perpendicularDistance(
-            points[i],
-            points[0],
-            points[end]
+        const distance = Math.max(
+            perpendicularDistance(points[i], points[0], points[end]),
+            getWidthDeviation(points, i, width)
         );
         if (distance > maxDistance) {
             maxDistance = distance;
@@ -110,8 +550,8 @@ export function optimizePath(points, tolerance = 2) {
 
     // If max distance is greater than tolerance, recursively simplify
     if (maxDistance > tolerance) {
-        const left = optimizePath(points.slice(0, maxIndex + 1), tolerance);
-        const right = optimizePath(points.slice(maxIndex), tolerance);
+        const left = optimizePath(points.slice(0, maxIndex + 1), tolerance, width);
+        const right = optimizePath(points.slice(maxIndex), tolerance, width);
 
         // Combine results (remove duplicate point at junction)
         return [...left.slice(0, -1), ...right];
@@ -121,6 +561,20 @@ export function optimizePath(points, tolerance = 2) {
     }
 }
 
+/**
+ * How far a point's edge sits from where it would be if the width blended
+ * evenly between the ends of the path (0 without pen pressure)
+ */
+function getWidthDeviation(points, index, width) {
+    if (points[index].pressure === undefined) return 0;
+
+    const end = points.length - 1;
+    const first = getPointWidth(points[0], width);
+    const last = getPointWidth(points[end], width);
+    const blended = first + (last - first) * index / end;
+    return Math.abs(getPointWidth(points[index], width) - blended) / 2;
+}
+
 /**
  * Calculate perpendicular distance from point to line segment
  */
@@ -155,23 +609,14 @@ function perpendicularDistance(point, lineStart, lineEnd) {
 }
 
 /**
- * Get mouse/touch position relative to canvas
+ * Get a pointer's position relative to canvas
+ * Takes anything with clientX/clientY: pointer, mouse and wheel events alike
  */
-export function getCanvasCoordinates(event, canvas) {
+export function getCanvasCoordinates({ clientX, clientY }, canvas) {
     const rect = canvas.getBoundingClientRect();
     const scaleX = canvas.width / rect.width;
     const scaleY = canvas.height / rect.height;
 
-    let clientX, clientY;
-
-    if (event.touches && event.touches.length > 0) {
-        clientX = event.touches[0].clientX;
-        clientY = event.touches[0].clientY;
-    } else {
-        clientX = event.clientX;
-        clientY = event.clientY;
-    }
-
     return {
         x: (clientX - rect.left) * scaleX,
         y: (clientY - rect.top) * scaleY,
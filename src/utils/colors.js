@@ -0,0 +1,46 @@
+/**
+ * Color helpers shared by the client and the server
+ * Colors are 6-digit lowercase hex strings; how see-through an operation is lives
+ * in its own opacity field (0.05-1, missing means fully opaque). Every room has a
+ * shared palette that starts out as DEFAULT_PALETTE
+ * Pure functions only - the server imports this module directly
+ */
+
+export const DEFAULT_PALETTE = [
+    '#000000', '#ffffff', '#ff0000', '#00ff00', '#0000ff',
+    '#ffff00', '#ff00ff', '#00ffff', '#ffa500', '#800080',
+];
+
+export const MAX_PALETTE_COLORS = 32;
+export const MAX_RECENT_COLORS = 8;
+export const MIN_OPACITY = 0.05;
+
+/**
+ * Expand and lowercase a hex color (#abc becomes #aabbcc)
+ */
+export function normalizeColor(color) {
+    const hex = color.slice(1).toLowerCase();
+    return hex.length === 3 ? `#${[...hex].map(digit => digit + digit).join('')}` : `#${hex}`;
+}
+
+/**
+ * Format 0-255 channel values as a hex color
+ */
+export function rgbToHex(r, g, b) {
+    return `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Put a color at the front of the recent colors, dropping its older entry
+ */
+export function addRecentColor(recentColors, color) {
+    const normalized = normalizeColor(color);
+    return [normalized, ...recentColors.filter(other => other !== normalized)].slice(0, MAX_RECENT_COLORS);
+}
+
+/**
+ * Add the opacity to an operation's data unless it is fully opaque
+ */
+export function withOpacity(data, opacity) {
+    return opacity < 1 ? { ...data, opacity } : data;
+}
@@ -0,0 +1,172 @@
+/**
+ * Browser-side export helpers
+ * Renders the operation list to PNG/SVG/JSON files (and session replays to WebM video)
+ * and triggers downloads
+ */
+
+import { drawOperation, getContentBounds } from './canvasOperations';
+import { createExportDocument, operationsToSVG } from './exportFormats';
+import { createDefaultLayers, getVisibleOperations, groupOperationsByLayer } from './layers';
+import { createLayeredRenderer } from './renderer';
+import { getReplayFrame } from './replay';
+
+const CROP_PADDING = 16;
+
+// Replay videos are scaled down to fit this size
+const MAX_VIDEO_SIZE = 1920;
+const VIDEO_FPS = 30;
+
+/**
+ * Work out which area to export
+ * Crop-to-content uses the content bounds, otherwise the given view (world bounds)
+ */
+function getExportBounds(operations, { crop, view }) {
+    if (crop) {
+        const bounds = getContentBounds(operations);
+        if (bounds) {
+            return {
+                minX: bounds.minX - CROP_PADDING,
+                minY: bounds.minY - CROP_PADDING,
+                maxX: bounds.maxX + CROP_PADDING,
+                maxY: bounds.maxY + CROP_PADDING,
+            };
+        }
+    }
+
+    return view;
+}
+
+/**
+ * Render operations to a PNG blob
+ * Each visible layer is drawn on a transparent canvas of its own and then stacked, so
+ * eraser strokes only cut into their own layer and never into the background
+ */
+export function exportPNG(operations, { background = null, crop = false, view, layers = createDefaultLayers() }) {
+    const bounds = getExportBounds(getVisibleOperations(operations, layers), { crop, view });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.ceil(bounds.maxX - bounds.minX));
+    canvas.height = Math.max(1, Math.ceil(bounds.maxY - bounds.minY));
+
+    const layerCanvas = document.createElement('canvas');
+    layerCanvas.width = canvas.width;
+    layerCanvas.height = canvas.height;
+
+    const ctx = canvas.getContext('2d');
+    const layerCtx = layerCanvas.getContext('2d');
+    groupOperationsByLayer(operations, layers).forEach(({ layer, operations: layerOperations }) => {
+        if (!layer.visible || layerOperations.length === 0) return;
+
+        layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+        layerCtx.clearRect(0, 0, layerCanvas.width, layerCanvas.height);
+        layerCtx.translate(-bounds.minX, -bounds.minY);
+        layerOperations.forEach(operation => drawOperation(layerCtx, operation));
+        ctx.drawImage(layerCanvas, 0, 0);
+    });
+
+    if (background) {
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+}
+
+/**
+ * Record a session replay (see buildReplay) as a WebM video of the whole drawing
+ * Every frame goes through the same layered renderer as the live canvas. Recording
+ * happens in real time, so a replay takes duration / speed to export;
+ * onProgress(fraction) reports how far along it is
+ */
+export function exportReplayWebM(replay, { layers = createDefaultLayers(), speed = 1, background = '#ffffff', onProgress = () => {} }) {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm'].find(type => window.MediaRecorder?.isTypeSupported(type));
+    const canvas = document.createElement('canvas');
+    if (!mimeType || !canvas.captureStream) {
+        return Promise.reject(new Error('This browser cannot record video'));
+    }
+
+    const operations = replay.steps.map(step => step.operation);
+    const bounds = getExportBounds(getVisibleOperations(operations, layers), { crop: true, view: null });
+    if (!bounds) {
+        return Promise.reject(new Error('There is nothing to replay'));
+    }
+
+    // Video encoders want even dimensions
+    const zoom = Math.min(1, MAX_VIDEO_SIZE / (bounds.maxX - bounds.minX), MAX_VIDEO_SIZE / (bounds.maxY - bounds.minY));
+    canvas.width = Math.max(2, Math.ceil((bounds.maxX - bounds.minX) * zoom / 2) * 2);
+    canvas.height = Math.max(2, Math.ceil((bounds.maxY - bounds.minY) * zoom / 2) * 2);
+
+    const ctx = canvas.getContext('2d');
+    const renderer = createLayeredRenderer();
+    const viewport = { x: bounds.minX, y: bounds.minY, zoom };
+    const drawFrame = (time) => {
+        renderer.render(ctx, {
+            operations: getReplayFrame(replay, time),
+            layers,
+            viewport,
+            width: canvas.width,
+            height: canvas.height,
+        });
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = 'destination-over';
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.globalCompositeOperation = 'source-over';
+    };
+
+    const recorder = new MediaRecorder(canvas.captureStream(VIDEO_FPS), { mimeType });
+    const chunks = [];
+    recorder.ondataavailable = (e) => chunks.push(e.data);
+
+    return new Promise((resolve, reject) => {
+        recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+        recorder.onerror = (e) => reject(e.error);
+
+        drawFrame(0);
+        recorder.start();
+
+        const startedAt = performance.now();
+        const timer = setInterval(() => {
+            const time = Math.min(replay.duration, (performance.now() - startedAt) * speed);
+            drawFrame(time);
+            onProgress(replay.duration > 0 ? time / replay.duration : 1);
+
+            if (time >= replay.duration) {
+                clearInterval(timer);
+                // Hold the finished drawing for a moment before the video ends
+                setTimeout(() => recorder.stop(), 1000);
+            }
+        }, 1000 / VIDEO_FPS);
+    });
+}
+
+/**
+ * Render operations to an SVG blob
+ */
+export function exportSVG(operations, { background = null, crop = false, view, layers = createDefaultLayers() }) {
+    const bounds = getExportBounds(getVisibleOperations(operations, layers), { crop, view });
+    const svg = operationsToSVG(operations, { bounds, background, layers });
+    return new Blob([svg], { type: 'image/svg+xml' });
+}
+
+/**
+ * Dump operations and layers as a JSON blob
+ */
+export function exportJSON(roomId, operations, layers) {
+    const exportDocument = createExportDocument(roomId, operations, layers);
+    return new Blob([JSON.stringify(exportDocument, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Save a blob through a temporary download link
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,256 @@
+/**
+ * Export formats shared by the client and the server
+ * Builds the JSON export document and a vector SVG from an operation list
+ * Pure functions only - the server imports this module directly
+ */
+
+import {
+    getContentBounds,
+    getArrowHead,
+    TEXT_FONT_FAMILY,
+    TEXT_LINE_HEIGHT,
+} from './canvasOperations.js';
+import { getStrokeParts } from './brushes.js';
+import { traceFill } from './floodFill.js';
+import { createDefaultLayers, getVisibleOperations, groupOperationsByLayer } from './layers.js';
+
+export const EXPORT_VERSION = 1;
+
+/**
+ * Build the JSON export document for a room
+ */
+export function createExportDocument(roomId, operations, layers = createDefaultLayers()) {
+    return {
+        version: EXPORT_VERSION,
+        roomId,
+        exportedAt: new Date().toISOString(),
+        layers,
+        operations,
+    };
+}
+
+/**
+ * Render operations as an SVG document
+ * Every visible layer becomes a group; eraser strokes become masks over everything
+ * drawn before them on their layer, matching the canvas' destination-out compositing
+ *
+ * Options:
+ *   bounds     - area to export ({ minX, minY, maxX, maxY }); defaults to the content bounds
+ *   padding    - extra space around the bounds, in pixels
+ *   background - fill color behind the drawing; omitted for a transparent SVG
+ *   layers     - the room's layers; hidden ones are left out
+ */
+export function operationsToSVG(operations, { bounds, padding = 0, background = null, layers = createDefaultLayers() } = {}) {
+    const area = bounds || getContentBounds(getVisibleOperations(operations, layers)) || { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+    const x = area.minX - padding;
+    const y = area.minY - padding;
+    const width = Math.max(1, area.maxX - area.minX + padding * 2);
+    const height = Math.max(1, area.maxY - area.minY + padding * 2);
+
+    const masks = [];
+    let content = '';
+    let pendingErasers = [];
+    let body = '';
+
+    // Wrap everything drawn so far in one mask per run of consecutive eraser strokes
+    const flushErasers = () => {
+        if (pendingErasers.length === 0) return;
+
+        const maskId = `erase-${masks.length + 1}`;
+        masks.push(
+            `<mask id="${maskId}" maskUnits="userSpaceOnUse" x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}">` +
+            `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" fill="white"/>` +
+            pendingErasers.join('') +
+            '</mask>'
+        );
+        content = `<g mask="url(#${maskId})">${content}</g>`;
+        pendingErasers = [];
+    };
+
+    groupOperationsByLayer(operations, layers).forEach(({ layer, operations: layerOperations }) => {
+        if (!layer.visible || layerOperations.length === 0) return;
+
+        layerOperations.forEach(operation => {
+            if (operation.type === 'shape') {
+                flushErasers();
+                content += shapeToSVG(operation);
+                return;
+            }
+            if (operation.type === 'text') {
+                flushErasers();
+                content += textToSVG(operation);
+                return;
+            }
+            if (operation.type === 'fill') {
+                flushErasers();
+                content += fillToSVG(operation);
+                return;
+            }
+            if (operation.type !== 'draw') return;
+
+            if (operation.tool === 'eraser') {
+                pendingErasers.push(strokeToSVG(operation.points, 'black', operation.width, 'eraser'));
+            } else {
+                flushErasers();
+                content += strokeToSVG(operation.points, operation.color, operation.width, operation.tool, operation.opacity);
+            }
+        });
+        flushErasers();
+
+        // Erasers and blend modes stop at the layer's group
+        body += `<g id="${attr(layer.id)}" style="isolation:isolate">${content}</g>`;
+        content = '';
+    });
+
+    const backgroundRect = background
+        ? `<rect x="${num(x)}" y="${num(y)}" width="${num(width)}" height="${num(height)}" fill="${attr(background)}"/>`
+        : '';
+
+    return (
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${num(width)}" height="${num(height)}" viewBox="${num(x)} ${num(y)} ${num(width)} ${num(height)}">` +
+        (masks.length > 0 ? `<defs>${masks.join('')}</defs>` : '') +
+        backgroundRect +
+        body +
+        '</svg>'
+    );
+}
+
+/**
+ * Convert one stroke into SVG elements, one path per brush part (mirrors drawStroke)
+ */
+function strokeToSVG(points, color, width, tool, opacity = 1) {
+    if (!points || points.length === 0) return '';
+
+    return getStrokeParts(points, width, tool).map(part => {
+        const path = createPathBuilder();
+        part.trace(path);
+
+        const paint = part.mode === 'fill'
+            ? `fill="${attr(color)}"`
+            : `fill="none" stroke="${attr(color)}" stroke-width="${num(part.lineWidth ?? width)}" stroke-linecap="round" stroke-linejoin="round"`;
+        const alpha = (part.alpha ?? 1) * opacity;
+        const alphaAttr = alpha < 1 ? ` opacity="${num(alpha)}"` : '';
+        const blend = part.blend ? ` style="mix-blend-mode:${part.blend}"` : '';
+
+        return `<path d="${path}" ${paint}${alphaAttr}${blend}/>`;
+    }).join('');
+}
+
+/**
+ * Convert a shape operation into SVG elements (mirrors drawShape)
+ * Opacity goes on the fill and the stroke separately, so where they overlap it
+ * builds up the way it does on the canvas
+ */
+function shapeToSVG({ shape, start, end, color, width, fill, opacity = 1 }) {
+    const alpha = opacity < 1 ? ` stroke-opacity="${num(opacity)}" fill-opacity="${num(opacity)}"` : '';
+    const stroke = `stroke="${attr(color)}" stroke-width="${num(width)}" stroke-linecap="round" stroke-linejoin="round"${alpha}`;
+    const fillAttr = `fill="${fill ? attr(color) : 'none'}"`;
+
+    switch (shape) {
+        case 'line':
+        case 'arrow': {
+            let svg = `<line x1="${num(start.x)}" y1="${num(start.y)}" x2="${num(end.x)}" y2="${num(end.y)}" ${stroke}/>`;
+            if (shape === 'arrow') {
+                const head = getArrowHead(start, end, width).map(p => `${num(p.x)},${num(p.y)}`).join(' ');
+                svg += `<polygon points="${head}" fill="${attr(color)}" ${stroke}/>`;
+            }
+            return svg;
+        }
+
+        case 'rectangle':
+            return `<rect x="${num(Math.min(start.x, end.x))}" y="${num(Math.min(start.y, end.y))}" ` +
+                `width="${num(Math.abs(end.x - start.x))}" height="${num(Math.abs(end.y - start.y))}" ${fillAttr} ${stroke}/>`;
+
+        case 'ellipse':
+            return `<ellipse cx="${num((start.x + end.x) / 2)}" cy="${num((start.y + end.y) / 2)}" ` +
+                `rx="${num(Math.abs(end.x - start.x) / 2)}" ry="${num(Math.abs(end.y - start.y) / 2)}" ${fillAttr} ${stroke}/>`;
+
+        default:
+            return '';
+    }
+}
+
+/**
+ * Convert a text operation into an SVG <text> with one <tspan> per line (mirrors drawText)
+ */
+function textToSVG({ x, y, text, color, fontSize, opacity = 1 }) {
+    const lineHeight = fontSize * TEXT_LINE_HEIGHT;
+    const lines = text.split('\n').map((line, index) =>
+        `<tspan x="${num(x)}" y="${num(y + index * lineHeight)}">${escapeText(line)}</tspan>`
+    );
+
+    const alpha = opacity < 1 ? ` fill-opacity="${num(opacity)}"` : '';
+
+    return `<text font-family="${TEXT_FONT_FAMILY}" font-size="${num(fontSize)}" fill="${attr(color)}"${alpha} ` +
+        `dominant-baseline="text-before-edge" xml:space="preserve">${lines.join('')}</text>`;
+}
+
+/**
+ * Convert a fill operation into a single SVG <path> of its rectangles (mirrors drawFill)
+ */
+function fillToSVG(operation) {
+    const path = createPathBuilder();
+    traceFill(path, operation);
+
+    const opacity = operation.opacity ?? 1;
+    const alpha = opacity < 1 ? ` fill-opacity="${num(opacity)}"` : '';
+
+    return `<path d="${path}" fill="${attr(operation.color)}"${alpha}/>`;
+}
+
+/**
+ * Collect canvas-style path commands as SVG path data
+ */
+function createPathBuilder() {
+    const commands = [];
+
+    return {
+        moveTo(x, y) {
+            commands.push(`M${num(x)} ${num(y)}`);
+        },
+        lineTo(x, y) {
+            commands.push(`L${num(x)} ${num(y)}`);
+        },
+        quadraticCurveTo(cx, cy, x, y) {
+            commands.push(`Q${num(cx)} ${num(cy)} ${num(x)} ${num(y)}`);
+        },
+        // Full circles only, clockwise like the canvas; starts where moveTo left off (x + radius, y)
+        arc(x, y, radius) {
+            const r = num(radius);
+            commands.push(`A${r} ${r} 0 1 1 ${num(x - radius)} ${num(y)} A${r} ${r} 0 1 1 ${num(x + radius)} ${num(y)}`);
+        },
+        closePath() {
+            commands.push('Z');
+        },
+        toString() {
+            return commands.join(' ');
+        },
+    };
+}
+
+/**
+ * Format a number compactly (two decimals at most)
+ */
+function num(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Escape text content
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for use inside a double-quoted attribute
+ */
+function attr(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;');
+}
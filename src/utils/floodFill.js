@@ -0,0 +1,218 @@
+/**
+ * Flood fill helpers shared by the client and the server
+ * The fill tool floods the region around a pixel of the rendered canvas and stores it
+ * as a fill operation: a run-length mask anchored in world coordinates,
+ * { x, y, cellWidth, cellHeight, columns, rows, runs }. Each mask cell was one screen
+ * pixel when the fill was made; runs alternate between empty and filled cells, row
+ * by row from the top-left, starting with an empty run (which may be 0 long).
+ * Replaying a fill only decodes the mask, so it looks the same on every client
+ * Pure functions only - the server imports this module directly
+ */
+
+// Largest difference in any RGBA channel (0-255) that still counts as the same color
+export const FILL_TOLERANCES = [0, 16, 32, 64, 128];
+export const DEFAULT_FILL_TOLERANCE = 32;
+
+// Decoded rectangles by runs array; a fill's mask never changes once it is made
+const rectCache = new WeakMap();
+
+/**
+ * Flood the area of similar color around (startX, startY) in an ImageData-like
+ * { data, width, height }, with a scanline fill
+ * The region is grown by a pixel so it tucks under the anti-aliased edges around it.
+ * Returns { mask, minX, minY, maxX, maxY } where mask has one 0/1 entry per pixel
+ */
+export function floodFillMask({ data, width, height }, startX, startY, tolerance) {
+    const start = (startY * width + startX) * 4;
+    const target = [data[start], data[start + 1], data[start + 2], data[start + 3]];
+    const matches = (index) => {
+        const offset = index * 4;
+        return Math.abs(data[offset] - target[0]) <= tolerance &&
+            Math.abs(data[offset + 1] - target[1]) <= tolerance &&
+            Math.abs(data[offset + 2] - target[2]) <= tolerance &&
+            Math.abs(data[offset + 3] - target[3]) <= tolerance;
+    };
+
+    const mask = new Uint8Array(width * height);
+    const bounds = { minX: startX, minY: startY, maxX: startX, maxY: startY };
+    const stack = [startX, startY];
+
+    while (stack.length > 0) {
+        const y = stack.pop();
+        const x = stack.pop();
+        const row = y * width;
+        if (mask[row + x] || !matches(row + x)) continue;
+
+        // Widen to the whole span of matching pixels on this row
+        let left = x;
+        let right = x;
+        while (left > 0 && !mask[row + left - 1] && matches(row + left - 1)) left--;
+        while (right < width - 1 && !mask[row + right + 1] && matches(row + right + 1)) right++;
+        mask.fill(1, row + left, row + right + 1);
+
+        bounds.minX = Math.min(bounds.minX, left);
+        bounds.maxX = Math.max(bounds.maxX, right);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxY = Math.max(bounds.maxY, y);
+
+        // Queue one pixel per matching span on the rows above and below
+        [y - 1, y + 1].forEach(next => {
+            if (next < 0 || next >= height) return;
+            let inSpan = false;
+            for (let i = left; i <= right; i++) {
+                const index = next * width + i;
+                const open = !mask[index] && matches(index);
+                if (open && !inSpan) stack.push(i, next);
+                inSpan = open;
+            }
+        });
+    }
+
+    return growMask(mask, width, height, bounds);
+}
+
+/**
+ * Add every pixel next to the region (including diagonally) to it
+ */
+function growMask(mask, width, height, { minX, minY, maxX, maxY }) {
+    const grown = new Uint8Array(mask);
+    const bounds = {
+        minX: Math.max(0, minX - 1),
+        minY: Math.max(0, minY - 1),
+        maxX: Math.min(width - 1, maxX + 1),
+        maxY: Math.min(height - 1, maxY + 1),
+    };
+
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (!mask[y * width + x]) continue;
+            for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+                grown.fill(1, ny * width + Math.max(0, x - 1), ny * width + Math.min(width - 1, x + 1) + 1);
+            }
+        }
+    }
+
+    return { mask: grown, ...bounds };
+}
+
+/**
+ * Run-length encode the part of a mask inside its bounds
+ * Returns { columns, rows, runs }
+ */
+export function encodeFillMask({ mask, minX, minY, maxX, maxY }, width) {
+    const runs = [];
+    let filled = false;
+    let length = 0;
+
+    for (let y = minY; y <= maxY; y++) {
+        for (let x = minX; x <= maxX; x++) {
+            if (Boolean(mask[y * width + x]) !== filled) {
+                runs.push(length);
+                filled = !filled;
+                length = 0;
+            }
+            length++;
+        }
+    }
+    runs.push(length);
+
+    return { columns: maxX - minX + 1, rows: maxY - minY + 1, runs };
+}
+
+/**
+ * Decode a fill's mask into rectangles of filled cells { column, row, columns, rows }
+ * Spans that repeat on the rows below are merged into one taller rectangle
+ */
+export function getFillRects({ columns, runs }) {
+    if (rectCache.has(runs)) return rectCache.get(runs);
+
+    const rects = [];
+    let open = new Map();
+    let spans = [];
+    let row = 0;
+    let column = 0;
+    let filled = false;
+
+    const endRow = () => {
+        const next = new Map();
+        spans.forEach(([start, end]) => {
+            const key = `${start}:${end}`;
+            const rect = open.get(key) ?? { column: start, row, columns: end - start, rows: 0 };
+            if (rect.rows === 0) rects.push(rect);
+            rect.rows++;
+            next.set(key, rect);
+        });
+        open = next;
+        spans = [];
+        row++;
+        column = 0;
+    };
+
+    runs.forEach(run => {
+        let remaining = run;
+        while (remaining > 0) {
+            const length = Math.min(remaining, columns - column);
+            if (filled) {
+                // A zero-length empty run joins two filled ones
+                const last = spans.at(-1);
+                if (last && last[1] === column) {
+                    last[1] += length;
+                } else {
+                    spans.push([column, column + length]);
+                }
+            }
+            column += length;
+            remaining -= length;
+            if (column === columns) endRow();
+        }
+        filled = !filled;
+    });
+
+    rectCache.set(runs, rects);
+    return rects;
+}
+
+/**
+ * Trace a fill's rectangles in world coordinates onto a canvas path (or path builder)
+ * All of them go into one path, so no seams show between neighbouring rectangles
+ */
+export function traceFill(path, operation) {
+    const { x, y, cellWidth, cellHeight } = operation;
+
+    getFillRects(operation).forEach(rect => {
+        const left = x + rect.column * cellWidth;
+        const top = y + rect.row * cellHeight;
+        const right = left + rect.columns * cellWidth;
+        const bottom = top + rect.rows * cellHeight;
+
+        path.moveTo(left, top);
+        path.lineTo(right, top);
+        path.lineTo(right, bottom);
+        path.lineTo(left, bottom);
+        path.closePath();
+    });
+}
+
+/**
+ * Whether a world point lies on a filled cell of a fill operation
+ */
+export function isPointInFill(operation, point) {
+    const column = Math.floor((point.x - operation.x) / operation.cellWidth);
+    const row = Math.floor((point.y - operation.y) / operation.cellHeight);
+    if (column < 0 || row < 0 || column >= operation.columns || row >= operation.rows) return false;
+
+    const index = row * operation.columns + column;
+    let end = 0;
+    for (let i = 0; i < operation.runs.length; i++) {
+        end += operation.runs[i];
+        if (index < end) return i % 2 === 1;
+    }
+    return false;
+}
+
+/**
+ * Get the world area a fill operation covers
+ */
+export function getFillBounds({ x, y, cellWidth, cellHeight, columns, rows }) {
+    return { minX: x, minY: y, maxX: x + columns * cellWidth, maxY: y + rows * cellHeight };
+}
@@ -0,0 +1,95 @@
+/**
+ * Layer helpers shared by the client and the server
+ * A room's layers ({ id, name, visible, locked }) are ordered bottom to top; every
+ * operation names its layer with layerId. Operations from before layers existed (or
+ * from an import whose layers are unknown) belong to the default layer
+ * Pure functions only - the server imports this module directly
+ */
+
+export const DEFAULT_LAYER_ID = 'layer-1';
+
+const LAYER_ID_PREFIX = 'layer-';
+
+/**
+ * The layers of a room nobody has added layers to
+ */
+export function createDefaultLayers() {
+    return [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+}
+
+/**
+ * Create a layer with an id not used by any of the existing ones
+ */
+export function createLayer(layers, name) {
+    const highest = layers.reduce((max, layer) => {
+        const number = Number(layer.id.slice(LAYER_ID_PREFIX.length));
+        return layer.id.startsWith(LAYER_ID_PREFIX) && Number.isInteger(number) ? Math.max(max, number) : max;
+    }, 0);
+
+    return {
+        id: `${LAYER_ID_PREFIX}${highest + 1}`,
+        name: name || `Layer ${highest + 1}`,
+        visible: true,
+        locked: false,
+    };
+}
+
+/**
+ * Get the layer an operation is on
+ */
+export function getLayerId(operation) {
+    return operation.layerId ?? DEFAULT_LAYER_ID;
+}
+
+export function findLayer(layers, layerId) {
+    return layers.find(layer => layer.id === layerId) ?? null;
+}
+
+/**
+ * Get the layer an operation with this layerId is painted on
+ * Unknown layers fall back to the default one, or the bottom layer if that is gone
+ */
+export function resolveLayer(layers, layerId) {
+    return findLayer(layers, layerId) ?? findLayer(layers, DEFAULT_LAYER_ID) ?? layers[0] ?? null;
+}
+
+/**
+ * Whether operations on a layer may not be drawn, changed or deleted
+ */
+export function isLayerLocked(layers, layerId) {
+    return Boolean(resolveLayer(layers, layerId)?.locked);
+}
+
+/**
+ * Split operations into per-layer lists, bottom layer first
+ * Returns [{ layer, operations }] with one entry per layer (empty ones included);
+ * operations keep their history order within a layer
+ */
+export function groupOperationsByLayer(operations, layers) {
+    const groups = layers.map(layer => ({ layer, operations: [] }));
+    const byLayer = new Map(groups.map(group => [group.layer, group]));
+
+    operations.forEach(operation => {
+        byLayer.get(resolveLayer(layers, getLayerId(operation)))?.operations.push(operation);
+    });
+
+    return groups;
+}
+
+/**
+ * Operations on visible layers, in the order they are painted (bottom layer first)
+ */
+export function getVisibleOperations(operations, layers) {
+    return groupOperationsByLayer(operations, layers)
+        .filter(({ layer }) => layer.visible)
+        .flatMap(group => group.operations);
+}
+
+/**
+ * Operations that can be selected and edited: on a visible, unlocked layer
+ */
+export function getEditableOperations(operations, layers) {
+    return groupOperationsByLayer(operations, layers)
+        .filter(({ layer }) => layer.visible && !layer.locked)
+        .flatMap(group => group.operations);
+}
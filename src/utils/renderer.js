@@ -0,0 +1,362 @@
+/**
+ * Layered canvas renderer
+ * Committed operations are baked into one offscreen bitmap per layer, each kept up
+ * to date incrementally instead of replaying the whole history every frame:
+ *   - appended operations are drawn on top of the bitmap
+ *   - changed operations (undo, redo, edits, moved selections) re-render only the
+ *     dirty rectangle covering their old and new bounds
+ *   - pans shift the bitmap and fill in the exposed strips
+ * Each frame stacks the bitmaps of the visible layers and leaves the context in world
+ * space so the caller can draw the overlay (remote strokes, selection) on top. Separate
+ * bitmaps keep eraser strokes from cutting into the layers below their own.
+ * readPixels stacks the same bitmaps without any overlay, for tools that sample the canvas
+ * Works without a DOM when given a createCanvas factory (see scripts/benchmark-render.js)
+ */
+
+import { drawOperation, getOperationBounds } from './canvasOperations.js';
+import { createDefaultLayers, groupOperationsByLayer, resolveLayer } from './layers.js';
+import { applyViewport, getVisibleBounds, worldToScreen } from './viewport.js';
+
+// Dirty areas covering more of the screen than this are redrawn in full
+const FULL_REDRAW_RATIO = 0.5;
+
+// Extra pixels around dirty rectangles to cover antialiasing
+const DIRTY_MARGIN = 2;
+
+// Layers used when the caller passes none (e.g. the benchmark)
+const DEFAULT_LAYERS = createDefaultLayers();
+
+function createDOMCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Create a renderer with its own offscreen layers
+ * Returns { render(ctx, { operations, layers, preview, viewport, width, height }),
+ * readPixels({ operations, layers, viewport, width, height }, rect), invalidate(), getStats() }
+ */
+export function createLayeredRenderer({ createCanvas = createDOMCanvas } = {}) {
+    // Bitmap per layer id: { canvas, ctx, baked } where baked is what it currently
+    // shows ({ operations, viewport, width, height })
+    const bitmaps = new Map();
+    let scratch = null;
+    let previewCanvas = null;
+    let sampleCanvas = null;
+
+    // Operations split by layer, recomputed only when the history or the layers change
+    let grouping = null;
+
+    // Operations are immutable (edits replace the object), so bounds can be cached per object
+    const boundsCache = new WeakMap();
+
+    const stats = {
+        frames: 0,
+        fullRedraws: 0,
+        appends: 0,
+        dirtyRedraws: 0,
+        scrolls: 0,
+        operationsDrawn: 0,
+    };
+
+    const boundsOf = (operation) => {
+        if (!boundsCache.has(operation)) {
+            boundsCache.set(operation, getOperationBounds(operation));
+        }
+        return boundsCache.get(operation);
+    };
+
+    const getBitmap = (layerId) => {
+        if (!bitmaps.has(layerId)) {
+            const canvas = createCanvas(1, 1);
+            bitmaps.set(layerId, { canvas, ctx: canvas.getContext('2d'), baked: null });
+        }
+        return bitmaps.get(layerId);
+    };
+
+    const getGroups = (operations, layers) => {
+        if (!grouping || grouping.operations !== operations || grouping.layers !== layers) {
+            grouping = { operations, layers, groups: groupOperationsByLayer(operations, layers) };
+
+            // Forget the bitmaps of layers that are gone
+            bitmaps.forEach((bitmap, layerId) => {
+                if (!layers.some(layer => layer.id === layerId)) bitmaps.delete(layerId);
+            });
+        }
+        return grouping.groups;
+    };
+
+    // Size a helper canvas to the screen, creating it on first use
+    const fitCanvas = (canvas, width, height) => {
+        canvas ??= createCanvas(width, height);
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+        return canvas;
+    };
+
+    // Draw the operations that touch a world-space area (null draws everything)
+    const drawOperations = (bitmap, operations, area) => {
+        operations.forEach(operation => {
+            const bounds = boundsOf(operation);
+            if (area && bounds && !intersects(bounds, area)) return;
+
+            drawOperation(bitmap.ctx, operation);
+            stats.operationsDrawn++;
+        });
+    };
+
+    // Re-bake a whole bitmap
+    const redrawAll = (bitmap, operations, viewport, width, height) => {
+        const { canvas, ctx } = bitmap;
+        if (canvas.width !== width || canvas.height !== height) {
+            canvas.width = width;
+            canvas.height = height;
+        }
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        applyViewport(ctx, viewport);
+        drawOperations(bitmap, operations, getVisibleBounds(viewport, width, height));
+        stats.fullRedraws++;
+    };
+
+    // Re-render one screen-space rectangle of a bitmap from scratch
+    const redrawRegion = (bitmap, operations, viewport, rect) => {
+        const { ctx } = bitmap;
+        const x = Math.floor(rect.minX);
+        const y = Math.floor(rect.minY);
+        const w = Math.ceil(rect.maxX) - x;
+        const h = Math.ceil(rect.maxY) - y;
+        if (w <= 0 || h <= 0) return;
+
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.beginPath();
+        ctx.rect(x, y, w, h);
+        ctx.clip();
+        ctx.clearRect(x, y, w, h);
+
+        applyViewport(ctx, viewport);
+        drawOperations(bitmap, operations, {
+            minX: viewport.x + x / viewport.zoom,
+            minY: viewport.y + y / viewport.zoom,
+            maxX: viewport.x + (x + w) / viewport.zoom,
+            maxY: viewport.y + (y + h) / viewport.zoom,
+        });
+        ctx.restore();
+    };
+
+    // Shift a bitmap by whole pixels after a pan and fill in the uncovered strips
+    const scroll = (bitmap, operations, viewport, dx, dy) => {
+        const { canvas, ctx } = bitmap;
+        const { width, height } = canvas;
+
+        scratch = fitCanvas(scratch, width, height);
+        const scratchCtx = scratch.getContext('2d');
+        scratchCtx.setTransform(1, 0, 0, 1, 0, 0);
+        scratchCtx.clearRect(0, 0, width, height);
+        scratchCtx.drawImage(canvas, 0, 0);
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.drawImage(scratch, dx, dy);
+
+        if (dx > 0) redrawRegion(bitmap, operations, viewport, { minX: 0, minY: 0, maxX: dx, maxY: height });
+        if (dx < 0) redrawRegion(bitmap, operations, viewport, { minX: width + dx, minY: 0, maxX: width, maxY: height });
+        if (dy > 0) redrawRegion(bitmap, operations, viewport, { minX: 0, minY: 0, maxX: width, maxY: dy });
+        if (dy < 0) redrawRegion(bitmap, operations, viewport, { minX: 0, minY: height + dy, maxX: width, maxY: height });
+
+        stats.scrolls++;
+    };
+
+    // Bring a bitmap from the previous operation list to the next one
+    const applyChanges = (bitmap, previous, next, viewport, width, height) => {
+        if (isAppend(previous, next)) {
+            applyViewport(bitmap.ctx, viewport);
+            drawOperations(bitmap, next.slice(previous.length), getVisibleBounds(viewport, width, height));
+            stats.appends++;
+            return;
+        }
+
+        // Everything before the first difference is untouched (undo and edits usually hit recent history)
+        let start = 0;
+        while (start < previous.length && previous[start] === next[start]) start++;
+        const previousTail = previous.slice(start);
+        const nextTail = next.slice(start);
+
+        // Union of the old and new bounds of everything removed, added or replaced
+        const previousById = new Map(previousTail.map(op => [op.id, op]));
+        const nextById = new Map(nextTail.map(op => [op.id, op]));
+        let dirty = null;
+
+        previousTail.forEach(op => {
+            if (nextById.get(op.id) !== op) dirty = union(dirty, boundsOf(op));
+        });
+        nextTail.forEach(op => {
+            if (previousById.get(op.id) !== op) dirty = union(dirty, boundsOf(op));
+        });
+
+        if (!dirty) {
+            // Same operations in a different order
+            redrawAll(bitmap, next, viewport, width, height);
+            return;
+        }
+
+        const topLeft = worldToScreen(viewport, { x: dirty.minX, y: dirty.minY });
+        const bottomRight = worldToScreen(viewport, { x: dirty.maxX, y: dirty.maxY });
+        const rect = {
+            minX: Math.max(0, topLeft.x - DIRTY_MARGIN),
+            minY: Math.max(0, topLeft.y - DIRTY_MARGIN),
+            maxX: Math.min(width, bottomRight.x + DIRTY_MARGIN),
+            maxY: Math.min(height, bottomRight.y + DIRTY_MARGIN),
+        };
+
+        // The change happened off-screen
+        if (rect.maxX <= rect.minX || rect.maxY <= rect.minY) return;
+
+        if ((rect.maxX - rect.minX) * (rect.maxY - rect.minY) > width * height * FULL_REDRAW_RATIO) {
+            redrawAll(bitmap, next, viewport, width, height);
+            return;
+        }
+
+        redrawRegion(bitmap, next, viewport, rect);
+        stats.dirtyRedraws++;
+    };
+
+    // Make a bitmap match the given operations and view
+    const sync = (bitmap, operations, viewport, width, height) => {
+        const { baked } = bitmap;
+        if (!baked || baked.width !== width || baked.height !== height || baked.viewport.zoom !== viewport.zoom) {
+            redrawAll(bitmap, operations, viewport, width, height);
+            bitmap.baked = { operations, viewport, width, height };
+            return;
+        }
+
+        if (baked.viewport.x !== viewport.x || baked.viewport.y !== viewport.y) {
+            const dx = (baked.viewport.x - viewport.x) * viewport.zoom;
+            const dy = (baked.viewport.y - viewport.y) * viewport.zoom;
+
+            // Only whole-pixel shifts keep the bitmap crisp; anything else is re-baked
+            if (isWholePixel(dx) && isWholePixel(dy) && Math.abs(dx) < width && Math.abs(dy) < height) {
+                scroll(bitmap, baked.operations, viewport, Math.round(dx), Math.round(dy));
+            } else {
+                redrawAll(bitmap, operations, viewport, width, height);
+                bitmap.baked = { operations, viewport, width, height };
+                return;
+            }
+        }
+
+        if (operations !== baked.operations) {
+            applyChanges(bitmap, baked.operations, operations, viewport, width, height);
+        }
+
+        bitmap.baked = { operations, viewport, width, height };
+    };
+
+    // Blit a bitmap with uncommitted operations drawn into it, so a previewed
+    // eraser stroke only cuts into its own layer
+    const drawWithPreview = (ctx, bitmap, previewOperations, viewport, width, height) => {
+        previewCanvas = fitCanvas(previewCanvas, width, height);
+        const previewCtx = previewCanvas.getContext('2d');
+        previewCtx.setTransform(1, 0, 0, 1, 0, 0);
+        previewCtx.clearRect(0, 0, width, height);
+        previewCtx.drawImage(bitmap.canvas, 0, 0);
+        applyViewport(previewCtx, viewport);
+        previewOperations.forEach(operation => drawOperation(previewCtx, operation));
+
+        ctx.drawImage(previewCanvas, 0, 0);
+    };
+
+    // Update the bitmaps of the visible layers and stack them on a cleared screen-space context
+    const stackLayers = (ctx, { operations, layers, preview, viewport, width, height }) => {
+        const previewLayer = preview ? resolveLayer(layers, preview.layerId) : null;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        getGroups(operations, layers).forEach(({ layer, operations: layerOperations }) => {
+            if (!layer.visible) return;
+
+            const hasPreview = layer === previewLayer;
+            if (layerOperations.length === 0 && !hasPreview) return;
+
+            const bitmap = getBitmap(layer.id);
+            sync(bitmap, layerOperations, viewport, width, height);
+
+            if (hasPreview) {
+                drawWithPreview(ctx, bitmap, preview.operations, viewport, width, height);
+            } else {
+                ctx.drawImage(bitmap.canvas, 0, 0);
+            }
+        });
+    };
+
+    return {
+        /**
+         * Draw a frame: update the bitmaps of the visible layers, stack them (with the
+         * preview, { layerId, operations } or null, on its layer) and leave ctx in world space
+         */
+        render(ctx, { operations, layers = DEFAULT_LAYERS, preview = null, viewport, width, height }) {
+            stackLayers(ctx, { operations, layers, preview, viewport, width, height });
+
+            applyViewport(ctx, viewport);
+            stats.frames++;
+        },
+
+        /**
+         * Read the committed operations as they show on screen (visible layers together),
+         * without previews, remote strokes in progress or the selection overlay
+         * rect is { x, y, width, height } in screen pixels and defaults to the whole screen
+         */
+        readPixels({ operations, layers = DEFAULT_LAYERS, viewport, width, height }, rect = { x: 0, y: 0, width, height }) {
+            sampleCanvas = fitCanvas(sampleCanvas, width, height);
+            const sampleCtx = sampleCanvas.getContext('2d');
+            stackLayers(sampleCtx, { operations, layers, preview: null, viewport, width, height });
+
+            return sampleCtx.getImageData(rect.x, rect.y, rect.width, rect.height);
+        },
+
+        /**
+         * Force a full re-bake on the next frame (e.g. after the context was reset)
+         */
+        invalidate() {
+            bitmaps.forEach(bitmap => {
+                bitmap.baked = null;
+            });
+        },
+
+        getStats() {
+            return { ...stats };
+        },
+    };
+}
+
+/**
+ * True when next is previous with operations added at the end
+ */
+function isAppend(previous, next) {
+    return next.length >= previous.length && previous.every((op, i) => next[i] === op);
+}
+
+function isWholePixel(value) {
+    return Math.abs(value - Math.round(value)) < 0.01;
+}
+
+function intersects(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+function union(a, b) {
+    if (!b) return a;
+    if (!a) return { ...b };
+    return {
+        minX: Math.min(a.minX, b.minX),
+        minY: Math.min(a.minY, b.minY),
+        maxX: Math.max(a.maxX, b.maxX),
+        maxY: Math.max(a.maxY, b.maxY),
+    };
+}
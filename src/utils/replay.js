@@ -0,0 +1,85 @@
+/**
+ * Session replay helpers
+ * Lays a room's operations out on a replay clock from their timestamps, so the
+ * drawing can be played back the way it was made. Strokes with recorded timing
+ * (timings: ms since the stroke started, one per point) grow point by point;
+ * shapes, text and strokes without timing appear whole when they were committed
+ * Pure functions only - the live canvas and the video export share them
+ */
+
+// Idle stretches longer than this (nobody drawing) are cut down to it
+export const MAX_REPLAY_GAP_MS = 1500;
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8, 16];
+
+/**
+ * Whether a stroke can be replayed point by point
+ */
+function hasTiming(operation) {
+    return Array.isArray(operation.timings) && operation.timings.length === operation.points?.length;
+}
+
+/**
+ * Build the replay of a room's history
+ * userIds limits it to those users' operations (null replays everyone's).
+ * Returns { steps, duration } where steps are { operation, start, end } in history
+ * order, with start and end in ms on the replay clock
+ */
+export function buildReplay(operations, { userIds = null } = {}) {
+    const steps = operations
+        .filter(operation => !userIds || userIds.includes(operation.userId))
+        .map(operation => {
+            // Commit timestamps mark the end of a stroke; its timing says how long it took
+            const length = hasTiming(operation) ? operation.timings.at(-1) : 0;
+            return { operation, realStart: operation.timestamp - length, realEnd: operation.timestamp };
+        });
+
+    // Walk the operations in the order they were started and squeeze out idle time
+    const byStart = steps.slice().sort((a, b) => a.realStart - b.realStart);
+    let cursor = byStart[0]?.realStart ?? 0;
+    let skipped = cursor;
+    byStart.forEach(step => {
+        if (step.realStart > cursor + MAX_REPLAY_GAP_MS) {
+            skipped += step.realStart - cursor - MAX_REPLAY_GAP_MS;
+        }
+        step.start = step.realStart - skipped;
+        step.end = step.realEnd - skipped;
+        cursor = Math.max(cursor, step.realEnd);
+    });
+
+    return {
+        steps: steps.map(({ operation, start, end }) => ({ operation, start, end })),
+        duration: byStart.reduce((max, step) => Math.max(max, step.end), 0),
+    };
+}
+
+/**
+ * Get the operations to draw at a point on the replay clock, in history order
+ * Finished operations are passed through as they are, so a renderer can keep them
+ * cached; a stroke still being drawn is cut down to the points drawn so far
+ */
+export function getReplayFrame(replay, time) {
+    const frame = [];
+
+    replay.steps.forEach(({ operation, start, end }) => {
+        if (start > time) return;
+
+        if (end <= time || !hasTiming(operation)) {
+            frame.push(operation);
+            return;
+        }
+
+        const elapsed = time - start;
+        const count = operation.timings.findIndex(offset => offset > elapsed);
+        frame.push({ ...operation, points: operation.points.slice(0, Math.max(1, count)) });
+    });
+
+    return frame;
+}
+
+/**
+ * Get the ids of everyone who drew something, in the order they first did
+ */
+export function getReplayUserIds(operations) {
+    return [...new Set(operations.map(operation => operation.userId))];
+}
@@ -0,0 +1,92 @@
+/**
+ * Room id helpers
+ * Normalizes room ids and keeps the current room in sync with the page URL (?room=<id>)
+ * Invite links add the invite token (?room=<id>&invite=<token>)
+ */
+
+const ROOM_PARAM = 'room';
+const INVITE_PARAM = 'invite';
+const MAX_ROOM_ID_LENGTH = 64;
+
+/**
+ * Turn free-form input into a URL-safe room id
+ * Lowercases, collapses anything outside [a-z0-9_-] into dashes and trims the result
+ */
+export function normalizeRoomId(value) {
+    return String(value || '')
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, MAX_ROOM_ID_LENGTH);
+}
+
+/**
+ * Generate a short random room id (e.g. "k3f9x2qa")
+ */
+export function generateRoomId(length = 8) {
+    const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+    const bytes = crypto.getRandomValues(new Uint8Array(length));
+    return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+}
+
+/**
+ * Read the room id from the current URL, or null if there is none
+ */
+export function getRoomIdFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const roomId = normalizeRoomId(params.get(ROOM_PARAM));
+    return roomId || null;
+}
+
+/**
+ * Build a shareable link to a room
+ */
+export function getRoomLink(roomId) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(ROOM_PARAM, roomId);
+    url.searchParams.delete(INVITE_PARAM);
+    return url.toString();
+}
+
+/**
+ * Build an invite link to a room
+ */
+export function getInviteLink(roomId, token) {
+    const url = new URL(getRoomLink(roomId));
+    url.searchParams.set(INVITE_PARAM, token);
+    return url.toString();
+}
+
+/**
+ * Read the invite token from the current URL, or null if there is none
+ */
+export function getInviteFromUrl() {
+    return new URLSearchParams(window.location.search).get(INVITE_PARAM);
+}
+
+/**
+ * Drop the invite token from the address bar once it has been used
+ */
+export function clearInviteFromUrl() {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(INVITE_PARAM)) return;
+
+    url.searchParams.delete(INVITE_PARAM);
+    window.history.replaceState(window.history.state, '', url.toString());
+}
+
+/**
+ * Reflect the room id in the address bar
+ * Pushes a history entry so the browser back button returns to the previous room
+ */
+export function setRoomIdInUrl(roomId, { replace = false } = {}) {
+    if (getRoomIdFromUrl() === roomId) return;
+
+    const link = getRoomLink(roomId);
+    if (replace) {
+        window.history.replaceState({ roomId }, '', link);
+    } else {
+        window.history.pushState({ roomId }, '', link);
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * Stroke path geometry shared by the brushes, the canvas and the exporters
+ * Traces the smooth curve through a stroke's points and, for pen strokes, the
+ * outline of a line whose width follows the pressure. Everything here works on
+ * path-like objects (moveTo/lineTo/quadraticCurveTo/arc/closePath), so a canvas
+ * context and the SVG path builder get exactly the same geometry
+ * Pure functions only - the server imports this module through the brushes
+ */
+
+// Pen pressure scales the width from 20% (barely touching) to 180% (pressed
+// hard), so the nominal width sits at half pressure
+const MIN_PRESSURE_WIDTH = 0.2;
+const MAX_PRESSURE_WIDTH = 1.8;
+
+// A pen held flat lays down a broader line, up to this much wider
+const MAX_TILT_WIDTH_BOOST = 0.5;
+
+// World pixels between the samples of a variable-width outline
+const OUTLINE_SAMPLE_SPACING = 2;
+const MAX_SAMPLES_PER_SEGMENT = 16;
+
+/**
+ * Trace the path of a stroke with two or more points
+ * Works with anything exposing moveTo/lineTo/quadraticCurveTo, so the canvas
+ * and the SVG exporter share the exact same curve construction
+ */
+export function traceSmoothPath(path, points) {
+    path.moveTo(points[0].x, points[0].y);
+
+    if (points.length === 2) {
+        // Two points - draw a line
+        path.lineTo(points[1].x, points[1].y);
+        return;
+    }
+
+    // Multiple points - draw smooth curve using quadratic curves
+    for (let i = 1; i < points.length - 1; i++) {
+        const xc = (points[i].x + points[i + 1].x) / 2;
+        const yc = (points[i].y + points[i + 1].y) / 2;
+        path.quadraticCurveTo(points[i].x, points[i].y, xc, yc);
+    }
+
+    // Draw last segment
+    const lastPoint = points[points.length - 1];
+    const secondLastPoint = points[points.length - 2];
+    path.quadraticCurveTo(
+        secondLastPoint.x,
+        secondLastPoint.y,
+        lastPoint.x,
+        lastPoint.y
+    );
+}
+
+/**
+ * Whether a stroke's points carry pen pressure
+ * Mouse and touch strokes don't and keep their constant width
+ */
+export function hasPressure(points) {
+    return points[0]?.pressure !== undefined;
+}
+
+/**
+ * Get the width of a stroke at one of its points
+ * Pressure (0-1) tapers the line and tilt (degrees from upright) broadens it;
+ * points without pressure are drawn at the stroke's width
+ */
+export function getPointWidth(point, width) {
+    if (point.pressure === undefined) return width;
+
+    const pressureFactor = MIN_PRESSURE_WIDTH + (MAX_PRESSURE_WIDTH - MIN_PRESSURE_WIDTH) * point.pressure;
+    const tilt = Math.min(1, Math.hypot(point.tiltX ?? 0, point.tiltY ?? 0) / 90);
+    return width * pressureFactor * (1 + MAX_TILT_WIDTH_BOOST * tilt);
+}
+
+/**
+ * Trace the outline of a variable-width stroke with two or more points, to be filled
+ * The smooth path is sampled densely; every sample gets a circle and every pair of
+ * samples a quad between them, all wound clockwise so the nonzero fill rule merges
+ * them into one shape (no darker overlaps with transparent colors). Needs
+ * moveTo/lineTo/arc/closePath, which the SVG exporter's path builder also provides
+ */
+export function traceVariableStroke(path, points, width) {
+    const samples = sampleStroke(points, width);
+
+    samples.forEach((sample, i) => {
+        path.moveTo(sample.x + sample.radius, sample.y);
+        path.arc(sample.x, sample.y, sample.radius, 0, Math.PI * 2);
+        path.closePath();
+
+        if (i === 0) return;
+
+        const previous = samples[i - 1];
+        const length = Math.hypot(sample.x - previous.x, sample.y - previous.y);
+        if (length === 0) return;
+
+        // Unit normal to the left of the direction of travel
+        const nx = -(sample.y - previous.y) / length;
+        const ny = (sample.x - previous.x) / length;
+        path.moveTo(previous.x - nx * previous.radius, previous.y - ny * previous.radius);
+        path.lineTo(sample.x - nx * sample.radius, sample.y - ny * sample.radius);
+        path.lineTo(sample.x + nx * sample.radius, sample.y + ny * sample.radius);
+        path.lineTo(previous.x + nx * previous.radius, previous.y + ny * previous.radius);
+        path.closePath();
+    });
+}
+
+/**
+ * Sample a variable-width stroke along its smooth path as { x, y, radius }
+ * The radii are traced through the same curve construction as the coordinates,
+ * so they blend between points exactly like the path does
+ */
+export function sampleStroke(points, width) {
+    const segments = recordSmoothPath(points);
+    const radii = recordSmoothPath(points.map(point => ({ x: getPointWidth(point, width) / 2, y: 0 })));
+    const samples = [{ ...segments[0].start, radius: radii[0].start.x }];
+
+    segments.forEach((segment, i) => {
+        const { start, control, end } = segment;
+        const length = Math.hypot(control.x - start.x, control.y - start.y) +
+            Math.hypot(end.x - control.x, end.y - control.y);
+        const steps = Math.min(MAX_SAMPLES_PER_SEGMENT, Math.max(1, Math.ceil(length / OUTLINE_SAMPLE_SPACING)));
+
+        for (let step = 1; step <= steps; step++) {
+            const t = step / steps;
+            samples.push({ ...getQuadraticPoint(segment, t), radius: getQuadraticPoint(radii[i], t).x });
+        }
+    });
+
+    return samples;
+}
+
+/**
+ * Record the segments traceSmoothPath draws as quadratic curves { start, control, end }
+ */
+function recordSmoothPath(points) {
+    const segments = [];
+    let current = null;
+
+    traceSmoothPath({
+        moveTo(x, y) {
+            current = { x, y };
+        },
+        lineTo(x, y) {
+            const end = { x, y };
+            segments.push({ start: current, control: getMidpoint(current, end), end });
+            current = end;
+        },
+        quadraticCurveTo(cx, cy, x, y) {
+            const end = { x, y };
+            segments.push({ start: current, control: { x: cx, y: cy }, end });
+            current = end;
+        },
+    }, points);
+
+    return segments;
+}
+
+function getQuadraticPoint({ start, control, end }, t) {
+    const u = 1 - t;
+    return {
+        x: u * u * start.x + 2 * u * t * control.x + t * t * end.x,
+        y: u * u * start.y + 2 * u * t * control.y + t * t * end.y,
+    };
+}
+
+function getMidpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
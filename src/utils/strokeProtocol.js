@@ -0,0 +1,106 @@
+/**
+ * Compact stroke protocol shared by the client and the server
+ * Points travel quantized to a fixed grid (1/10 of a world pixel) and, after the
+ * first one, as integer deltas from the previous point, flattened as [dx, dy, dx, dy, ...]
+ * Pen strokes add one pressure/tilt triple per point alongside, flattened the same
+ * way as [pressure, tiltX, tiltY, ...] with pressure in hundredths and tilt in degrees
+ * Pure functions only - the server imports this module directly
+ */
+
+// Grid steps per world pixel
+export const STROKE_QUANTIZATION = 10;
+
+// Pressure steps between 0 and 1
+export const PRESSURE_QUANTIZATION = 100;
+
+// Values per point in a batch's pen data
+export const PEN_VALUES_PER_POINT = 3;
+
+// How long the client collects points before sending a batch
+export const STROKE_BATCH_INTERVAL_MS = 50;
+
+/**
+ * Snap a point to the quantization grid, in grid units
+ */
+export function quantizePoint({ x, y }) {
+    return {
+        x: Math.round(x * STROKE_QUANTIZATION),
+        y: Math.round(y * STROKE_QUANTIZATION),
+    };
+}
+
+/**
+ * Convert grid units back to world coordinates
+ */
+export function dequantizePoint({ x, y }) {
+    return {
+        x: x / STROKE_QUANTIZATION,
+        y: y / STROKE_QUANTIZATION,
+    };
+}
+
+/**
+ * Round a point's pen data to what travels: { pressure, tiltX, tiltY }
+ * Points without pressure (mouse and touch) have none and give null
+ */
+export function quantizePen({ pressure, tiltX = 0, tiltY = 0 }) {
+    if (pressure === undefined) return null;
+
+    return {
+        pressure: Math.round(pressure * PRESSURE_QUANTIZATION) / PRESSURE_QUANTIZATION,
+        tiltX: Math.round(tiltX),
+        tiltY: Math.round(tiltY),
+    };
+}
+
+/**
+ * Encode points as deltas from the last sent point (in grid units)
+ * Points that land on the same grid cell as the previous one are skipped
+ * Returns { deltas, pen, last } where last is the new reference point and pen
+ * holds the pressure/tilt of the points sent (null for points without pressure)
+ */
+export function encodeDeltas(points, last) {
+    const deltas = [];
+    const pen = [];
+    let current = last;
+
+    points.forEach(point => {
+        const next = quantizePoint(point);
+        if (next.x === current.x && next.y === current.y) return;
+
+        deltas.push(next.x - current.x, next.y - current.y);
+        current = next;
+
+        const penData = quantizePen(point);
+        if (penData) {
+            pen.push(Math.round(penData.pressure * PRESSURE_QUANTIZATION), penData.tiltX, penData.tiltY);
+        }
+    });
+
+    return { deltas, pen: pen.length > 0 ? pen : null, last: current };
+}
+
+/**
+ * Decode a batch of deltas starting from the last received point (in grid units)
+ * pen is the batch's pressure/tilt data, if the stroke has any
+ * Returns { points, last } with points in world coordinates
+ */
+export function decodeDeltas(deltas, last, pen = null) {
+    const points = [];
+    let current = last;
+
+    for (let i = 0; i + 1 < deltas.length; i += 2) {
+        current = { x: current.x + deltas[i], y: current.y + deltas[i + 1] };
+        const point = dequantizePoint(current);
+
+        const penIndex = (i / 2) * PEN_VALUES_PER_POINT;
+        if (pen && penIndex + PEN_VALUES_PER_POINT <= pen.length) {
+            point.pressure = pen[penIndex] / PRESSURE_QUANTIZATION;
+            point.tiltX = pen[penIndex + 1];
+            point.tiltY = pen[penIndex + 2];
+        }
+        points.push(point);
+    }
+
+    return { points, last: current };
+}
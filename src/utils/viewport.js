@@ -0,0 +1,118 @@
+/**
+ * Viewport math for the infinite canvas
+ * A viewport is { x, y, zoom }: the world point shown at the top-left corner of
+ * the screen and the scale factor, so screen = (world - viewport) * zoom
+ */
+
+export const MIN_ZOOM = 0.1;
+export const MAX_ZOOM = 10;
+
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, zoom: 1 };
+
+/**
+ * Convert a screen (canvas pixel) position to world coordinates
+ */
+export function screenToWorld(viewport, point) {
+    return {
+        x: viewport.x + point.x / viewport.zoom,
+        y: viewport.y + point.y / viewport.zoom,
+    };
+}
+
+/**
+ * Convert a world position to screen (canvas pixel) coordinates
+ */
+export function worldToScreen(viewport, point) {
+    return {
+        x: (point.x - viewport.x) * viewport.zoom,
+        y: (point.y - viewport.y) * viewport.zoom,
+    };
+}
+
+/**
+ * Clamp a zoom factor to the supported range
+ */
+export function clampZoom(zoom) {
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+}
+
+/**
+ * Zoom by a factor, keeping the world point under screenPoint fixed
+ */
+export function zoomAt(viewport, screenPoint, factor) {
+    const zoom = clampZoom(viewport.zoom * factor);
+    const anchor = screenToWorld(viewport, screenPoint);
+
+    return {
+        x: anchor.x - screenPoint.x / zoom,
+        y: anchor.y - screenPoint.y / zoom,
+        zoom,
+    };
+}
+
+/**
+ * Scroll the view by a distance in screen pixels
+ */
+export function panBy(viewport, dx, dy) {
+    return {
+        ...viewport,
+        x: viewport.x - dx / viewport.zoom,
+        y: viewport.y - dy / viewport.zoom,
+    };
+}
+
+/**
+ * Viewport that shows the given world bounds centered on a screen of the given size
+ * Never zooms in past 100% so a single small stroke is not blown up
+ */
+export function fitBounds(bounds, width, height, padding = 40) {
+    if (!bounds) return DEFAULT_VIEWPORT;
+
+    const contentWidth = Math.max(1, bounds.maxX - bounds.minX);
+    const contentHeight = Math.max(1, bounds.maxY - bounds.minY);
+    const zoom = clampZoom(Math.min(
+        1,
+        (width - padding * 2) / contentWidth,
+        (height - padding * 2) / contentHeight
+    ));
+
+    return {
+        x: (bounds.minX + bounds.maxX) / 2 - width / 2 / zoom,
+        y: (bounds.minY + bounds.maxY) / 2 - height / 2 / zoom,
+        zoom,
+    };
+}
+
+/**
+ * Viewport that shows what someone else sees, on a screen of a different size
+ * `view` is their viewport plus their screen size; the center stays the same and the
+ * zoom is scaled so their whole visible area fits
+ */
+export function matchView(view, width, height) {
+    const zoom = clampZoom(view.zoom * Math.min(width / view.width, height / view.height));
+
+    return {
+        x: view.x + view.width / 2 / view.zoom - width / 2 / zoom,
+        y: view.y + view.height / 2 / view.zoom - height / 2 / zoom,
+        zoom,
+    };
+}
+
+/**
+ * World area visible on a screen of the given size
+ */
+export function getVisibleBounds(viewport, width, height) {
+    return {
+        minX: viewport.x,
+        minY: viewport.y,
+        maxX: viewport.x + width / viewport.zoom,
+        maxY: viewport.y + height / viewport.zoom,
+    };
+}
+
+/**
+ * Set a 2D context's transform so world coordinates can be drawn directly
+ */
+export function applyViewport(ctx, viewport) {
+    ctx.setTransform(viewport.zoom, 0, 0, viewport.zoom, -viewport.x * viewport.zoom, -viewport.y * viewport.zoom);
+}